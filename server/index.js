@@ -0,0 +1,168 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const neo4j = require('neo4j-driver');
+const { QUERIES, ParameterError, parseParams, cypherFor } = require('./queries');
+
+// Query proxy for the starfield. The server owns the database credentials and
+// answers GET /api/<query name>?<params> for the named queries in queries.js,
+// in read-only transactions with a time limit. It also serves the production
+// build, so the whole app can be hosted without exposing the database.
+//
+//   NEO4J_URI=neo4j+s://db.example.com NEO4J_USER=reader NEO4J_PASSWORD=... npm run server
+//
+// Then build the app with REACT_APP_NEO4J_API_URL pointing at this server
+// ('/' when this server also serves the app).
+const config = {
+  port: Number(process.env.PORT || 4000),
+  uri: process.env.NEO4J_URI || 'bolt://localhost:7687',
+  user: process.env.NEO4J_USER || 'neo4j',
+  password: process.env.NEO4J_PASSWORD || '',
+  database: process.env.NEO4J_DATABASE || 'neo4j',
+  // Transactions running longer than this are terminated by the database
+  queryTimeout: Number(process.env.QUERY_TIMEOUT_MS || 10000),
+  // Origin allowed to call the API from another host, e.g. the dev server
+  allowedOrigin: process.env.ALLOWED_ORIGIN || 'http://localhost:3000',
+  buildDir: path.resolve(__dirname, '..', 'build')
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.map': 'application/json; charset=utf-8'
+};
+
+const TIMEOUT_CODES = new Set([
+  'Neo.ClientError.Transaction.TransactionTimedOut',
+  'Neo.ClientError.Transaction.TransactionTimedOutClientConfiguration'
+]);
+
+// '+s' and '+ssc' schemes pick TLS themselves and reject explicit settings
+const secure = /^[a-z]+\+(s|ssc):\/\//i.test(config.uri);
+
+const driver = neo4j.driver(
+  config.uri,
+  neo4j.auth.basic(config.user, config.password),
+  {
+    ...(secure ? {} : { encrypted: false }),
+    maxConnectionPoolSize: 50,
+    connectionAcquisitionTimeout: config.queryTimeout,
+    // Keep retries of failed reads within the same time limit
+    maxTransactionRetryTime: config.queryTimeout
+  }
+);
+
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+// Run a named query in a read transaction; writes are refused by the database
+const runQuery = async (name, searchParams) => {
+  const query = QUERIES[name];
+  const params = parseParams(query, searchParams);
+  const session = driver.session({ database: config.database, defaultAccessMode: neo4j.session.READ });
+  try {
+    const result = await session.executeRead(
+      tx => tx.run(cypherFor(query, params), params),
+      { timeout: config.queryTimeout }
+    );
+    return query.transform(result.records);
+  } finally {
+    await session.close();
+  }
+};
+
+const handleApi = async (req, res, url) => {
+  const name = url.pathname.slice('/api/'.length);
+  if (!Object.prototype.hasOwnProperty.call(QUERIES, name)) {
+    sendJSON(res, 404, { error: `Unknown query ${name}` });
+    return;
+  }
+
+  try {
+    const body = await runQuery(name, url.searchParams);
+    if (body === null) {
+      sendJSON(res, 404, { error: 'Not found' });
+      return;
+    }
+    sendJSON(res, 200, body);
+  } catch (error) {
+    if (error instanceof ParameterError) {
+      sendJSON(res, 400, { error: error.message });
+    } else if (TIMEOUT_CODES.has(error.code)) {
+      sendJSON(res, 504, { error: 'Query timed out' });
+    } else {
+      // Database errors are logged here but not passed on in detail
+      console.error(`Query ${name} failed:`, error);
+      sendJSON(res, 502, { error: 'Database query failed' });
+    }
+  }
+};
+
+// Serve files from the production build, falling back to index.html
+const handleStatic = (req, res, url) => {
+  let filePath;
+  try {
+    filePath = path.resolve(config.buildDir, `.${decodeURIComponent(url.pathname)}`);
+  } catch (error) {
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+  if (filePath !== config.buildDir && !filePath.startsWith(config.buildDir + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(config.buildDir, 'index.html');
+  }
+  if (!fs.existsSync(filePath)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('No production build found; run npm run build');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+  fs.createReadStream(filePath).pipe(res);
+};
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', config.allowedOrigin);
+  res.setHeader('Vary', 'Origin');
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', 'GET');
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendJSON(res, 405, { error: 'Only GET is supported' });
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname.startsWith('/api/')) {
+    handleApi(req, res, url);
+  } else {
+    handleStatic(req, res, url);
+  }
+});
+
+server.listen(config.port, () => {
+  console.log(`Starfield server listening on http://localhost:${config.port}`);
+  console.log('Proxying read-only queries to', { uri: config.uri, user: config.user, database: config.database });
+});
+
+const shutdown = () => {
+  server.close();
+  driver.close().finally(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
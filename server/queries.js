@@ -0,0 +1,236 @@
+const neo4j = require('neo4j-driver');
+
+// The only queries the server will run. Each has fixed Cypher, a parser for
+// every parameter it accepts from the query string, and a function that turns
+// the records into the JSON sent back. Nothing else from the request reaches
+// the database.
+
+// Temporal and spatial values become strings; everything else is plain JSON
+const toPlain = (value) => {
+  if (neo4j.isInt(value)) return value.toNumber();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object') {
+    if (
+      neo4j.isDate(value) || neo4j.isDateTime(value) || neo4j.isLocalDateTime(value) ||
+      neo4j.isTime(value) || neo4j.isLocalTime(value) || neo4j.isDuration(value) || neo4j.isPoint(value)
+    ) {
+      return value.toString();
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+  }
+  return value;
+};
+
+// Same shapes as the browser service produces
+const toNode = (node) => ({
+  id: node.identity.toString(),
+  labels: node.labels,
+  properties: toPlain(node.properties)
+});
+
+const toRelationship = (rel) => ({
+  id: rel.identity.toString(),
+  type: rel.type,
+  startId: rel.start.toString(),
+  endId: rel.end.toString(),
+  properties: toPlain(rel.properties)
+});
+
+const toPath = (path) => ({
+  nodes: [toNode(path.start), ...path.segments.map(segment => toNode(segment.end))],
+  relationships: path.segments.map(segment => toRelationship(segment.relationship))
+});
+
+class ParameterError extends Error {}
+
+// Integer parameter with a default and bounds
+const intParam = (fallback, min, max) => (raw, name) => {
+  if (raw === undefined || raw === '') {
+    if (fallback === undefined) throw new ParameterError(`Missing parameter ${name}`);
+    return neo4j.int(fallback);
+  }
+  if (!/^-?\d+$/.test(raw)) throw new ParameterError(`Parameter ${name} must be an integer`);
+  const value = Number(raw);
+  if (value < min || value > max) {
+    throw new ParameterError(`Parameter ${name} must be between ${min} and ${max}`);
+  }
+  return neo4j.int(value);
+};
+
+const stringParam = (maxLength) => (raw, name) => {
+  if (!raw || !raw.trim()) throw new ParameterError(`Missing parameter ${name}`);
+  if (raw.length > maxLength) throw new ParameterError(`Parameter ${name} is too long`);
+  return raw.trim();
+};
+
+// Comma-separated list of names, e.g. relationship types
+const listParam = (maxItems) => (raw, name) => {
+  const items = (raw || '').split(',').map(item => item.trim()).filter(Boolean);
+  if (items.length > maxItems) throw new ParameterError(`Parameter ${name} has too many items`);
+  return items;
+};
+
+const enumParam = (values, fallback) => (raw, name) => {
+  if (raw === undefined || raw === '') return fallback;
+  if (!values.includes(raw)) throw new ParameterError(`Parameter ${name} must be one of ${values.join(', ')}`);
+  return raw;
+};
+
+const MAX_PAGE = 5000;
+const MAX_ID = Number.MAX_SAFE_INTEGER;
+const MAX_ROUTES = 5;
+const MAX_PATH_HOPS = 10;
+
+// Same route query as the browser service. Variable-length bounds cannot be
+// query parameters, so the parsed and bounded maxHops is written into the
+// text; nothing else from the request is.
+const pathsCypher = (maxHops, k) => (k === 1
+  ? `MATCH (source), (target)
+     WHERE id(source) = $source AND id(target) = $target
+     MATCH p = shortestPath((source)-[*..${maxHops}]-(target))
+     WHERE all(r IN relationships(p) WHERE size($types) = 0 OR type(r) IN $types)
+     RETURN p`
+  : `MATCH (source), (target)
+     WHERE id(source) = $source AND id(target) = $target
+     MATCH p = (source)-[*1..${maxHops}]-(target)
+     WHERE all(r IN relationships(p) WHERE size($types) = 0 OR type(r) IN $types)
+       AND all(n IN nodes(p) WHERE single(m IN nodes(p) WHERE m = n))
+     RETURN p
+     ORDER BY length(p)
+     LIMIT $k`);
+
+const QUERIES = {
+  health: {
+    cypher: 'RETURN 1 AS ok',
+    params: {},
+    transform: () => ({ ok: true })
+  },
+
+  counts: {
+    cypher: `MATCH (n)
+             WITH count(n) AS nodes
+             OPTIONAL MATCH ()-[r]->()
+             RETURN nodes, count(r) AS relationships`,
+    params: {},
+    transform: (records) => ({
+      nodes: toPlain(records[0].get('nodes')),
+      relationships: toPlain(records[0].get('relationships'))
+    })
+  },
+
+  // Keyset pages on internal ids, like the browser loader
+  nodes: {
+    cypher: `MATCH (n)
+             WHERE id(n) > $after
+             RETURN n
+             ORDER BY id(n)
+             LIMIT $limit`,
+    params: { after: intParam(-1, -1, MAX_ID), limit: intParam(1000, 1, MAX_PAGE) },
+    transform: (records) => ({ nodes: records.map(record => toNode(record.get('n'))) })
+  },
+
+  relationships: {
+    cypher: `MATCH ()-[r]->()
+             WHERE id(r) > $after
+             RETURN r
+             ORDER BY id(r)
+             LIMIT $limit`,
+    params: { after: intParam(-1, -1, MAX_ID), limit: intParam(1000, 1, MAX_PAGE) },
+    transform: (records) => ({
+      relationships: records.map(record => toRelationship(record.get('r')))
+    })
+  },
+
+  node: {
+    cypher: `MATCH (n)
+             WHERE id(n) = $id
+             RETURN n, COUNT { (n)--() } AS degree`,
+    params: { id: intParam(undefined, 0, MAX_ID) },
+    transform: (records) => {
+      if (records.length === 0) return null;
+      return { ...toNode(records[0].get('n')), degree: toPlain(records[0].get('degree')) };
+    }
+  },
+
+  neighbours: {
+    cypher: `MATCH (n)-[r]-(related)
+             WHERE id(n) = $id
+               AND (size($types) = 0 OR type(r) IN $types)
+               AND ($direction = 'both' OR ($direction = 'out') = (startNode(r) = n))
+             RETURN r, related, startNode(r) = n AS outgoing
+             ORDER BY type(r), id(related)
+             SKIP $skip
+             LIMIT $limit`,
+    params: {
+      id: intParam(undefined, 0, MAX_ID),
+      skip: intParam(0, 0, MAX_ID),
+      limit: intParam(10, 1, 200),
+      types: listParam(50),
+      direction: enumParam(['both', 'out', 'in'], 'both')
+    },
+    transform: (records) => ({
+      neighbours: records.map(record => ({
+        relationship: toRelationship(record.get('r')),
+        direction: record.get('outgoing') ? 'out' : 'in',
+        node: toNode(record.get('related'))
+      }))
+    })
+  },
+
+  // Cypher depends on the parameters here; forms lists one set for each
+  // shape of query it can produce
+  paths: {
+    cypher: ({ k, maxHops }) => pathsCypher(maxHops.toNumber(), k.toNumber()),
+    forms: [
+      { k: neo4j.int(1), maxHops: neo4j.int(1) },
+      { k: neo4j.int(2), maxHops: neo4j.int(1) }
+    ],
+    params: {
+      source: intParam(undefined, 0, MAX_ID),
+      target: intParam(undefined, 0, MAX_ID),
+      k: intParam(1, 1, MAX_ROUTES),
+      maxHops: intParam(6, 1, MAX_PATH_HOPS),
+      types: listParam(50)
+    },
+    // shortestPath refuses to run from a star to itself
+    check: ({ source, target }) => {
+      if (source.equals(target)) throw new ParameterError('Parameters source and target must differ');
+    },
+    transform: (records) => ({ paths: records.map(record => toPath(record.get('p'))) })
+  },
+
+  search: {
+    cypher: `MATCH (n)
+             WHERE toLower(toString(coalesce(n.name, n.title, ''))) CONTAINS toLower($q)
+             RETURN n
+             ORDER BY size(toString(coalesce(n.name, n.title, ''))), id(n)
+             LIMIT $limit`,
+    params: { q: stringParam(200), limit: intParam(20, 1, 200) },
+    transform: (records) => ({ nodes: records.map(record => toNode(record.get('n'))) })
+  }
+};
+
+// Belt and braces on top of read sessions: refuse to start with a named
+// query that could write
+const WRITE_CLAUSE = /\b(CREATE|MERGE|SET|DELETE|REMOVE|DROP|LOAD\s+CSV|CALL|FOREACH)\b/i;
+const cypherFor = (query, params) => (
+  typeof query.cypher === 'function' ? query.cypher(params) : query.cypher
+);
+Object.entries(QUERIES).forEach(([name, query]) => {
+  const texts = query.forms ? query.forms.map(params => cypherFor(query, params)) : [query.cypher];
+  if (texts.some(text => WRITE_CLAUSE.test(text))) {
+    throw new Error(`Named query ${name} is not read-only`);
+  }
+});
+
+// Turn raw query-string values into driver parameters for a named query
+const parseParams = (query, searchParams) => {
+  const params = {};
+  Object.entries(query.params).forEach(([name, parse]) => {
+    params[name] = parse(searchParams.get(name) ?? undefined, name);
+  });
+  query.check?.(params);
+  return params;
+};
+
+module.exports = { QUERIES, ParameterError, parseParams, cypherFor };
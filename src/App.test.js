@@ -1,9 +1,16 @@
 import React from 'react';
 import { render, screen } from '@testing-library/react';
 import App from './App';
+import { neo4jService } from './services/neo4j.service';
 
-test('renders learn react link', () => {
+// Workers are bundled by webpack and do not exist in Jest
+const fakeWorker = () => ({ postMessage: jest.fn(), terminate: jest.fn() });
+jest.mock('./layout/createLayoutWorker', () => ({ createLayoutWorker: () => fakeWorker() }));
+jest.mock('./metrics/createMetricsWorker', () => ({ createMetricsWorker: () => fakeWorker() }));
+
+test('shows the connection status while the graph loads', () => {
+  // Never answers, so the app stays on its loading screen
+  jest.spyOn(neo4jService, 'verifyConnection').mockReturnValue(new Promise(() => {}));
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/Connecting to/)).toBeInTheDocument();
 });
@@ -0,0 +1,87 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { viewUrl } from '../utils/viewState';
+import './Bookmarks.css';
+
+// How long "copied" feedback stays on a button, in ms
+const COPIED_DELAY = 1500;
+
+// Saved views for the current graph, plus links to share them. Opening a
+// bookmark flies there; each one, and the current view, can be copied as a
+// link that opens the same view for someone else.
+const Bookmarks = ({ bookmarks, getCurrentView, onSave, onOpen, onRemove }) => {
+  const [name, setName] = useState('');
+  const [copied, setCopied] = useState(null);
+  const timerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onSave(trimmed);
+    setName('');
+  };
+
+  // Copy to the clipboard, or show the link when the browser will not allow it
+  const copyLink = async (view, key) => {
+    const url = viewUrl(view);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(key);
+      clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(() => setCopied(null), COPIED_DELAY);
+    } catch (error) {
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  return (
+    <details
+      className="bookmarks"
+      // Keep typing from reaching the camera controls
+      onKeyDown={(event) => event.stopPropagation()}
+      onKeyUp={(event) => event.stopPropagation()}
+    >
+      <summary>Bookmarks ({bookmarks.length})</summary>
+      <div className="bookmarks-save">
+        <input
+          value={name}
+          placeholder="Name this view"
+          onChange={(event) => setName(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === 'Enter') save();
+          }}
+        />
+        <button className="panel-button" onClick={save} disabled={!name.trim()}>Save</button>
+      </div>
+      <button className="panel-button" onClick={() => copyLink(getCurrentView(), '')}>
+        {copied === '' ? 'Link copied' : 'Copy link to this view'}
+      </button>
+      {bookmarks.length === 0 ? (
+        <p className="bookmarks-empty">No bookmarks for this graph yet.</p>
+      ) : (
+        <ul className="bookmarks-list">
+          {bookmarks.map(bookmark => (
+            <li key={bookmark.name}>
+              <button className="bookmarks-open" onClick={() => onOpen(bookmark)} title="Go to this view">
+                {bookmark.name}
+              </button>
+              <button
+                className="bookmarks-action"
+                onClick={() => copyLink(bookmark.view, bookmark.name)}
+                title="Copy link"
+              >
+                {copied === bookmark.name ? '✓' : '🔗'}
+              </button>
+              <button className="bookmarks-action" onClick={() => onRemove(bookmark.name)} title="Delete">
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+};
+
+export default Bookmarks;
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { neo4jService } from '../services/neo4j.service';
+import { isSecureUri, validateProfile } from '../services/connectionSettings';
+import './ConnectionDialog.css';
+
+const newProfileId = () => `profile-${Date.now().toString(36)}`;
+
+// Modal for picking and editing Neo4j connection profiles at runtime.
+// Works on a copy of the settings; onConnect receives the edited settings
+// with activeId set to the chosen profile.
+const ConnectionDialog = ({ settings, onConnect, onCancel }) => {
+  const [profiles, setProfiles] = useState(() => settings.profiles.map(profile => ({ ...profile })));
+  const [activeId, setActiveId] = useState(settings.activeId);
+  const [remember, setRemember] = useState(settings.remember);
+  const [rememberPassword, setRememberPassword] = useState(settings.rememberPassword);
+  const [testState, setTestState] = useState(null);
+
+  const profile = profiles.find(candidate => candidate.id === activeId) || profiles[0];
+  const validationError = validateProfile(profile);
+
+  const updateProfile = (field, value) => {
+    setProfiles(prev => prev.map(candidate => (
+      candidate.id === profile.id ? { ...candidate, [field]: value } : candidate
+    )));
+    setTestState(null);
+  };
+
+  const selectProfile = (id) => {
+    setActiveId(id);
+    setTestState(null);
+  };
+
+  const addProfile = () => {
+    const added = {
+      ...profile,
+      id: newProfileId(),
+      name: `${profile.name} copy`,
+      password: '',
+      builtIn: false
+    };
+    setProfiles(prev => [...prev, added]);
+    selectProfile(added.id);
+  };
+
+  const deleteProfile = () => {
+    const remaining = profiles.filter(candidate => candidate.id !== profile.id);
+    setProfiles(remaining);
+    selectProfile(remaining[0].id);
+  };
+
+  const handleTest = async () => {
+    setTestState({ status: 'testing' });
+    try {
+      const info = await neo4jService.testConnection(profile);
+      setTestState({ status: 'ok', message: `Connected to ${info.agent} at ${info.address}` });
+    } catch (err) {
+      setTestState({ status: 'error', message: err.message });
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (validationError) return;
+    onConnect({ profiles, activeId: profile.id, remember, rememberPassword });
+  };
+
+  return (
+    <div className="connection-dialog-backdrop">
+      <form className="connection-dialog" onSubmit={handleSubmit} onKeyDown={(event) => event.stopPropagation()}>
+        <h3>Connect to Neo4j</h3>
+
+        <div className="connection-dialog-profiles">
+          <select value={profile.id} onChange={(event) => selectProfile(event.target.value)}>
+            {profiles.map(candidate => (
+              <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+            ))}
+          </select>
+          <button type="button" className="panel-button" onClick={addProfile}>Duplicate</button>
+          {!profile.builtIn && (
+            <button type="button" className="panel-button" onClick={deleteProfile}>Delete</button>
+          )}
+        </div>
+
+        <label>
+          Name
+          <input
+            value={profile.name}
+            disabled={profile.builtIn}
+            onChange={(event) => updateProfile('name', event.target.value)}
+          />
+        </label>
+        <label>
+          URI
+          <input
+            value={profile.uri}
+            placeholder="neo4j+s://example.databases.neo4j.io"
+            onChange={(event) => updateProfile('uri', event.target.value.trim())}
+          />
+        </label>
+        <p className="connection-dialog-hint">
+          {isSecureUri(profile.uri) ? 'Encrypted (TLS)' : 'Unencrypted; use neo4j+s:// or bolt+s:// for TLS'}
+        </p>
+        <label>
+          User
+          <input
+            value={profile.user}
+            autoComplete="username"
+            onChange={(event) => updateProfile('user', event.target.value)}
+          />
+        </label>
+        <label>
+          Password
+          <input
+            type="password"
+            value={profile.password}
+            autoComplete="current-password"
+            onChange={(event) => updateProfile('password', event.target.value)}
+          />
+        </label>
+        <label>
+          Database
+          <input
+            value={profile.database}
+            onChange={(event) => updateProfile('database', event.target.value.trim())}
+          />
+        </label>
+
+        <label className="connection-dialog-check">
+          <input type="checkbox" checked={remember} onChange={(event) => setRemember(event.target.checked)} />
+          Remember these settings in this browser
+        </label>
+        <label className="connection-dialog-check">
+          <input
+            type="checkbox"
+            checked={remember && rememberPassword}
+            disabled={!remember}
+            onChange={(event) => setRememberPassword(event.target.checked)}
+          />
+          Also remember passwords (stored unencrypted)
+        </label>
+
+        {validationError && <p className="connection-dialog-error">{validationError}</p>}
+        {testState?.status === 'testing' && <p>Testing connection...</p>}
+        {testState?.status === 'ok' && <p className="connection-dialog-ok">{testState.message}</p>}
+        {testState?.status === 'error' && <p className="connection-dialog-error">{testState.message}</p>}
+
+        <div className="connection-dialog-actions">
+          <button
+            type="button"
+            className="panel-button"
+            onClick={handleTest}
+            disabled={Boolean(validationError) || testState?.status === 'testing'}
+          >
+            Test
+          </button>
+          {onCancel && (
+            <button type="button" className="panel-button" onClick={onCancel}>Cancel</button>
+          )}
+          <button type="submit" className="panel-button" disabled={Boolean(validationError)}>
+            Connect
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ConnectionDialog;
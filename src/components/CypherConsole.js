@@ -0,0 +1,204 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { dataSource } from '../services/dataSource';
+import { loadJSON, saveJSON } from '../utils/storage';
+import './CypherConsole.css';
+
+const HISTORY_STORAGE_KEY = 'starfield.cypherHistory';
+const VIEWS_STORAGE_KEY = 'starfield.cypherViews';
+
+// Recent queries kept in the history
+const MAX_HISTORY = 20;
+
+const DEFAULT_QUERY = 'MATCH (n)-[r]->(m)\nRETURN n, r, m\nLIMIT 200';
+
+// Names of the $parameters used in a query, in order of appearance
+const parameterNames = (query) => {
+  const names = [];
+  for (const match of query.matchAll(/\$([A-Za-z_][A-Za-z0-9_]*)/g)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+};
+
+// Parameter values are JSON when they parse as JSON ("42", "[1, 2]", "true"),
+// plain strings otherwise
+const parseValue = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+};
+
+// Collapsible editor for read queries that decide what the starfield shows.
+// The returned nodes, relationships and paths replace the scene or are added
+// to it through onResult(graph, mode).
+const CypherConsole = ({ customView, onResult, onShowAll }) => {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState(() => loadJSON(HISTORY_STORAGE_KEY, [])[0]?.query || DEFAULT_QUERY);
+  const [paramValues, setParamValues] = useState({});
+  const [mode, setMode] = useState('replace');
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [history, setHistory] = useState(() => loadJSON(HISTORY_STORAGE_KEY, []));
+  const [views, setViews] = useState(() => loadJSON(VIEWS_STORAGE_KEY, []));
+  const [viewName, setViewName] = useState('');
+
+  useEffect(() => {
+    saveJSON(HISTORY_STORAGE_KEY, history);
+  }, [history]);
+
+  useEffect(() => {
+    saveJSON(VIEWS_STORAGE_KEY, views);
+  }, [views]);
+
+  const params = useMemo(() => parameterNames(query), [query]);
+
+  // Raw parameter inputs for the current query, as stored in history and views
+  const currentParams = () => Object.fromEntries(params.map(name => [name, paramValues[name] ?? '']));
+
+  const load = (entry) => {
+    setQuery(entry.query);
+    setParamValues(entry.params || {});
+    setError(null);
+  };
+
+  const run = async () => {
+    if (running || !query.trim()) return;
+    setRunning(true);
+    setError(null);
+    setSummary(null);
+
+    const rawParams = currentParams();
+    const values = Object.fromEntries(Object.entries(rawParams).map(([name, raw]) => [name, parseValue(raw)]));
+
+    try {
+      const result = await dataSource.runCypher(query, values);
+      setSummary(`${result.rowCount} rows: ${result.nodes.length} stars, ${result.relationships.length} relationships`);
+      setHistory(prev => [
+        { query, params: rawParams },
+        ...prev.filter(entry => entry.query !== query)
+      ].slice(0, MAX_HISTORY));
+      onResult(result, mode);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const saveView = () => {
+    const name = viewName.trim();
+    if (!name) return;
+    setViews(prev => [...prev.filter(view => view.name !== name), { name, query, params: currentParams() }]);
+    setViewName('');
+  };
+
+  const deleteView = (name) => {
+    setViews(prev => prev.filter(view => view.name !== name));
+  };
+
+  const handleKeyDown = (event) => {
+    // Keep typing from reaching the camera controls
+    event.stopPropagation();
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      run();
+    }
+  };
+
+  if (!open) {
+    return (
+      <button className="cypher-console-toggle panel-button" onClick={() => setOpen(true)}>
+        Cypher{customView ? ' (custom view)' : ''}
+      </button>
+    );
+  }
+
+  return (
+    <div className="cypher-console" onKeyDown={handleKeyDown} onKeyUp={(event) => event.stopPropagation()}>
+      <div className="cypher-console-header">
+        <strong>Cypher</strong>
+        <button className="cypher-console-close" onClick={() => setOpen(false)} title="Collapse">×</button>
+      </div>
+
+      <textarea
+        value={query}
+        rows={5}
+        spellCheck={false}
+        onChange={(event) => setQuery(event.target.value)}
+        placeholder="MATCH p = (a)-[*1..2]-(b) RETURN p LIMIT 100"
+      />
+
+      {params.length > 0 && (
+        <div className="cypher-console-params">
+          {params.map(name => (
+            <label key={name}>
+              ${name}
+              <input
+                value={paramValues[name] ?? ''}
+                placeholder="JSON or text"
+                onChange={(event) => setParamValues(prev => ({ ...prev, [name]: event.target.value }))}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="cypher-console-row">
+        <label>
+          <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+          Replace scene
+        </label>
+        <label>
+          <input type="radio" checked={mode === 'add'} onChange={() => setMode('add')} />
+          Add to scene
+        </label>
+        <button className="panel-button" onClick={run} disabled={running}>
+          {running ? 'Running...' : 'Run (Ctrl+Enter)'}
+        </button>
+      </div>
+
+      {error && <pre className="cypher-console-error">{error}</pre>}
+      {summary && <p className="cypher-console-summary">{summary}</p>}
+      {customView && (
+        <button className="panel-button" onClick={onShowAll}>Show whole database</button>
+      )}
+
+      {history.length > 0 && (
+        <select
+          className="cypher-console-history"
+          value=""
+          onChange={(event) => load(history[Number(event.target.value)])}
+        >
+          <option value="" disabled>Recent queries...</option>
+          {history.map((entry, i) => (
+            <option key={entry.query} value={i}>{entry.query.replace(/\s+/g, ' ').slice(0, 80)}</option>
+          ))}
+        </select>
+      )}
+
+      <div className="cypher-console-views">
+        <div className="cypher-console-row">
+          <input
+            value={viewName}
+            placeholder="Save as view..."
+            onChange={(event) => setViewName(event.target.value)}
+          />
+          <button className="panel-button" onClick={saveView} disabled={!viewName.trim()}>Save</button>
+        </div>
+        {views.map(view => (
+          <div key={view.name} className="cypher-console-view">
+            <button className="cypher-console-view-name" onClick={() => load(view)} title={view.query}>
+              {view.name}
+            </button>
+            <button className="cypher-console-close" onClick={() => deleteView(view.name)} title="Delete view">×</button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CypherConsole;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { toEdgesCSV, toGEXF, toGraphML, toJSON, toNodesCSV } from '../export/graphFormats';
+import { downloadBlob, downloadText } from '../utils/download';
+import './ExportMenu.css';
+
+// Image sizes offered; window sizes follow the browser window
+const RESOLUTIONS = [
+  { key: 'window', name: 'Window size', scale: 1 },
+  { key: 'window2', name: 'Window ×2', scale: 2 },
+  { key: 'hd', name: '1920 × 1080', width: 1920, height: 1080 },
+  { key: '4k', name: '3840 × 2160', width: 3840, height: 2160 },
+  { key: '8k', name: '7680 × 4320', width: 7680, height: 4320 }
+];
+
+const FORMATS = [
+  { key: 'json', name: 'JSON', extension: 'json', type: 'application/json', write: toJSON },
+  { key: 'graphml', name: 'GraphML', extension: 'graphml', type: 'application/xml', write: toGraphML },
+  { key: 'gexf', name: 'GEXF', extension: 'gexf', type: 'application/xml', write: toGEXF },
+  { key: 'nodes', name: 'Nodes CSV', extension: 'nodes.csv', type: 'text/csv', write: toNodesCSV },
+  { key: 'edges', name: 'Edges CSV', extension: 'edges.csv', type: 'text/csv', write: toEdgesCSV }
+];
+
+const sizeOf = (resolution) => (resolution.scale
+  ? {
+    width: Math.round(window.innerWidth * resolution.scale),
+    height: Math.round(window.innerHeight * resolution.scale)
+  }
+  : { width: resolution.width, height: resolution.height });
+
+// Timestamped base name for exported files
+const baseName = () => `starfield-${new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-')}`;
+
+// Export menu: a PNG of the scene at a chosen resolution, and the visible
+// stars and relationships, with their positions and look, as JSON, GraphML,
+// GEXF or CSV. getGraph builds the export graph (see buildExportGraph) when
+// asked, and captureImage renders the PNG.
+const ExportMenu = ({ getGraph, captureImage, meta }) => {
+  const [resolution, setResolution] = useState(RESOLUTIONS[1].key);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const exportImage = async () => {
+    const { width, height } = sizeOf(RESOLUTIONS.find(option => option.key === resolution));
+    setBusy(true);
+    setError(null);
+    setMessage(`Rendering ${width} × ${height}...`);
+    try {
+      downloadBlob(await captureImage(width, height), `${baseName()}.png`);
+      setMessage(`Saved a ${width} × ${height} image`);
+    } catch (err) {
+      console.error('Error exporting image:', err);
+      setError(`Image export failed: ${err.message}`);
+      setMessage(null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const exportGraph = (format) => {
+    setError(null);
+    try {
+      const graph = getGraph();
+      const text = format.write(graph, { ...meta, exportedAt: new Date().toISOString() });
+      downloadText(text, `${baseName()}.${format.extension}`, format.type);
+      setMessage(`Saved ${graph.nodes.length} stars and ${graph.relationships.length} relationships as ${format.name}`);
+    } catch (err) {
+      console.error(`Error exporting ${format.name}:`, err);
+      setError(`${format.name} export failed: ${err.message}`);
+      setMessage(null);
+    }
+  };
+
+  return (
+    <details className="export-menu">
+      <summary>Export</summary>
+      <div className="export-menu-row">
+        <select value={resolution} onChange={(event) => setResolution(event.target.value)} disabled={busy}>
+          {RESOLUTIONS.map(option => <option key={option.key} value={option.key}>{option.name}</option>)}
+        </select>
+        <button className="panel-button" onClick={exportImage} disabled={busy}>PNG image</button>
+      </div>
+      <div className="export-menu-row">
+        {FORMATS.map(format => (
+          <button key={format.key} className="panel-button" onClick={() => exportGraph(format)}>
+            {format.name}
+          </button>
+        ))}
+      </div>
+      <p className="export-menu-hint">Visible stars and relationships, with positions and styling. Images leave out labels.</p>
+      {message && <p className="export-menu-message">{message}</p>}
+      {error && <p className="export-menu-error">{error}</p>}
+    </details>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { formatProblem, MAX_PROBLEMS } from '../import/importGraph';
+import './FileDrop.css';
+
+// What dropping files onto the page does: an overlay while they are held
+// over it, a note while they are read, and what was wrong with them if they
+// could not be imported, line by line
+const FileDrop = ({ dragging, importing, error, onDismiss }) => {
+  if (dragging) {
+    return (
+      <div className="drop-overlay">
+        <div>
+          Drop a graph file to view it
+          <small>JSON, GraphML, GEXF, or CSV (nodes and relationships files together)</small>
+        </div>
+      </div>
+    );
+  }
+
+  if (importing) {
+    return <div className="import-panel">Reading dropped files…</div>;
+  }
+
+  if (!error) return null;
+
+  const problems = error.problems || [{ file: 'Import', line: null, message: error.message }];
+  return (
+    <div className="import-panel import-panel-error">
+      <div className="import-panel-header">
+        <strong>The dropped files could not be imported</strong>
+        <button onClick={onDismiss} title="Dismiss">×</button>
+      </div>
+      <ul>
+        {problems.map((problem, i) => <li key={i}>{formatProblem(problem)}</li>)}
+      </ul>
+      {problems.length >= MAX_PROBLEMS && <p>Only the first {MAX_PROBLEMS} problems are shown.</p>}
+    </div>
+  );
+};
+
+export default FileDrop;
@@ -0,0 +1,186 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { ConvexGeometry } from 'three/examples/jsm/geometries/ConvexGeometry.js';
+import { communityConfig } from '../config/community.config';
+
+// Seconds between nebula rebuilds while the layout is moving
+const HULL_INTERVAL = 0.5;
+
+const NEBULA_OPACITY = 0.06;
+
+// A galaxy's radius is this multiple of its members' RMS distance from the
+// centre, which ignores the odd star flung far out
+const RADIUS_SCALE = 1.5;
+
+const centroid = new THREE.Vector3();
+const point = new THREE.Vector3();
+
+// Communities drawn as galaxies: a translucent nebula (the convex hull of its
+// stars) around each one, and a single super-star in place of its stars once
+// the camera is far enough away that the galaxy looks small. Collapsed stars
+// are published through the lod store ({ hidden: Map<id, centre>, version })
+// so stars, arcs and labels can skip them; arcs to them end at the centre.
+const Galaxies = ({ communities, layout, lod, onSuperStarClick }) => {
+  const { camera } = useThree();
+  const superStarRefs = useRef([]);
+  const labelRefs = useRef([]);
+  const hullTimeRef = useRef(-Infinity);
+  const lastVersion = useRef(-1);
+
+  const galaxies = useMemo(() => communities.list
+    .filter(community => community.size >= communityConfig.minGalaxySize)
+    .map(community => ({
+      ...community,
+      center: [0, 0, 0],
+      radius: 0,
+      collapsed: false,
+      hull: new THREE.Mesh(
+        new THREE.BufferGeometry(),
+        new THREE.MeshBasicMaterial({
+          color: community.color,
+          transparent: true,
+          opacity: NEBULA_OPACITY,
+          side: THREE.DoubleSide,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false
+        })
+      )
+    })), [communities]);
+
+  useEffect(() => () => {
+    galaxies.forEach(galaxy => {
+      galaxy.hull.geometry.dispose();
+      galaxy.hull.material.dispose();
+    });
+    lod.hidden.clear();
+    lod.version += 1;
+  }, [galaxies, lod]);
+
+  useFrame((state) => {
+    const { positions, indexById } = layout;
+    const moved = lastVersion.current !== layout.version;
+    lastVersion.current = layout.version;
+    const rebuildHulls = moved && state.clock.elapsedTime - hullTimeRef.current >= HULL_INTERVAL;
+    if (rebuildHulls) hullTimeRef.current = state.clock.elapsedTime;
+
+    let lodChanged = false;
+    galaxies.forEach((galaxy, i) => {
+      if (moved) {
+        centroid.set(0, 0, 0);
+        let placed = 0;
+        galaxy.nodeIds.forEach(id => {
+          const index = indexById.get(id);
+          if (index === undefined) return;
+          centroid.add(point.fromArray(positions, index * 3));
+          placed += 1;
+        });
+        if (placed > 0) centroid.divideScalar(placed);
+        let spread = 0;
+        galaxy.nodeIds.forEach(id => {
+          const index = indexById.get(id);
+          if (index !== undefined) spread += point.fromArray(positions, index * 3).distanceToSquared(centroid);
+        });
+        // Updated in place: the lod store hands this same array out
+        centroid.toArray(galaxy.center);
+        galaxy.radius = placed > 0 ? Math.sqrt(spread / placed) * RADIUS_SCALE : 0;
+      }
+
+      if (rebuildHulls) {
+        const points = [];
+        galaxy.nodeIds.forEach(id => {
+          const index = indexById.get(id);
+          if (index !== undefined) points.push(new THREE.Vector3().fromArray(positions, index * 3));
+        });
+        try {
+          const geometry = points.length >= 4 ? new ConvexGeometry(points) : new THREE.BufferGeometry();
+          galaxy.hull.geometry.dispose();
+          galaxy.hull.geometry = geometry;
+        } catch (error) {
+          // Flat or degenerate point sets have no hull; keep the last one
+        }
+      }
+
+      // Collapse when small on screen; open again a little closer in
+      const ratio = galaxy.radius / Math.max(1e-6, camera.position.distanceTo(point.fromArray(galaxy.center)));
+      const collapsed = galaxy.collapsed
+        ? ratio < communityConfig.expandAbove
+        : ratio < communityConfig.collapseBelow;
+      if (collapsed !== galaxy.collapsed) {
+        galaxy.collapsed = collapsed;
+        lodChanged = true;
+      }
+
+      galaxy.hull.visible = !collapsed;
+      const superStar = superStarRefs.current[i];
+      if (superStar) {
+        superStar.visible = collapsed;
+        superStar.position.fromArray(galaxy.center);
+      }
+      const label = labelRefs.current[i];
+      if (label) label.style.display = collapsed ? '' : 'none';
+    });
+
+    if (lodChanged) {
+      lod.hidden.clear();
+      galaxies.forEach(galaxy => {
+        if (galaxy.collapsed) galaxy.nodeIds.forEach(id => lod.hidden.set(id, galaxy.center));
+      });
+      lod.version += 1;
+    }
+  });
+
+  return (
+    <>
+      {galaxies.map(galaxy => (
+        <primitive key={`hull-${galaxy.index}`} object={galaxy.hull} raycast={() => null} />
+      ))}
+      {galaxies.map((galaxy, i) => (
+        <group
+          key={`star-${galaxy.index}`}
+          ref={(element) => { superStarRefs.current[i] = element; }}
+          visible={false}
+        >
+          <mesh
+            // Hidden objects are still hit by the raycaster; an open galaxy's
+            // super-star must not catch clicks meant for its stars
+            raycast={function raycast(raycaster, intersects) {
+              if (galaxy.collapsed) THREE.Mesh.prototype.raycast.call(this, raycaster, intersects);
+            }}
+            onClick={(event) => {
+              event.stopPropagation();
+              onSuperStarClick(galaxy.center, galaxy.radius);
+            }}
+          >
+            <sphereGeometry args={[2 + Math.log2(galaxy.size) * 1.5, 16, 16]} />
+            <meshBasicMaterial color={galaxy.color} />
+          </mesh>
+          <mesh raycast={() => null}>
+            <sphereGeometry args={[(2 + Math.log2(galaxy.size) * 1.5) * 2.5, 16, 16]} />
+            <meshBasicMaterial
+              color={galaxy.color}
+              transparent
+              opacity={0.15}
+              blending={THREE.AdditiveBlending}
+              depthWrite={false}
+            />
+          </mesh>
+          <Html center style={{ pointerEvents: 'none' }}>
+            <div
+              ref={(element) => { labelRefs.current[i] = element; }}
+              className="super-star-label"
+              style={{ display: 'none', borderColor: galaxy.color }}
+            >
+              <strong>Community {galaxy.index + 1}</strong> · {galaxy.size} stars
+              <br />
+              {galaxy.topLabels.join(', ')}
+            </div>
+          </Html>
+        </group>
+      ))}
+    </>
+  );
+};
+
+export default Galaxies;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { inputActions } from '../config/input.config';
+import { bindingLabel } from '../utils/keyBindings';
+import './InputHelp.css';
+
+const GROUPS = [...new Set(inputActions.map(action => action.group))];
+
+// Mouse and file gestures, which cannot be rebound
+const POINTER_HELP = [
+  ['Drag', 'Look around'],
+  ['Scroll', 'Zoom'],
+  ['Click a star', 'Inspect it and orbit it'],
+  ['Drag a star', 'Pin it in place'],
+  ['Alt+click a star', 'Release its pin'],
+  ['Double-click a star', 'Expand or collapse its neighbours'],
+  ['Drop a file', 'View a JSON, CSV, GraphML or GEXF graph']
+];
+
+// Every action with its current keys and gamepad buttons, generated from
+// the bindings. A binding is added by pressing the key or button after
+// choosing "+", and removed with its ×.
+const InputHelp = ({ inputBindings, onClose }) => {
+  const { bindings, gamepad, capturing } = inputBindings;
+  // Action waiting for its new binding
+  const [choosing, setChoosing] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const choose = (action) => {
+    setChoosing(action.id);
+    setNotice(null);
+    inputBindings.capture((binding) => {
+      setChoosing(null);
+      const takenFrom = inputBindings.addBinding(action.id, binding);
+      if (takenFrom.length > 0) {
+        setNotice(`${bindingLabel(binding)} no longer does: ${takenFrom.join(', ')}`);
+      }
+    });
+  };
+
+  const cancel = () => {
+    inputBindings.cancelCapture();
+    setChoosing(null);
+  };
+
+  const close = () => {
+    cancel();
+    onClose();
+  };
+
+  return (
+    <div className="input-help-backdrop" onClick={close}>
+      <div className="input-help" onClick={(event) => event.stopPropagation()}>
+        <div className="input-help-header">
+          <h3>Keys and gamepad</h3>
+          <button className="input-help-close" onClick={close} title="Close">×</button>
+        </div>
+        <p className="input-help-gamepad">
+          {gamepad
+            ? `Gamepad: ${gamepad}. The left stick moves, the right stick looks around.`
+            : 'No gamepad found. Press a button on one to connect it.'}
+        </p>
+        {notice && <p className="input-help-notice">{notice}</p>}
+
+        {GROUPS.map(group => (
+          <table key={group} className="input-help-table">
+            <caption>{group}</caption>
+            <tbody>
+              {inputActions.filter(action => action.group === group).map(action => (
+                <tr key={action.id}>
+                  <td className="input-help-action">{action.label}</td>
+                  <td>
+                    {bindings[action.id].map(binding => (
+                      <span key={binding} className="input-help-binding">
+                        <kbd>{bindingLabel(binding)}</kbd>
+                        <button
+                          onClick={() => inputBindings.removeBinding(action.id, binding)}
+                          title={`Remove ${bindingLabel(binding)}`}
+                        >
+                          ×
+                        </button>
+                      </span>
+                    ))}
+                    {choosing === action.id && capturing ? (
+                      <span className="input-help-capturing">
+                        Press a key or button…
+                        <button onClick={cancel}>Cancel</button>
+                      </span>
+                    ) : (
+                      <button className="input-help-add" onClick={() => choose(action)} title="Add a key or button">
+                        +
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ))}
+
+        <table className="input-help-table">
+          <caption>Mouse</caption>
+          <tbody>
+            {POINTER_HELP.map(([gesture, effect]) => (
+              <tr key={gesture}>
+                <td className="input-help-action">{effect}</td>
+                <td><kbd>{gesture}</kbd></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="input-help-footer">
+          <span>Keys do nothing while you type in a text field.</span>
+          <button className="panel-button" onClick={() => { cancel(); inputBindings.resetBindings(); }}>
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InputHelp;
@@ -0,0 +1,297 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+
+// Body geometry for each star shape in the label styles
+const SHAPE_GEOMETRIES = {
+  sphere: () => new THREE.SphereGeometry(1, 8, 8),
+  box: () => new THREE.BoxGeometry(1.6, 1.6, 1.6),
+  octahedron: () => new THREE.OctahedronGeometry(1.3),
+  tetrahedron: () => new THREE.TetrahedronGeometry(1.5),
+  icosahedron: () => new THREE.IcosahedronGeometry(1.2),
+  dodecahedron: () => new THREE.DodecahedronGeometry(1.2)
+};
+
+// Glow halo radius relative to the star body
+const GLOW_SIZE = 6;
+
+// Scale applied to the body of a hovered or selected star
+const HOVER_SCALE = 1.5;
+
+// Camera-facing glow quads, one instance per star. Color, size, glow strength,
+// pulse rate and highlight all come from per-instance attributes, so every
+// star shares a single draw call and a single time uniform.
+const glowVertexShader = `
+  uniform float time;
+  attribute float aGlow;
+  attribute float aPulse;
+  attribute float aPhase;
+  attribute float aHighlight;
+  varying vec2 vUv;
+  varying vec3 vColor;
+  varying float vIntensity;
+
+  void main() {
+    vUv = uv;
+    vColor = instanceColor;
+
+    // Billboard: expand the quad in view space around the instance center
+    float scale = length(instanceMatrix[0].xyz);
+    vec4 mvCenter = modelViewMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+    float size = ${GLOW_SIZE.toFixed(1)} * (1.0 + aHighlight * 0.5);
+    mvCenter.xy += position.xy * scale * size;
+
+    // Pulsing glow, enhanced on hover or highlight
+    float pulse = sin(time * 2.0 * aPulse + aPhase) * 0.5 + 0.5;
+    vIntensity = aGlow * (1.0 + aHighlight * 0.5) * (0.8 + pulse * 0.4);
+
+    gl_Position = projectionMatrix * mvCenter;
+  }
+`;
+
+const glowFragmentShader = `
+  varying vec2 vUv;
+  varying vec3 vColor;
+  varying float vIntensity;
+
+  void main() {
+    float dist = distance(vUv, vec2(0.5, 0.5));
+    float glow = 1.0 - smoothstep(0.0, 0.5, dist);
+    glow = pow(glow, 2.0) * vIntensity;
+    gl_FragColor = vec4(vColor, glow);
+  }
+`;
+
+// Write a translation + uniform scale matrix straight into an instance buffer
+const writeInstance = (array, index, positions, layoutIndex, scale) => {
+  const offset = index * 16;
+  array[offset] = scale;
+  array[offset + 5] = scale;
+  array[offset + 10] = scale;
+  array[offset + 12] = positions[layoutIndex * 3];
+  array[offset + 13] = positions[layoutIndex * 3 + 1];
+  array[offset + 14] = positions[layoutIndex * 3 + 2];
+  array[offset + 15] = 1;
+};
+
+const hideInstance = (array, index) => {
+  array.fill(0, index * 16, index * 16 + 16);
+};
+
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+
+// Scale and highlight contributed by a running sync transition
+const transitionState = (transition, now) => {
+  if (!transition) return { scale: 1, highlight: 0, done: false };
+  const t = Math.min(1, Math.max(0, (now - transition.start) / transition.duration));
+  switch (transition.kind) {
+    case 'enter':
+      return { scale: easeOutCubic(t), highlight: 1 - t, done: t >= 1 };
+    case 'exit':
+      // Exits are cleared by whoever removes the node
+      return { scale: 1 - easeOutCubic(t), highlight: 0, done: false };
+    case 'change':
+      return { scale: 1, highlight: (1 - t) * (0.5 + 0.5 * Math.cos(t * Math.PI * 8)), done: t >= 1 };
+    default:
+      return { scale: 1, highlight: 0, done: true };
+  }
+};
+
+// All stars drawn with instanced geometry: one instanced mesh per body shape
+// plus one instanced glow layer. Picking goes through the body meshes, whose
+// instance ids map back to node ids. Stars inside a collapsed galaxy (in the
+// optional lod store) are hidden.
+const InstancedStars = ({
+  nodes,
+  layout,
+  visibleIds,
+  styleFor,
+  hoveredId,
+  selectedId,
+  highlightIds,
+  transitions,
+  lod,
+  onHover,
+  onStarClick,
+  onStarDoubleClick,
+  onStarDragStart
+}) => {
+  const dirty = useRef(true);
+  const lastVersion = useRef(-1);
+  const lastLodVersion = useRef(-1);
+
+  const { bodies, glow } = useMemo(() => {
+    const color = new THREE.Color();
+
+    // Group stars by shape so each shape is one draw call
+    const byShape = new Map();
+    nodes.forEach(node => {
+      const style = styleFor(node);
+      if (!byShape.has(style.shape)) byShape.set(style.shape, []);
+      byShape.get(style.shape).push({ node, style });
+    });
+
+    const bodies = [...byShape.entries()].map(([shape, entries]) => {
+      const createGeometry = SHAPE_GEOMETRIES[shape] || SHAPE_GEOMETRIES.sphere;
+      const mesh = new THREE.InstancedMesh(createGeometry(), new THREE.MeshBasicMaterial(), entries.length);
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      entries.forEach((entry, i) => mesh.setColorAt(i, color.set(entry.style.color)));
+      return {
+        mesh,
+        ids: entries.map(entry => entry.node.id),
+        sizes: Float32Array.from(entries, entry => entry.style.size ?? 1)
+      };
+    });
+
+    const glowGeometry = new THREE.PlaneGeometry(1, 1);
+    const glowAttributes = {
+      aGlow: new Float32Array(nodes.length),
+      aPulse: new Float32Array(nodes.length),
+      aPhase: new Float32Array(nodes.length),
+      aHighlight: new Float32Array(nodes.length)
+    };
+    const glowMaterial = new THREE.ShaderMaterial({
+      vertexShader: glowVertexShader,
+      fragmentShader: glowFragmentShader,
+      uniforms: { time: { value: 0 } },
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    const glowMesh = new THREE.InstancedMesh(glowGeometry, glowMaterial, nodes.length);
+    glowMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    glowMesh.frustumCulled = false;
+    nodes.forEach((node, i) => {
+      const style = styleFor(node);
+      glowMesh.setColorAt(i, color.set(style.color));
+      glowAttributes.aGlow[i] = style.glow;
+      glowAttributes.aPulse[i] = style.pulse ?? 1;
+      glowAttributes.aPhase[i] = i;
+    });
+    Object.entries(glowAttributes).forEach(([name, array]) => {
+      glowGeometry.setAttribute(name, new THREE.InstancedBufferAttribute(array, 1));
+    });
+
+    return {
+      bodies,
+      glow: {
+        mesh: glowMesh,
+        ids: nodes.map(node => node.id),
+        sizes: Float32Array.from(nodes, node => styleFor(node).size ?? 1)
+      }
+    };
+  }, [nodes, styleFor]);
+
+  useEffect(() => {
+    dirty.current = true;
+    return () => {
+      bodies.forEach(({ mesh }) => {
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+        mesh.dispose();
+      });
+      glow.mesh.geometry.dispose();
+      glow.mesh.material.dispose();
+      glow.mesh.dispose();
+    };
+  }, [bodies, glow]);
+
+  useEffect(() => {
+    dirty.current = true;
+  }, [visibleIds, hoveredId, selectedId, highlightIds]);
+
+  useFrame((state) => {
+    glow.mesh.material.uniforms.time.value = state.clock.elapsedTime;
+
+    const animating = transitions && transitions.entries.size > 0;
+    const lodVersion = lod ? lod.version : 0;
+    if (
+      !dirty.current &&
+      lastVersion.current === layout.version &&
+      lastLodVersion.current === lodVersion &&
+      !animating
+    ) return;
+    dirty.current = false;
+    lastVersion.current = layout.version;
+    lastLodVersion.current = lodVersion;
+
+    const { positions, indexById } = layout;
+    const isVisible = (id) => (
+      indexById.has(id) && (!visibleIds || visibleIds.has(id)) && !lod?.hidden.has(id)
+    );
+    const isFocused = (id) => id === hoveredId || id === selectedId;
+
+    // Resolve running transitions once per frame and drop finished ones
+    const now = performance.now() / 1000;
+    const states = new Map();
+    if (animating) {
+      transitions.entries.forEach((transition, id) => {
+        const state = transitionState(transition, now);
+        if (state.done) transitions.entries.delete(id);
+        else states.set(id, state);
+      });
+    }
+
+    bodies.forEach(({ mesh, ids, sizes }) => {
+      const array = mesh.instanceMatrix.array;
+      ids.forEach((id, i) => {
+        if (!isVisible(id)) {
+          hideInstance(array, i);
+          return;
+        }
+        const scale = sizes[i] * (isFocused(id) ? HOVER_SCALE : 1) * (states.get(id)?.scale ?? 1);
+        writeInstance(array, i, positions, indexById.get(id), scale);
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+      // Recomputed lazily on the next raycast or frustum check
+      mesh.boundingSphere = null;
+    });
+
+    const glowArray = glow.mesh.instanceMatrix.array;
+    const highlight = glow.mesh.geometry.attributes.aHighlight;
+    glow.ids.forEach((id, i) => {
+      if (!isVisible(id)) {
+        hideInstance(glowArray, i);
+        return;
+      }
+      const state = states.get(id);
+      writeInstance(glowArray, i, positions, indexById.get(id), glow.sizes[i] * (state?.scale ?? 1));
+      highlight.array[i] = isFocused(id) || highlightIds?.has(id) ? 1 : (state?.highlight ?? 0);
+    });
+    glow.mesh.instanceMatrix.needsUpdate = true;
+    highlight.needsUpdate = true;
+  });
+
+  // Pointer handlers resolve the instance under the cursor to a node id
+  const bind = (ids) => ({
+    onPointerOver: (event) => {
+      event.stopPropagation();
+      onHover(ids[event.instanceId]);
+    },
+    onPointerOut: () => onHover(null),
+    onPointerDown: (event) => {
+      if (event.button !== 0) return;
+      event.stopPropagation();
+      onStarDragStart(ids[event.instanceId]);
+    },
+    onClick: (event) => {
+      event.stopPropagation();
+      onStarClick(ids[event.instanceId], event);
+    },
+    onDoubleClick: (event) => {
+      event.stopPropagation();
+      onStarDoubleClick?.(ids[event.instanceId]);
+    }
+  });
+
+  return (
+    <>
+      {bodies.map(({ mesh, ids }) => (
+        <primitive key={mesh.uuid} object={mesh} {...bind(ids)} />
+      ))}
+      <primitive object={glow.mesh} raycast={() => null} />
+    </>
+  );
+};
+
+export default InstancedStars;
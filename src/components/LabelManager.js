@@ -0,0 +1,166 @@
+import { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+
+// Hard cap on labels shown at once
+const MAX_LABELS = 60;
+
+// Share of the screen that labels may cover in total
+const AREA_BUDGET = 0.08;
+
+// Frames between re-running label selection; positions update every frame
+const SELECT_INTERVAL = 6;
+
+// How quickly labels fade in and out per frame (0..1)
+const FADE_RATE = 0.15;
+
+// Estimated label metrics in CSS pixels
+const FONT_SIZE = 13;
+const LINE_HEIGHT = 18;
+const LABEL_OFFSET = 10;
+const MAX_CHARS = 30;
+
+const projected = new THREE.Vector3();
+const worldPosition = new THREE.Vector3();
+
+// Truncate long names for better display
+const displayName = (name) => {
+  if (!name) return 'Unknown';
+  return name.length > MAX_CHARS ? name.substring(0, MAX_CHARS) + '...' : name;
+};
+
+// Approximate rendered width; CJK characters are about twice as wide as Latin ones
+const estimateWidth = (text) => {
+  let width = 0;
+  for (const char of text) {
+    width += char.charCodeAt(0) > 0x2e80 ? FONT_SIZE : FONT_SIZE * 0.6;
+  }
+  return width + 8;
+};
+
+const overlaps = (a, b) => (
+  a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom
+);
+
+// Chooses which star labels to draw: forced ones (hovered, selected, searched)
+// always, then the most important and nearest ones that fit the screen budget
+// without overlapping. Labels are pooled DOM elements in an overlay container,
+// positioned every frame and faded in and out as the selection changes.
+// Stars inside a collapsed galaxy (in the optional lod store) get no label.
+const LabelManager = ({ nodes, layout, importance, forcedIds, getName, container, lod }) => {
+  const { camera, size } = useThree();
+  const labelsRef = useRef(new Map());
+  const frameRef = useRef(0);
+
+  // Remove all label elements when the manager goes away
+  useEffect(() => {
+    const labels = labelsRef.current;
+    return () => {
+      labels.forEach(label => label.element.remove());
+      labels.clear();
+    };
+  }, [container]);
+
+  const project = (id) => {
+    const index = layout.indexById.get(id);
+    if (index === undefined || lod?.hidden.has(id)) return null;
+    worldPosition.fromArray(layout.positions, index * 3);
+    projected.copy(worldPosition).project(camera);
+    if (projected.z < -1 || projected.z > 1) return null;
+    return {
+      x: (projected.x + 1) / 2 * size.width,
+      y: (1 - projected.y) / 2 * size.height - LABEL_OFFSET,
+      distance: camera.position.distanceTo(worldPosition)
+    };
+  };
+
+  const selectLabels = () => {
+    const candidates = [];
+    nodes.forEach(node => {
+      const screen = project(node.id);
+      if (!screen) return;
+      if (screen.x < 0 || screen.x > size.width || screen.y < 0 || screen.y > size.height) return;
+      const forced = forcedIds.has(node.id);
+      const score = forced ? Infinity : (1 + Math.log1p(importance.get(node.id) || 0)) / screen.distance;
+      candidates.push({ node, screen, score, forced });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+
+    const areaBudget = size.width * size.height * AREA_BUDGET;
+    const accepted = [];
+    let usedArea = 0;
+    const chosen = new Map();
+
+    for (const candidate of candidates) {
+      const text = displayName(getName(candidate.node));
+      const width = estimateWidth(text);
+      const rect = {
+        left: candidate.screen.x - width / 2,
+        right: candidate.screen.x + width / 2,
+        top: candidate.screen.y - LINE_HEIGHT,
+        bottom: candidate.screen.y
+      };
+
+      if (!candidate.forced) {
+        if (accepted.length >= MAX_LABELS || usedArea + width * LINE_HEIGHT > areaBudget) break;
+        if (accepted.some(other => overlaps(rect, other))) continue;
+      }
+
+      accepted.push(rect);
+      usedArea += width * LINE_HEIGHT;
+      chosen.set(candidate.node.id, text);
+    }
+
+    const labels = labelsRef.current;
+    labels.forEach((label, id) => {
+      label.target = chosen.has(id) ? 1 : 0;
+    });
+    chosen.forEach((text, id) => {
+      let label = labels.get(id);
+      if (!label) {
+        const element = document.createElement('div');
+        element.className = 'star-label';
+        element.style.opacity = '0';
+        container.appendChild(element);
+        label = { element, opacity: 0, target: 1, text: null };
+        labels.set(id, label);
+      }
+      if (label.text !== text) {
+        label.element.textContent = text;
+        label.text = text;
+      }
+      label.element.classList.toggle('star-label-focused', forcedIds.has(id));
+    });
+  };
+
+  useFrame(() => {
+    if (!container) return;
+
+    if (frameRef.current % SELECT_INTERVAL === 0) {
+      selectLabels();
+    }
+    frameRef.current += 1;
+
+    const labels = labelsRef.current;
+    labels.forEach((label, id) => {
+      const screen = project(id);
+      const target = screen ? label.target : 0;
+      label.opacity += (target - label.opacity) * FADE_RATE;
+
+      if (label.opacity < 0.01 && label.target === 0) {
+        label.element.remove();
+        labels.delete(id);
+        return;
+      }
+      if (screen) {
+        label.element.style.transform =
+          `translate(${screen.x.toFixed(1)}px, ${screen.y.toFixed(1)}px) translate(-50%, -100%)`;
+      }
+      label.element.style.opacity = label.opacity.toFixed(2);
+    });
+  });
+
+  return null;
+};
+
+export default LabelManager;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { NODE_SHAPES } from '../config/labelStyles';
+import './Legend.css';
+
+// Glyphs that hint at each star shape in the legend
+const SHAPE_GLYPHS = {
+  sphere: '●',
+  box: '■',
+  octahedron: '◆',
+  tetrahedron: '▲',
+  icosahedron: '⬢',
+  dodecahedron: '⬟'
+};
+
+// On-screen key of node labels. Clicking an entry shows or hides the label,
+// the target button isolates it, and the gear opens its style settings.
+// Further sections, such as metric bindings, are passed as children.
+const Legend = ({
+  labelCounts,
+  styles,
+  hiddenLabels,
+  isolated,
+  onToggleHidden,
+  onToggleIsolated,
+  onUpdateLabel,
+  onResetLabel,
+  children
+}) => {
+  const [editing, setEditing] = useState(null);
+
+  if (labelCounts.size === 0) return null;
+
+  const entries = [...labelCounts.entries()].sort((a, b) => b[1] - a[1]);
+
+  return (
+    <div className="legend">
+      <h3>Legend</h3>
+      {entries.map(([label, count]) => {
+        const style = styles.get(label);
+        const dimmed = isolated ? isolated !== label : hiddenLabels.has(label);
+        return (
+          <div key={label} className="legend-entry">
+            <div className={`legend-row ${dimmed ? 'legend-row-dimmed' : ''}`}>
+              <button
+                className="legend-toggle"
+                title={hiddenLabels.has(label) ? 'Show' : 'Hide'}
+                onClick={() => onToggleHidden(label)}
+              >
+                <span
+                  className="legend-glyph"
+                  style={{ color: style.color, textShadow: `0 0 ${4 * style.glow}px ${style.color}` }}
+                >
+                  {SHAPE_GLYPHS[style.shape]}
+                </span>
+                {label} ({count})
+              </button>
+              <button
+                className={`legend-icon ${isolated === label ? 'legend-icon-active' : ''}`}
+                title={isolated === label ? 'Show all labels' : 'Show only this label'}
+                onClick={() => onToggleIsolated(label)}
+              >
+                ◎
+              </button>
+              <button
+                className={`legend-icon ${editing === label ? 'legend-icon-active' : ''}`}
+                title="Style settings"
+                onClick={() => setEditing(prev => (prev === label ? null : label))}
+              >
+                ⚙
+              </button>
+            </div>
+            {editing === label && (
+              <div className="legend-settings">
+                <label>
+                  Color
+                  <input
+                    type="color"
+                    value={style.color}
+                    onChange={(e) => onUpdateLabel(label, { color: e.target.value })}
+                  />
+                </label>
+                <label>
+                  Shape
+                  <select
+                    value={style.shape}
+                    onChange={(e) => onUpdateLabel(label, { shape: e.target.value })}
+                  >
+                    {NODE_SHAPES.map(shape => (
+                      <option key={shape} value={shape}>{shape}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Glow
+                  <input
+                    type="range"
+                    min="0"
+                    max="3"
+                    step="0.1"
+                    value={style.glow}
+                    onChange={(e) => onUpdateLabel(label, { glow: Number(e.target.value) })}
+                  />
+                </label>
+                <button className="panel-button" onClick={() => onResetLabel(label)}>Reset</button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+      {children}
+    </div>
+  );
+};
+
+export default Legend;
@@ -0,0 +1,41 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { getNodePosition } from '../layout/useForceLayout';
+
+const DRAFT_COLOR = '#ff66cc';
+
+// The relationship being drawn in edit mode: a line from the star the drag
+// started on to the pointer, or to the star under it. Reads the drag state
+// ({ id, end, targetId }) from draftRef every frame.
+const LinkDraft = ({ draftRef, layout }) => {
+  const lineRef = useRef();
+
+  const geometry = useMemo(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+    return geometry;
+  }, []);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  useFrame(() => {
+    const line = lineRef.current;
+    const draft = draftRef.current;
+    const start = draft?.linking && draft.end && getNodePosition(layout, draft.id);
+    line.visible = Boolean(start);
+    if (!start) return;
+    const end = (draft.targetId && getNodePosition(layout, draft.targetId)) || draft.end;
+    geometry.attributes.position.array.set(start, 0);
+    geometry.attributes.position.array.set(end, 3);
+    geometry.attributes.position.needsUpdate = true;
+  });
+
+  return (
+    <lineSegments ref={lineRef} geometry={geometry} frustumCulled={false} raycast={() => null}>
+      <lineBasicMaterial color={DRAFT_COLOR} transparent opacity={0.9} depthWrite={false} />
+    </lineSegments>
+  );
+};
+
+export default LinkDraft;
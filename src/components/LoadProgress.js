@@ -0,0 +1,33 @@
+import React from 'react';
+import './LoadProgress.css';
+
+const percent = (loaded, total) => (total > 0 ? Math.min(100, (loaded / total) * 100) : 100);
+
+// Progress bar for a graph that is still streaming in, with a cancel button
+const LoadProgress = ({ progress, onCancel, onDismiss }) => {
+  if (!progress || (progress.phase === 'done' && !progress.cancelled)) return null;
+
+  const { loadedNodes, totalNodes, loadedRelationships, totalRelationships } = progress;
+  const loaded = loadedNodes + loadedRelationships;
+  const total = totalNodes + totalRelationships;
+
+  return (
+    <div className="load-progress">
+      <div className="load-progress-text">
+        {progress.cancelled ? 'Load cancelled: ' : 'Loading: '}
+        {loadedNodes.toLocaleString()} / {totalNodes.toLocaleString()} stars,{' '}
+        {loadedRelationships.toLocaleString()} / {totalRelationships.toLocaleString()} relationships
+      </div>
+      <div className="load-progress-track">
+        <div className="load-progress-bar" style={{ width: `${percent(loaded, total)}%` }} />
+      </div>
+      {progress.cancelled ? (
+        <button className="panel-button" onClick={onDismiss}>Dismiss</button>
+      ) : (
+        <button className="panel-button" onClick={onCancel}>Cancel</button>
+      )}
+    </div>
+  );
+};
+
+export default LoadProgress;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { CHANNELS, COLOR_RAMPS, DEFAULT_RAMP } from '../metrics/metricBindings';
+import MetricHistogram from './MetricHistogram';
+import './MetricBindings.css';
+
+// Legend section for binding metrics and numeric properties to how stars
+// look. Each bound channel shows a histogram of the values behind it.
+const MetricBindings = ({ sources, bindings, channels, computing, error, metricsSource, onSetBinding }) => {
+  const groups = ['Metrics', 'Properties'].map(group => ({
+    group,
+    sources: sources.filter(source => source.group === group)
+  })).filter(({ sources: groupSources }) => groupSources.length > 0);
+
+  return (
+    <div className="metric-bindings">
+      <h3>Star metrics</h3>
+      {CHANNELS.map(channel => {
+        const binding = bindings[channel.key];
+        const resolved = channels.find(entry => entry.channel.key === channel.key);
+        return (
+          <div key={channel.key} className="metric-binding">
+            <label>
+              {channel.name}
+              <select
+                value={binding?.key || ''}
+                onChange={(e) => onSetBinding(channel.key, e.target.value ? { key: e.target.value } : null)}
+              >
+                <option value="">Label style</option>
+                {groups.map(({ group, sources: groupSources }) => (
+                  <optgroup key={group} label={group}>
+                    {groupSources.map(source => (
+                      <option key={source.key} value={source.key}>{source.name}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </label>
+            {binding && (
+              <div className="metric-binding-options">
+                <select
+                  value={binding.scale || 'linear'}
+                  onChange={(e) => onSetBinding(channel.key, { scale: e.target.value })}
+                >
+                  <option value="linear">Linear</option>
+                  <option value="log">Log</option>
+                </select>
+                {channel.key === 'color' && (
+                  <select
+                    value={binding.ramp || DEFAULT_RAMP}
+                    onChange={(e) => onSetBinding(channel.key, { ramp: e.target.value })}
+                  >
+                    {Object.keys(COLOR_RAMPS).map(ramp => (
+                      <option key={ramp} value={ramp}>{ramp}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            )}
+            {resolved && <MetricHistogram {...resolved} />}
+          </div>
+        );
+      })}
+      {computing && <p className="metric-bindings-status">Computing metrics...</p>}
+      {!computing && metricsSource && (
+        <p className="metric-bindings-status">
+          Metrics computed {metricsSource === 'browser' ? 'in the browser' : `with ${metricsSource}`}
+        </p>
+      )}
+      {error && <p className="metric-bindings-error">{error}</p>}
+    </div>
+  );
+};
+
+export default MetricBindings;
@@ -0,0 +1,54 @@
+import React, { useMemo } from 'react';
+import { bin, format, max } from 'd3';
+import { metricsConfig } from '../config/metrics.config';
+import { COLOR_RAMPS, DEFAULT_RAMP, normalize } from '../metrics/metricBindings';
+
+const WIDTH = 180;
+const HEIGHT = 32;
+
+const formatValue = format('.3~g');
+
+// Distribution of a bound value over the stars, binned the way it is mapped:
+// the left edge is the lowest value and the right edge the highest. Bars of a
+// color binding take the color they stand for.
+const MetricHistogram = ({ channel, binding, values, domain }) => {
+  const bins = useMemo(() => {
+    const positions = [...values.values()].map(value => normalize(value, domain, binding.scale));
+    return bin()
+      .domain([0, 1])
+      .thresholds(Array.from({ length: metricsConfig.histogramBins - 1 }, (_, i) => (i + 1) / metricsConfig.histogramBins))(positions);
+  }, [values, domain, binding.scale]);
+
+  const tallest = max(bins, b => b.length) || 1;
+  const ramp = COLOR_RAMPS[binding.ramp] || COLOR_RAMPS[DEFAULT_RAMP];
+  const barWidth = WIDTH / bins.length;
+
+  return (
+    <div className="metric-histogram">
+      <svg width={WIDTH} height={HEIGHT}>
+        {bins.map((b, i) => {
+          const height = b.length === 0 ? 0 : Math.max(1, (b.length / tallest) * HEIGHT);
+          return (
+            <rect
+              key={i}
+              x={i * barWidth}
+              y={HEIGHT - height}
+              width={Math.max(1, barWidth - 1)}
+              height={height}
+              fill={channel.key === 'color' ? ramp((b.x0 + b.x1) / 2) : '#00ffcc'}
+            >
+              <title>{b.length} stars</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="metric-histogram-axis">
+        <span>{formatValue(domain[0])}</span>
+        <span>{values.size} stars</span>
+        <span>{formatValue(domain[1])}</span>
+      </div>
+    </div>
+  );
+};
+
+export default MetricHistogram;
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import PropertyEditor from './PropertyEditor';
+import { emptyRow, rowsToProperties } from '../utils/propertyValues';
+import './NewElementForm.css';
+
+const splitLabels = (text) => text.split(/[,:]/).map(label => label.trim()).filter(Boolean);
+
+// Form for a new star (kind 'node': its labels and properties) or a new
+// relationship between two stars (kind 'relationship': its type and
+// properties). Existing labels and types are offered as suggestions.
+const NewElementForm = ({ kind, startName, endName, suggestions, busy, onCreate, onCancel }) => {
+  const [name, setName] = useState('');
+  const [rows, setRows] = useState(() => (kind === 'node' ? [{ ...emptyRow(), key: 'name' }] : []));
+  const [error, setError] = useState(null);
+
+  const submit = (event) => {
+    event.preventDefault();
+    const { properties, error: rowError } = rowsToProperties(rows);
+    if (rowError) {
+      setError(rowError);
+      return;
+    }
+    if (kind === 'node') {
+      onCreate({ labels: splitLabels(name), properties });
+    } else if (!name.trim()) {
+      setError('A relationship needs a type');
+    } else {
+      onCreate({ type: name.trim(), properties });
+    }
+  };
+
+  return (
+    <form
+      className="new-element-form"
+      onSubmit={submit}
+      onKeyDown={(event) => {
+        event.stopPropagation();
+        if (event.key === 'Escape') onCancel();
+      }}
+      onKeyUp={(event) => event.stopPropagation()}
+    >
+      <div className="new-element-form-header">
+        {kind === 'node' ? 'New star' : <>New relationship: {startName} → {endName}</>}
+      </div>
+      <label>
+        {kind === 'node' ? 'Labels' : 'Type'}
+        <input
+          autoFocus
+          list="new-element-suggestions"
+          value={name}
+          placeholder={kind === 'node' ? 'e.g. Paper, Preprint' : 'e.g. CITES'}
+          onChange={(event) => setName(event.target.value)}
+        />
+        <datalist id="new-element-suggestions">
+          {suggestions.map(suggestion => <option key={suggestion} value={suggestion} />)}
+        </datalist>
+      </label>
+      <PropertyEditor rows={rows} onChange={setRows} />
+      {error && <p className="new-element-form-error">{error}</p>}
+      <div className="new-element-form-actions">
+        <button type="submit" className="panel-button" disabled={busy}>
+          {busy ? 'Saving...' : 'Create'}
+        </button>
+        <button type="button" className="panel-button" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+};
+
+export default NewElementForm;
@@ -0,0 +1,346 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { dataSource } from '../services/dataSource';
+import { exploreConfig } from '../config/explore.config';
+import { propertiesToRows, rowsToProperties } from '../utils/propertyValues';
+import PropertyEditor from './PropertyEditor';
+import './NodeInspector.css';
+
+// Neighbours fetched per page
+const PAGE_SIZE = 20;
+
+// Render a property value compactly
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const parseTypes = (text) => text.split(',').map(type => type.trim()).filter(Boolean);
+
+// Side panel with the selected node's properties, labels, degree and a
+// paginated list of its neighbours grouped by relationship type, plus
+// controls to expand or collapse its neighbourhood in the scene and to
+// start a route from or to it. When editable, its properties can be edited
+// and it and its relationships deleted; revision should change after every
+// edit so the panel reads the node again. onSaveProperties resolves like the
+// graph editor's changes: the saved node, null after a conflict, or false
+// when the save failed otherwise.
+// Mount it with key={nodeId} so paging restarts for each selection.
+const NodeInspector = ({
+  nodeId,
+  getName,
+  styleForLabel,
+  isLoaded,
+  expanded,
+  expanding,
+  expandError,
+  expansionSettings,
+  onUpdateExpansion,
+  onExpand,
+  onCollapse,
+  onRouteFrom,
+  onRouteTo,
+  onSelectNeighbour,
+  editable = false,
+  editBusy = false,
+  revision = 0,
+  onSaveProperties,
+  onDelete,
+  onDeleteRelationship,
+  onClose
+}) => {
+  const [details, setDetails] = useState(null);
+  const [neighbours, setNeighbours] = useState([]);
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [typesText, setTypesText] = useState(expansionSettings.types.join(', '));
+  // Property rows while editing, else null
+  const [editRows, setEditRows] = useState(null);
+  const [editError, setEditError] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [confirmingRelationshipId, setConfirmingRelationshipId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchDetails = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const [nodeDetails, related] = await Promise.all([
+          dataSource.getPaperDetails(nodeId),
+          dataSource.getRelatedPapers(nodeId, { skip: page * PAGE_SIZE, limit: PAGE_SIZE })
+        ]);
+        if (cancelled) return;
+        setDetails(nodeDetails);
+        setNeighbours(related);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Error fetching node details:', err);
+        setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchDetails();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [nodeId, page, revision]);
+
+  // Leaving edit mode drops unsaved edits
+  useEffect(() => {
+    if (editable) return;
+    setEditRows(null);
+    setConfirmingDelete(false);
+    setConfirmingRelationshipId(null);
+  }, [editable]);
+
+  const saveProperties = async () => {
+    const { properties, error: rowError } = rowsToProperties(editRows);
+    if (rowError) {
+      setEditError(rowError);
+      return;
+    }
+    setEditError(null);
+    const updated = await onSaveProperties(details, properties);
+    // Keep what was typed to try again, unless a conflict showed the latest
+    // version instead
+    if (updated === false) return;
+    setEditRows(null);
+    if (updated) setDetails(prev => ({ ...updated, degree: prev.degree }));
+  };
+
+  // Group this page of neighbours by relationship type and direction
+  const groups = useMemo(() => {
+    const byType = new Map();
+    neighbours.forEach(entry => {
+      const key = `${entry.direction}:${entry.relationship.type}`;
+      if (!byType.has(key)) {
+        byType.set(key, { type: entry.relationship.type, direction: entry.direction, entries: [] });
+      }
+      byType.get(key).entries.push(entry);
+    });
+    return [...byType.values()];
+  }, [neighbours]);
+
+  const pageCount = details ? Math.max(1, Math.ceil(details.degree / PAGE_SIZE)) : 1;
+
+  return (
+    <div className="node-inspector">
+      <button className="node-inspector-close" title="Close" onClick={onClose}>×</button>
+
+      {error && <p className="node-inspector-error">{error}</p>}
+
+      {!error && !details && loading && <p>Loading...</p>}
+
+      {!error && details === null && !loading && <p>This node no longer exists.</p>}
+
+      {details && (
+        <>
+          <h3>{getName(details)}</h3>
+          <div className="node-inspector-labels">
+            {details.labels.map(label => (
+              <span
+                key={label}
+                className="node-inspector-label"
+                style={{ borderColor: styleForLabel(label).color, color: styleForLabel(label).color }}
+              >
+                {label}
+              </span>
+            ))}
+          </div>
+          <p className="node-inspector-meta">ID {details.id} · Degree {details.degree}</p>
+
+          <div className="node-inspector-expand" onKeyDown={(event) => event.stopPropagation()}>
+            {expanded ? (
+              <button className="panel-button" onClick={onCollapse}>Collapse neighbourhood</button>
+            ) : (
+              <button className="panel-button" onClick={onExpand} disabled={expanding}>
+                {expanding ? 'Expanding...' : 'Expand neighbourhood'}
+              </button>
+            )}
+            <details>
+              <summary>Expansion settings</summary>
+              <label>
+                Hops
+                <select
+                  value={expansionSettings.hops}
+                  onChange={(event) => onUpdateExpansion({ hops: Number(event.target.value) })}
+                >
+                  {Array.from({ length: exploreConfig.maxHops }, (_, i) => i + 1).map(hops => (
+                    <option key={hops} value={hops}>{hops}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Per star
+                <input
+                  type="number"
+                  min={1}
+                  max={200}
+                  value={expansionSettings.limit}
+                  onChange={(event) => onUpdateExpansion({
+                    limit: Math.min(200, Math.max(1, Number(event.target.value) || 1))
+                  })}
+                />
+              </label>
+              <label>
+                Direction
+                <select
+                  value={expansionSettings.direction}
+                  onChange={(event) => onUpdateExpansion({ direction: event.target.value })}
+                >
+                  <option value="both">Both</option>
+                  <option value="out">Outgoing</option>
+                  <option value="in">Incoming</option>
+                </select>
+              </label>
+              <label>
+                Types
+                <input
+                  value={typesText}
+                  placeholder="All; or e.g. MEMBER_OF, RELATED_TO"
+                  onChange={(event) => setTypesText(event.target.value)}
+                  onBlur={() => onUpdateExpansion({ types: parseTypes(typesText) })}
+                />
+              </label>
+            </details>
+            {expandError && <p className="node-inspector-error">{expandError}</p>}
+          </div>
+
+          {onRouteFrom && (
+            <div className="node-inspector-route">
+              <button className="panel-button" onClick={onRouteFrom}>Route from here</button>
+              <button className="panel-button" onClick={onRouteTo}>Route to here</button>
+            </div>
+          )}
+
+          {editRows ? (
+            <div className="node-inspector-edit" onKeyDown={(event) => event.stopPropagation()}>
+              <PropertyEditor rows={editRows} onChange={setEditRows} />
+              {editError && <p className="node-inspector-error">{editError}</p>}
+              <button className="panel-button" onClick={saveProperties} disabled={editBusy}>
+                {editBusy ? 'Saving...' : 'Save'}
+              </button>
+              <button className="panel-button" onClick={() => setEditRows(null)}>Cancel</button>
+            </div>
+          ) : (
+            <table className="node-inspector-properties">
+              <tbody>
+                {Object.entries(details.properties).map(([key, value]) => (
+                  <tr key={key}>
+                    <th>{key}</th>
+                    <td>{formatValue(value)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {editable && !editRows && (
+            <div className="node-inspector-edit">
+              {confirmingDelete ? (
+                <>
+                  <p className="node-inspector-warning">
+                    Delete {getName(details)}
+                    {details.degree > 0 && ` and its ${details.degree} relationship${details.degree === 1 ? '' : 's'}`}?
+                  </p>
+                  <button className="panel-button node-inspector-danger" onClick={() => onDelete(details)} disabled={editBusy}>
+                    Delete
+                  </button>
+                  <button className="panel-button" onClick={() => setConfirmingDelete(false)}>Cancel</button>
+                </>
+              ) : (
+                <>
+                  <button
+                    className="panel-button"
+                    onClick={() => {
+                      setEditError(null);
+                      setEditRows(propertiesToRows(details.properties));
+                    }}
+                  >
+                    Edit properties
+                  </button>
+                  <button className="panel-button" onClick={() => setConfirmingDelete(true)}>Delete star</button>
+                </>
+              )}
+            </div>
+          )}
+
+          <h4>Neighbours</h4>
+          {groups.length === 0 && !loading && <p className="node-inspector-meta">No relationships</p>}
+          {groups.map(group => (
+            <div key={`${group.direction}:${group.type}`} className="node-inspector-group">
+              <div className="node-inspector-group-title">
+                {group.direction === 'out' ? `—[${group.type}]→` : `←[${group.type}]—`}
+              </div>
+              {group.entries.map(entry => (
+                <div key={entry.relationship.id} className="node-inspector-neighbour-row">
+                  <button
+                    className="node-inspector-neighbour"
+                    onClick={() => onSelectNeighbour(entry.node.id)}
+                    title={isLoaded(entry.node.id) ? 'Fly to this star' : 'Not in the current view'}
+                  >
+                    {getName(entry.node)}
+                    {!isLoaded(entry.node.id) && <span className="node-inspector-meta"> (not loaded)</span>}
+                  </button>
+                  {editable && (confirmingRelationshipId === entry.relationship.id ? (
+                    <span className="node-inspector-warning">
+                      Delete?{' '}
+                      <button
+                        className="node-inspector-link"
+                        disabled={editBusy}
+                        onClick={async () => {
+                          await onDeleteRelationship(entry.relationship);
+                          setConfirmingRelationshipId(null);
+                        }}
+                      >
+                        Yes
+                      </button>{' '}
+                      <button className="node-inspector-link" onClick={() => setConfirmingRelationshipId(null)}>
+                        No
+                      </button>
+                    </span>
+                  ) : (
+                    <button
+                      className="node-inspector-link"
+                      title="Delete this relationship"
+                      onClick={() => setConfirmingRelationshipId(entry.relationship.id)}
+                    >
+                      ×
+                    </button>
+                  ))}
+                </div>
+              ))}
+            </div>
+          ))}
+
+          {pageCount > 1 && (
+            <div className="node-inspector-pager">
+              <button
+                className="panel-button"
+                disabled={page === 0 || loading}
+                onClick={() => setPage(prev => prev - 1)}
+              >
+                Prev
+              </button>
+              <span>Page {page + 1} of {pageCount}</span>
+              <button
+                className="panel-button"
+                disabled={page + 1 >= pageCount || loading}
+                onClick={() => setPage(prev => prev + 1)}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NodeInspector;
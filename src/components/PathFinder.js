@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { pathConfig } from '../config/path.config';
+import './PathFinder.css';
+
+const parseTypes = (text) => text.split(',').map(type => type.trim()).filter(Boolean);
+
+// Relationship leading to the j-th star of a route, with the way it points
+const hopLabel = (route, j) => {
+  const rel = route.relationships[j - 1];
+  return rel.startId === route.nodes[j - 1].id ? `–${rel.type}→` : `←${rel.type}–`;
+};
+
+// Panel for finding routes between two stars. Either end can be set from the
+// selected star; found routes are listed shortest first, and the one chosen
+// is highlighted in the scene and can be flown along hop by hop.
+const PathFinder = ({
+  source,
+  target,
+  selected,
+  settings,
+  routes,
+  activeIndex,
+  finding,
+  error,
+  getName,
+  onChooseSource,
+  onChooseTarget,
+  onSwap,
+  onUpdateSettings,
+  onFind,
+  onSelectRoute,
+  onFlyAlong,
+  onClear,
+  onClose
+}) => {
+  const [typesText, setTypesText] = useState(settings.types.join(', '));
+
+  const sameStar = source && target && source.id === target.id;
+  const canFind = source && target && !sameStar && !finding;
+
+  const endpoint = (label, node, onChoose) => (
+    <div className="path-finder-endpoint">
+      <span className="path-finder-endpoint-label">{label}</span>
+      <span className="path-finder-endpoint-name">{node ? getName(node) : 'Not set'}</span>
+      <button
+        className="panel-button"
+        onClick={() => onChoose(selected)}
+        disabled={!selected}
+        title={selected ? `Use ${getName(selected)}` : 'Select a star first'}
+      >
+        Use selected
+      </button>
+    </div>
+  );
+
+  return (
+    <div
+      className="path-finder"
+      onKeyDown={(event) => {
+        // Keep typing from reaching the camera controls
+        event.stopPropagation();
+        if (event.key === 'Enter' && canFind) onFind();
+      }}
+      onKeyUp={(event) => event.stopPropagation()}
+    >
+      <div className="path-finder-header">
+        <strong>Find route</strong>
+        <button className="path-finder-close" onClick={onClose} title="Close">×</button>
+      </div>
+
+      {endpoint('From', source, onChooseSource)}
+      {endpoint('To', target, onChooseTarget)}
+
+      <div className="path-finder-row">
+        <label>
+          Routes
+          <select value={settings.k} onChange={(event) => onUpdateSettings({ k: Number(event.target.value) })}>
+            {Array.from({ length: pathConfig.maxRoutes }, (_, i) => i + 1).map(k => (
+              <option key={k} value={k}>{k}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Max hops
+          <select
+            value={settings.maxHops}
+            onChange={(event) => onUpdateSettings({ maxHops: Number(event.target.value) })}
+          >
+            {Array.from({ length: pathConfig.maxHops }, (_, i) => i + 1).map(hops => (
+              <option key={hops} value={hops}>{hops}</option>
+            ))}
+          </select>
+        </label>
+        <button className="panel-button" onClick={onSwap} disabled={!source && !target} title="Swap ends">
+          ⇅
+        </button>
+      </div>
+      <label className="path-finder-types">
+        Types
+        <input
+          value={typesText}
+          placeholder="All; or e.g. MEMBER_OF, PARTICIPATES_IN"
+          onChange={(event) => setTypesText(event.target.value)}
+          onBlur={() => onUpdateSettings({ types: parseTypes(typesText) })}
+        />
+      </label>
+
+      <div className="path-finder-row">
+        <button className="panel-button" onClick={onFind} disabled={!canFind}>
+          {finding ? 'Searching...' : 'Find route'}
+        </button>
+        {routes && (
+          <button className="panel-button" onClick={onClear}>Clear</button>
+        )}
+      </div>
+
+      {sameStar && <p className="path-finder-message">Pick two different stars.</p>}
+      {error && <p className="path-finder-error">{error}</p>}
+
+      {routes && routes.length === 0 && (
+        <p className="path-finder-message">
+          No route from {getName(source)} to {getName(target)} within {settings.maxHops} hops
+          {settings.types.length > 0 && ` using ${settings.types.join(', ')}`}.
+        </p>
+      )}
+
+      {routes && routes.length > 0 && (
+        <>
+          <ul className="path-finder-routes">
+            {routes.map((route, i) => (
+              <li key={i}>
+                <button
+                  className={`path-finder-route${i === activeIndex ? ' active' : ''}`}
+                  onClick={() => onSelectRoute(i)}
+                >
+                  <strong>{route.relationships.length} {route.relationships.length === 1 ? 'hop' : 'hops'}</strong>
+                  {' '}
+                  {route.nodes.map((node, j) => (
+                    <React.Fragment key={node.id}>
+                      {j > 0 && <span className="path-finder-rel"> {hopLabel(route, j)} </span>}
+                      {getName(node)}
+                    </React.Fragment>
+                  ))}
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button className="panel-button" onClick={onFlyAlong}>Fly along route</button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PathFinder;
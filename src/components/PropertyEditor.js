@@ -0,0 +1,37 @@
+import React from 'react';
+import { emptyRow } from '../utils/propertyValues';
+import './PropertyEditor.css';
+
+// Name and value rows for editing properties. Values are typed as text:
+// 42, true, "quoted text" and [1, 2] keep their types, anything else is text,
+// and a row left without a value removes the property.
+const PropertyEditor = ({ rows, onChange }) => {
+  const update = (index, patch) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+  };
+
+  return (
+    <div className="property-editor">
+      {rows.map((row, i) => (
+        <div key={i} className="property-editor-row">
+          <input
+            value={row.key}
+            placeholder="name"
+            onChange={(event) => update(i, { key: event.target.value })}
+          />
+          <input
+            value={row.text}
+            placeholder="value"
+            onChange={(event) => update(i, { text: event.target.value })}
+          />
+          <button type="button" title="Remove" onClick={() => onChange(rows.filter((_, j) => j !== i))}>×</button>
+        </div>
+      ))}
+      <button type="button" className="panel-button" onClick={() => onChange([...rows, emptyRow()])}>
+        Add property
+      </button>
+    </div>
+  );
+};
+
+export default PropertyEditor;
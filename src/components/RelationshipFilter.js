@@ -0,0 +1,29 @@
+import React from 'react';
+import './RelationshipFilter.css';
+
+// Checkbox list for showing or hiding each relationship type
+const RelationshipFilter = ({ typeCounts, typeColors, hiddenTypes, onToggle }) => {
+  if (typeCounts.size === 0) return null;
+
+  return (
+    <div className="relationship-filter">
+      <p><strong>Relationships:</strong></p>
+      {[...typeCounts.entries()].map(([type, count]) => (
+        <label key={type} className="relationship-filter-item">
+          <input
+            type="checkbox"
+            checked={!hiddenTypes.has(type)}
+            onChange={() => onToggle(type)}
+          />
+          <span
+            className="relationship-swatch"
+            style={{ backgroundColor: typeColors.get(type) }}
+          />
+          {type} ({count})
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default RelationshipFilter;
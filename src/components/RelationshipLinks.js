@@ -0,0 +1,128 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+
+// Number of straight segments used to approximate each arc
+const ARC_SEGMENTS = 8;
+
+// How far an arc bows out, relative to the distance between its stars
+const ARC_BEND = 0.12;
+
+// Source end of a link is drawn dimmer than the target end to show direction
+const SOURCE_BRIGHTNESS = 0.2;
+
+const start = new THREE.Vector3();
+const end = new THREE.Vector3();
+const control = new THREE.Vector3();
+const side = new THREE.Vector3();
+const point = new THREE.Vector3();
+const up = new THREE.Vector3(0, 1, 0);
+const curve = new THREE.QuadraticBezierCurve3(start, control, end);
+
+// Glowing arcs between related stars, colored by relationship type.
+// Arc geometry follows the force layout as it settles. Arcs to a star inside
+// a collapsed galaxy (in the optional lod store) end at the galaxy's centre,
+// and arcs within one disappear.
+const RelationshipLinks = ({ relationships, layout, typeColors, hiddenTypes, lod }) => {
+  const lastVersion = useRef(-1);
+  const lastLodVersion = useRef(-1);
+
+  const { geometry, links } = useMemo(() => {
+    const visible = relationships.filter(rel => !hiddenTypes.has(rel.type));
+
+    // Parallel relationships between the same pair get increasingly wide arcs
+    const pairCounts = new Map();
+    const links = visible.map(rel => {
+      const pairKey = rel.startId < rel.endId
+        ? `${rel.startId}:${rel.endId}`
+        : `${rel.endId}:${rel.startId}`;
+      const pairIndex = pairCounts.get(pairKey) || 0;
+      pairCounts.set(pairKey, pairIndex + 1);
+      return { startId: rel.startId, endId: rel.endId, bend: ARC_BEND * (1 + pairIndex) };
+    });
+
+    const positions = new Float32Array(visible.length * ARC_SEGMENTS * 2 * 3);
+    const colors = new Float32Array(visible.length * ARC_SEGMENTS * 2 * 3);
+    const color = new THREE.Color();
+
+    let offset = 0;
+    visible.forEach(rel => {
+      color.set(typeColors.get(rel.type) || '#ffffff');
+      for (let i = 0; i < ARC_SEGMENTS; i++) {
+        for (let j = 0; j < 2; j++) {
+          const t = (i + j) / ARC_SEGMENTS;
+          const brightness = SOURCE_BRIGHTNESS + (1 - SOURCE_BRIGHTNESS) * t;
+          colors[offset] = color.r * brightness;
+          colors[offset + 1] = color.g * brightness;
+          colors[offset + 2] = color.b * brightness;
+          offset += 3;
+        }
+      }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    return { geometry, links };
+  }, [relationships, typeColors, hiddenTypes]);
+
+  useEffect(() => {
+    lastVersion.current = -1;
+    return () => geometry.dispose();
+  }, [geometry]);
+
+  useFrame(() => {
+    const lodVersion = lod ? lod.version : 0;
+    if (lastVersion.current === layout.version && lastLodVersion.current === lodVersion) return;
+    lastVersion.current = layout.version;
+    lastLodVersion.current = lodVersion;
+
+    const positions = geometry.attributes.position.array;
+    let offset = 0;
+    links.forEach(link => {
+      const startIndex = layout.indexById.get(link.startId);
+      const endIndex = layout.indexById.get(link.endId);
+      const startGalaxy = lod?.hidden.get(link.startId);
+      const endGalaxy = lod?.hidden.get(link.endId);
+      // Endpoints that are not loaded yet, or both inside one collapsed
+      // galaxy, collapse the arc to nothing
+      if (startIndex === undefined || endIndex === undefined || (startGalaxy && startGalaxy === endGalaxy)) {
+        positions.fill(0, offset, offset + ARC_SEGMENTS * 6);
+        offset += ARC_SEGMENTS * 6;
+        return;
+      }
+      if (startGalaxy) start.fromArray(startGalaxy);
+      else start.fromArray(layout.positions, startIndex * 3);
+      if (endGalaxy) end.fromArray(endGalaxy);
+      else end.fromArray(layout.positions, endIndex * 3);
+
+      // Bend the arc sideways, perpendicular to the link and world up
+      const length = start.distanceTo(end);
+      side.subVectors(end, start).cross(up);
+      if (side.lengthSq() === 0) side.set(1, 0, 0);
+      side.normalize().multiplyScalar(length * link.bend);
+      control.addVectors(start, end).multiplyScalar(0.5).add(side);
+
+      for (let i = 0; i < ARC_SEGMENTS; i++) {
+        curve.getPoint(i / ARC_SEGMENTS, point).toArray(positions, offset);
+        curve.getPoint((i + 1) / ARC_SEGMENTS, point).toArray(positions, offset + 3);
+        offset += 6;
+      }
+    });
+    geometry.attributes.position.needsUpdate = true;
+  });
+
+  return (
+    <lineSegments geometry={geometry} frustumCulled={false}>
+      <lineBasicMaterial
+        vertexColors
+        transparent
+        opacity={0.7}
+        blending={THREE.AdditiveBlending}
+        depthWrite={false}
+      />
+    </lineSegments>
+  );
+};
+
+export default RelationshipLinks;
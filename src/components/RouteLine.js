@@ -0,0 +1,85 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+
+const ROUTE_COLOR = '#ffd24a';
+
+// Seconds the marker takes to travel each hop
+const MARKER_HOP_TIME = 0.9;
+
+const from = new THREE.Vector3();
+const to = new THREE.Vector3();
+
+// The route found by the path finder: a bright line through its stars in
+// order, with a marker travelling from source to target to show direction.
+// Follows the force layout like the relationship arcs do.
+const RouteLine = ({ route, layout }) => {
+  const markerRef = useRef();
+  const lastVersion = useRef(-1);
+  const ids = useMemo(() => route.nodes.map(node => node.id), [route]);
+
+  const geometry = useMemo(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(Math.max(0, ids.length - 1) * 6), 3));
+    return geometry;
+  }, [ids]);
+
+  useEffect(() => {
+    lastVersion.current = -1;
+    return () => geometry.dispose();
+  }, [geometry]);
+
+  useFrame((state) => {
+    const { positions, indexById } = layout;
+
+    if (lastVersion.current !== layout.version) {
+      lastVersion.current = layout.version;
+      const array = geometry.attributes.position.array;
+      for (let i = 0; i < ids.length - 1; i++) {
+        const startIndex = indexById.get(ids[i]);
+        const endIndex = indexById.get(ids[i + 1]);
+        // Stars that are not placed yet collapse their hop to nothing
+        if (startIndex === undefined || endIndex === undefined) {
+          array.fill(0, i * 6, i * 6 + 6);
+          continue;
+        }
+        array.set(positions.subarray(startIndex * 3, startIndex * 3 + 3), i * 6);
+        array.set(positions.subarray(endIndex * 3, endIndex * 3 + 3), i * 6 + 3);
+      }
+      geometry.attributes.position.needsUpdate = true;
+    }
+
+    const marker = markerRef.current;
+    if (!marker || ids.length < 2) return;
+    const hops = ids.length - 1;
+    const progress = (state.clock.elapsedTime / MARKER_HOP_TIME) % hops;
+    const hop = Math.floor(progress);
+    const startIndex = indexById.get(ids[hop]);
+    const endIndex = indexById.get(ids[hop + 1]);
+    marker.visible = startIndex !== undefined && endIndex !== undefined;
+    if (!marker.visible) return;
+    from.fromArray(positions, startIndex * 3);
+    to.fromArray(positions, endIndex * 3);
+    marker.position.lerpVectors(from, to, progress - hop);
+  });
+
+  return (
+    <>
+      <lineSegments geometry={geometry} frustumCulled={false}>
+        <lineBasicMaterial
+          color={ROUTE_COLOR}
+          transparent
+          opacity={0.95}
+          blending={THREE.AdditiveBlending}
+          depthWrite={false}
+        />
+      </lineSegments>
+      <mesh ref={markerRef} raycast={() => null}>
+        <sphereGeometry args={[1.2, 12, 12]} />
+        <meshBasicMaterial color={ROUTE_COLOR} />
+      </mesh>
+    </>
+  );
+};
+
+export default RouteLine;
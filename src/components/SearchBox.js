@@ -0,0 +1,180 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { buildSearchIndex, searchIndex } from '../utils/fuzzySearch';
+import { loadJSON, saveJSON } from '../utils/storage';
+import { useInputAction } from '../hooks/useInputBindings';
+import './SearchBox.css';
+
+const FIELDS_STORAGE_KEY = 'starfield.searchFields';
+
+// Results listed under the box; every match is still highlighted in the scene
+const MAX_RESULTS = 20;
+
+// Delay before searching while the user is still typing
+const SEARCH_DELAY = 120;
+
+// Longer delay before asking the data source, which is a round trip
+const REMOTE_SEARCH_DELAY = 350;
+
+// Search overlay with fuzzy matching, keyboard navigation and fly-to.
+// Reports all matches through onMatches while a query is active. With
+// searchRemote, stars that are not in the scene are looked up as well and
+// offered through onAddSeed.
+const SearchBox = ({ input, shortcut, nodes, getName, onMatches, onSelect, searchRemote, onAddSeed }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [remoteResults, setRemoteResults] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [fields, setFields] = useState(() => loadJSON(FIELDS_STORAGE_KEY, ['title', 'description']));
+  const [showFields, setShowFields] = useState(false);
+  const inputRef = useRef();
+
+  useEffect(() => {
+    saveJSON(FIELDS_STORAGE_KEY, fields);
+  }, [fields]);
+
+  // Property keys that can be searched in addition to the name
+  const availableFields = useMemo(() => {
+    const keys = new Set();
+    nodes.forEach(node => Object.keys(node.properties).forEach(key => keys.add(key)));
+    keys.delete('name');
+    return [...keys].sort();
+  }, [nodes]);
+
+  const index = useMemo(() => buildSearchIndex(nodes, fields, getName), [nodes, fields, getName]);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      onMatches(null);
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      const matches = searchIndex(index, query);
+      setResults(matches.slice(0, MAX_RESULTS));
+      setActiveIndex(0);
+      onMatches({
+        all: new Set(matches.map(match => match.node.id)),
+        top: new Set(matches.slice(0, MAX_RESULTS).map(match => match.node.id))
+      });
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [query, index, onMatches]);
+
+  useEffect(() => {
+    if (!searchRemote || !query.trim()) {
+      setRemoteResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const found = await searchRemote(query.trim(), { limit: MAX_RESULTS });
+        if (cancelled) return;
+        const loadedIds = new Set(nodes.map(node => node.id));
+        setRemoteResults(found.filter(node => !loadedIds.has(node.id)).map(node => ({ node, remote: true })));
+      } catch (err) {
+        if (!cancelled) console.error('Error searching the data source:', err);
+      }
+    }, REMOTE_SEARCH_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, nodes, searchRemote]);
+
+  // Stars in the scene first, then those that would be added to it
+  const entries = useMemo(() => [...results, ...remoteResults], [results, remoteResults]);
+
+  // The search action focuses the box from anywhere in the view
+  useInputAction(input, 'focusSearch', () => inputRef.current?.focus());
+
+  const choose = (result) => {
+    if (!result) return;
+    if (result.remote) onAddSeed(result.node);
+    else onSelect(result.node.id);
+  };
+
+  const handleKeyDown = (event) => {
+    // Keep typing from reaching the camera controls
+    event.stopPropagation();
+
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActiveIndex(prev => Math.min(prev + 1, entries.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex(prev => Math.max(prev - 1, 0));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      choose(entries[activeIndex]);
+    } else if (event.key === 'Escape') {
+      setQuery('');
+      inputRef.current?.blur();
+    }
+  };
+
+  const toggleField = (field) => {
+    setFields(prev => (prev.includes(field) ? prev.filter(f => f !== field) : [...prev, field]));
+  };
+
+  return (
+    <div className="search-box">
+      <div className="search-input-row">
+        <input
+          ref={inputRef}
+          type="text"
+          value={query}
+          placeholder={shortcut ? `Search stars… ( ${shortcut} )` : 'Search stars…'}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onKeyUp={(e) => e.stopPropagation()}
+        />
+        <button
+          className={`search-fields-toggle ${showFields ? 'search-fields-toggle-active' : ''}`}
+          title="Fields to search"
+          onClick={() => setShowFields(prev => !prev)}
+        >
+          ⚙
+        </button>
+      </div>
+
+      {showFields && (
+        <div className="search-fields">
+          <span className="search-meta">Also search in:</span>
+          {availableFields.length === 0 && <span className="search-meta">no other properties</span>}
+          {availableFields.map(field => (
+            <label key={field}>
+              <input
+                type="checkbox"
+                checked={fields.includes(field)}
+                onChange={() => toggleField(field)}
+              />
+              {field}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {query.trim() && (
+        <ul className="search-results">
+          {entries.length === 0 && <li className="search-meta">No matching stars</li>}
+          {entries.map((result, i) => (
+            <li
+              key={`${result.remote ? 'remote' : 'local'}:${result.node.id}`}
+              className={i === activeIndex ? 'search-result-active' : ''}
+              onMouseEnter={() => setActiveIndex(i)}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(result)}
+            >
+              {getName(result.node)}
+              <span className="search-meta"> {result.node.labels.join(', ')}</span>
+              {result.remote && <span className="search-meta"> · add to view</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -1,156 +1,98 @@
-import React, { useEffect, useState, useRef, useMemo } from 'react';
+import React, { useEffect, useState, useRef, useMemo, useCallback } from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
-import { OrbitControls, Text, PerspectiveCamera, Html } from '@react-three/drei';
+import { OrbitControls, PerspectiveCamera, Html } from '@react-three/drei';
 import * as THREE from 'three';
+import {
+  configuredDataSourceName,
+  dataSource,
+  restoreDataSource,
+  switchDataSource
+} from '../services/dataSource';
+import { importService } from '../services/import.service';
 import { neo4jService } from '../services/neo4j.service';
+import {
+  activeProfile,
+  loadConnectionSettings,
+  saveConnectionSettings
+} from '../services/connectionSettings';
+import { dataSourceConfig } from '../config/dataSource.config';
+import { neo4jConfig } from '../config/neo4j.config';
+import { layoutConfig } from '../config/layout.config';
+import { colorForKey } from '../utils/colors';
+import { loadJSON, saveJSON } from '../utils/storage';
+import { useForceLayout, getNodePosition } from '../layout/useForceLayout';
+import { easeInOutCubic } from '../utils/easing';
+import { mergeGraphs } from '../utils/graphDiff';
+import RelationshipLinks from './RelationshipLinks';
+import RelationshipFilter from './RelationshipFilter';
+import Legend from './Legend';
+import InstancedStars from './InstancedStars';
+import LabelManager from './LabelManager';
+import NodeInspector from './NodeInspector';
+import SearchBox from './SearchBox';
+import CypherConsole from './CypherConsole';
+import LoadProgress from './LoadProgress';
+import MetricBindings from './MetricBindings';
+import ConnectionDialog from './ConnectionDialog';
+import PathFinder from './PathFinder';
+import RouteLine from './RouteLine';
+import LinkDraft from './LinkDraft';
+import Galaxies from './Galaxies';
+import Bookmarks from './Bookmarks';
+import TourPlayer from './TourPlayer';
+import Timeline from './Timeline';
+import ExportMenu from './ExportMenu';
+import FileDrop from './FileDrop';
+import NewElementForm from './NewElementForm';
+import InputHelp from './InputHelp';
+import { useLabelStyles } from '../hooks/useLabelStyles';
+import { useMetricBindings } from '../hooks/useMetricBindings';
+import { useGraphSync } from '../hooks/useGraphSync';
+import { useNeighbourhood } from '../hooks/useNeighbourhood';
+import { usePathFinder } from '../hooks/usePathFinder';
+import { useViewLink } from '../hooks/useViewLink';
+import { useBookmarks } from '../hooks/useBookmarks';
+import { useTour } from '../hooks/useTour';
+import { useTimeline } from '../hooks/useTimeline';
+import { useFileDrop } from '../hooks/useFileDrop';
+import { useGraphEditor } from '../hooks/useGraphEditor';
+import { useInputAction, useInputBindings } from '../hooks/useInputBindings';
+import { parseTour } from '../utils/tours';
+import { buildExportGraph } from '../export/graphFormats';
+import { renderSceneImage } from '../export/sceneImage';
+import { importGraphFiles } from '../import/importGraph';
+import { useCommunities } from '../metrics/useCommunities';
+import { exploreConfig } from '../config/explore.config';
+import { pathConfig } from '../config/path.config';
+import { communityConfig } from '../config/community.config';
+import { cameraConfig } from '../config/camera.config';
+import { editConfig } from '../config/edit.config';
+import { inputConfig } from '../config/input.config';
+import { startTransitions } from '../utils/transitions';
+import { keyLabels } from '../utils/keyBindings';
 import './StarView.css';
 
-// Custom shader material for glowing particles
-const GlowMaterial = React.forwardRef(({ color = '#00ff66', time = 0, hover = false }, ref) => {
-  const materialRef = useRef();
-  
-  const vertexShader = `
-    varying vec2 vUv;
-    varying vec3 vPosition;
-    void main() {
-      vUv = uv;
-      vPosition = position;
-      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-    }
-  `;
-
-  const fragmentShader = `
-    uniform float time;
-    uniform vec3 color;
-    uniform float hover;
-    varying vec2 vUv;
-    varying vec3 vPosition;
-    
-    void main() {
-      vec2 center = vec2(0.5, 0.5);
-      float dist = distance(vUv, center);
-      
-      // Create pulsing glow effect
-      float pulse = sin(time * 2.0 + vPosition.x * 0.01 + vPosition.z * 0.01) * 0.5 + 0.5;
-      float glow = 1.0 - smoothstep(0.0, 0.5, dist);
-      
-      // Enhance glow on hover
-      float intensity = hover > 0.5 ? 1.5 : 1.0;
-      glow = pow(glow, 2.0) * intensity;
-      
-      // Add pulsing effect
-      glow *= (0.8 + pulse * 0.4);
-      
-      gl_FragColor = vec4(color, glow);
-    }
-  `;
-
-  const uniforms = useMemo(() => ({
-    time: { value: time },
-    color: { value: new THREE.Color(color) },
-    hover: { value: hover ? 1.0 : 0.0 }
-  }), [color, time, hover]);
-
-  useFrame((state) => {
-    if (materialRef.current) {
-      materialRef.current.uniforms.time.value = state.clock.elapsedTime;
-      materialRef.current.uniforms.hover.value = hover ? 1.0 : 0.0;
-    }
-  });
-
-  return (
-    <shaderMaterial
-      ref={materialRef}
-      vertexShader={vertexShader}
-      fragmentShader={fragmentShader}
-      uniforms={uniforms}
-      transparent
-      blending={THREE.AdditiveBlending}
-      depthWrite={false}
-    />
-  );
-});
-
-// Individual paper node component
-const PaperNode = ({ position, name, index, onStarClick }) => {
-  const meshRef = useRef();
-  const glowRef = useRef();
-  const textRef = useRef();
-  const [hovered, setHovered] = useState(false);
-  
-  useFrame((state) => {
-    if (meshRef.current) {
-      // Gentle rotation
-      meshRef.current.rotation.y += 0.005;
-      
-      // Subtle floating motion
-      const time = state.clock.elapsedTime;
-      meshRef.current.position.y = position[1] + Math.sin(time + index) * 0.5;
-    }
-    
-    if (glowRef.current) {
-      // Scale glow based on hover state
-      const targetScale = hovered ? 3 : 2;
-      glowRef.current.scale.lerp(new THREE.Vector3(targetScale, targetScale, targetScale), 0.1);
-    }
-    
-    if (textRef.current && state.camera) {
-      // Scale text based on distance to camera for readability
-      const distance = state.camera.position.distanceTo(new THREE.Vector3(...position));
-      const scale = Math.max(0.1, Math.min(2, distance * 0.01));
-      textRef.current.scale.setScalar(scale);
-      
-      // Make text face camera
-      textRef.current.lookAt(state.camera.position);
-    }
-  });
+// Connection profiles only apply when the browser talks to Neo4j itself
+const canConfigureConnection = dataSourceConfig.type === 'neo4j' && !neo4jConfig.apiUrl;
 
-  // Truncate long names for better display
-  const displayName = name && name.length > 30 ? name.substring(0, 30) + '...' : name || 'Unknown';
+const GALAXIES_STORAGE_KEY = 'starfield.galaxies';
 
-  const handleClick = (event) => {
-    event.stopPropagation();
-    onStarClick(position);
-  };
+// Actions listed in the info panel with their current keys; the help overlay
+// lists them all
+const KEY_HINTS = [
+  [['focusSearch'], 'Search stars'],
+  [['moveForward', 'moveLeft', 'moveBack', 'moveRight'], 'Move around'],
+  [['moveUp'], 'Move up'],
+  [['moveDown'], 'Move down'],
+  [['fast'], 'Move faster'],
+  [['toggleAutoFlight'], 'Toggle auto-flight'],
+  [['toggleOrbitMode'], 'Cinematic orbit of the selected star'],
+  [['resetOrbit'], 'Reset orbit center'],
+  [['showHelp'], 'All keys and gamepad buttons']
+];
 
-  return (
-    <group position={position}>
-      {/* Main star */}
-      <mesh 
-        ref={meshRef}
-        onPointerOver={() => setHovered(true)}
-        onPointerOut={() => setHovered(false)}
-        onClick={handleClick}
-        scale={hovered ? 1.5 : 1}
-      >
-        <sphereGeometry args={[1, 8, 8]} />
-        <meshBasicMaterial color="#00ff88" />
-      </mesh>
-      
-      {/* Glow effect */}
-      <mesh ref={glowRef} scale={2}>
-        <sphereGeometry args={[1.5, 8, 8]} />
-        <GlowMaterial color="#00ff66" hover={hovered} />
-      </mesh>
-      
-      {/* Text label - always visible with distance-based scaling */}
-      <Text
-        ref={textRef}
-        position={[0, 4, 0]}
-        fontSize={3}
-        color={hovered ? "#00ffff" : "#00ffcc"}
-        anchorX="center"
-        anchorY="bottom"
-        outlineWidth={0.2}
-        outlineColor="#000000"
-        maxWidth={20}
-        textAlign="center"
-      >
-        {displayName}
-      </Text>
-    </group>
-  );
-};
+// Display name for a node, falling back to its first label
+const nodeName = (node) => node.properties.name || node.properties.title || node.labels[0];
 
 // Background starfield component
 const BackgroundStars = () => {
@@ -214,158 +156,452 @@ const BackgroundStars = () => {
   );
 };
 
-// Camera controller for optional forward movement
-const CameraController = ({ autoFlight, speed = 2, orbitTarget }) => {
+// Moves the camera while movement actions are held or the gamepad sticks
+// are pushed, and flies it forward in auto-flight
+const CameraController = ({ input, autoFlight, speed = 2, controlsRef }) => {
   const { camera } = useThree();
   const forwardSpeed = useRef(speed);
-  const [keys, setKeys] = useState({ w: false, a: false, s: false, d: false, shift: false, space: false });
-  
-  useEffect(() => {
-    const handleKeyDown = (event) => {
-      const key = event.key.toLowerCase();
-      if (['w', 'a', 's', 'd'].includes(key) || event.key === ' ' || event.shiftKey) {
-        setKeys(prev => ({ 
-          ...prev, 
-          [key]: true,
-          space: event.key === ' ' ? true : prev.space,
-          shift: event.shiftKey
-        }));
-      }
-    };
 
-    const handleKeyUp = (event) => {
-      const key = event.key.toLowerCase();
-      if (['w', 'a', 's', 'd'].includes(key) || event.key === ' ') {
-        setKeys(prev => ({ 
-          ...prev, 
-          [key]: false,
-          space: event.key === ' ' ? false : prev.space,
-          shift: event.shiftKey
-        }));
-      }
-    };
+  useFrame((state, delta) => {
+    const held = (action) => (input.isHeld(action) ? 1 : 0);
+    const { moveX, moveY, lookX, lookY } = input.axes;
+    const moveSpeed = held('fast') ? 10 : 5;
+    // Keys move at full speed, the left stick as far as it is pushed
+    const forward = held('moveForward') - held('moveBack') - moveY;
+    const sideways = held('moveRight') - held('moveLeft') + moveX;
+    const upwards = held('moveUp') - held('moveDown');
+    const target = controlsRef.current?.target;
 
-    window.addEventListener('keydown', handleKeyDown);
-    window.addEventListener('keyup', handleKeyUp);
-    
-    return () => {
-      window.removeEventListener('keydown', handleKeyDown);
-      window.removeEventListener('keyup', handleKeyUp);
-    };
-  }, []);
-  
-  useFrame((state) => {
-    const moveSpeed = keys.shift ? 10 : 5; // Faster with shift
-    
-    // Manual controls override auto-flight
-    const hasManualInput = keys.w || keys.a || keys.s || keys.d || keys.space;
-    
-    // Only apply camera controls if we're doing manual movement or auto-flight
-    // Don't interfere with OrbitControls when just looking around
-    if (hasManualInput) {
-      const target = new THREE.Vector3(...orbitTarget);
-      
-      // W/S: Always zoom toward/away from orbit target (not camera direction)
-      if (keys.w || keys.s) {
+    // The right stick turns the camera around the orbit target
+    if (target && (lookX || lookY)) {
+      const { lookSpeed, invertLook } = inputConfig.gamepad;
+      const offset = camera.position.clone().sub(target);
+      const spherical = new THREE.Spherical().setFromVector3(offset);
+      spherical.theta -= lookX * lookSpeed * delta;
+      spherical.phi -= (invertLook ? -lookY : lookY) * lookSpeed * delta;
+      spherical.makeSafe();
+      camera.position.copy(target).add(offset.setFromSpherical(spherical));
+      camera.lookAt(target);
+    }
+
+    // Manual movement overrides auto-flight; otherwise leave the camera to
+    // OrbitControls
+    if (forward || sideways || upwards) {
+      // Forward and back: toward or away from the orbit target, not along the view
+      if (forward && target) {
         const toTarget = new THREE.Vector3().subVectors(target, camera.position).normalize();
-        if (keys.w) camera.position.addScaledVector(toTarget, moveSpeed); // Zoom in toward target
-        if (keys.s) camera.position.addScaledVector(toTarget, -moveSpeed); // Zoom out from target
+        camera.position.addScaledVector(toTarget, forward * moveSpeed);
       }
-      
-      // A/D: Strafe left/right relative to camera orientation
-      if (keys.a || keys.d) {
+
+      // Left and right: strafe relative to the camera
+      if (sideways) {
         const direction = new THREE.Vector3();
         camera.getWorldDirection(direction);
         const right = new THREE.Vector3();
         right.crossVectors(direction, camera.up).normalize();
-        
-        if (keys.a) camera.position.addScaledVector(right, -moveSpeed);
-        if (keys.d) camera.position.addScaledVector(right, moveSpeed);
+        camera.position.addScaledVector(right, sideways * moveSpeed);
       }
-      
-      // Space: Move up in world coordinates
-      if (keys.space) camera.position.y += moveSpeed;
+
+      // Up and down in world coordinates
+      camera.position.y += upwards * moveSpeed;
     } else if (autoFlight) {
-      // Auto-flight only when no manual input and auto-flight is enabled
       camera.position.z -= forwardSpeed.current;
-      
+
       // Very subtle sway for auto-flight
       const time = state.clock.elapsedTime;
       camera.position.x += Math.sin(time * 0.1) * 0.02;
       camera.position.y += Math.cos(time * 0.15) * 0.01;
     }
-    // Otherwise, let OrbitControls handle everything
   });
 
   return null;
 };
 
+// A camera flight between two poses. Long flights bow away from the targets
+// so both ends stay in view; without a duration, it follows from the distance.
+const planFlight = (fromPosition, toPosition, fromTarget, toTarget, duration) => {
+  const { speed, minDuration, maxDuration, arc } = cameraConfig.flight;
+  const travel = fromPosition.distanceTo(toPosition);
+  const midPosition = fromPosition.clone().lerp(toPosition, 0.5);
+  const away = midPosition.clone().sub(fromTarget.clone().lerp(toTarget, 0.5)).normalize();
+  return {
+    fromPosition,
+    toPosition,
+    control: midPosition.addScaledVector(away, travel * arc),
+    fromTarget,
+    toTarget,
+    duration: duration ?? Math.min(maxDuration, Math.max(minDuration, travel / speed)),
+    start: null
+  };
+};
+
 // Main 3D scene component
-const StarScene = ({ papers }) => {
+const StarScene = ({
+  nodes,
+  visibleNodes,
+  relationships,
+  typeColors,
+  hiddenTypes,
+  styleFor,
+  importance,
+  labelContainer,
+  layout,
+  selectedId,
+  searchMatches,
+  route,
+  routeNodeIds,
+  communities,
+  transitions,
+  cameraApiRef,
+  input,
+  orbiting,
+  orbitId,
+  linking,
+  onCameraChange,
+  onSelect,
+  onPin,
+  onUnpin,
+  onLink,
+  onToggleExpansion
+}) => {
   const [autoFlight, setAutoFlight] = useState(false); // Start with manual control
   const [orbitTarget, setOrbitTarget] = useState([0, 0, 0]);
+  const [hoveredId, setHoveredId] = useState(null);
+  const hoveredRef = useRef(null);
+  hoveredRef.current = hoveredId;
   const controlsRef = useRef();
+  // Star being dragged: moved and pinned, or in edit mode linked to another
+  const dragRef = useRef(null);
+  const flightRef = useRef(null);
+  // Stars still to visit when flying along a route, and when to leave for the next
+  const tourRef = useRef(null);
+  // When the camera pose was last reported, and what it was
+  const cameraReportRef = useRef({ time: -Infinity, key: null });
+  // Stars hidden inside collapsed galaxies; see Galaxies
+  const lod = useMemo(() => ({ hidden: new Map(), version: 0 }), []);
+  const { camera, gl, scene } = useThree();
 
-  const paperPositions = useMemo(() => {
-    return papers.map((name, index) => {
-      // Create a more natural clustering distribution
-      const angle = (index / papers.length) * Math.PI * 2 * 5;
-      const radius = 50 + Math.pow(Math.random(), 0.8) * 300;
-      const height = (Math.random() - 0.5) * 200;
-      const scatter = (Math.random() - 0.5) * 100;
-      
-      return [
-        Math.cos(angle) * radius + scatter,
-        height,
-        Math.sin(angle) * radius + (Math.random() - 0.5) * 500 + index * 10 // Spread along Z-axis
-      ];
+  const visibleIds = useMemo(() => new Set(visibleNodes.map(node => node.id)), [visibleNodes]);
+
+  // Labels that must stay visible regardless of the label budget
+  const forcedLabelIds = useMemo(
+    () => new Set([hoveredId, selectedId, ...(searchMatches?.top || [])].filter(Boolean)),
+    [hoveredId, selectedId, searchMatches]
+  );
+
+  // Glow on search matches and on the stars of the shown route
+  const highlightIds = useMemo(() => {
+    if (!routeNodeIds) return searchMatches?.all;
+    if (!searchMatches?.all) return routeNodeIds;
+    return new Set([...searchMatches.all, ...routeNodeIds]);
+  }, [searchMatches, routeNodeIds]);
+
+  const currentTarget = useCallback(() => (
+    controlsRef.current ? controlsRef.current.target.clone() : new THREE.Vector3(...orbitTarget)
+  ), [orbitTarget]);
+
+  // Replace any running flight. Flights resolve true on arrival and false
+  // when another one takes over.
+  const startFlight = useCallback((flight) => new Promise(resolve => {
+    flightRef.current?.resolve(false);
+    flightRef.current = { ...flight, resolve };
+  }), []);
+
+  // Fly the camera so it looks at target from the given distance,
+  // keeping the current viewing direction
+  const flyTo = useCallback((target, distance = cameraConfig.tour.distance, duration) => {
+    const fromTarget = currentTarget();
+    const toTarget = new THREE.Vector3(...target);
+    const direction = new THREE.Vector3().subVectors(camera.position, fromTarget).normalize();
+    if (direction.lengthSq() === 0) direction.set(0, 0, 1);
+    return startFlight(planFlight(
+      camera.position.clone(),
+      toTarget.clone().addScaledVector(direction, distance),
+      fromTarget,
+      toTarget,
+      duration
+    ));
+  }, [camera, currentTarget, startFlight]);
+
+  // Resolves false straight away for stars without a place in the layout
+  const flyToNode = useCallback((id, distance, duration) => {
+    const position = getNodePosition(layout, id);
+    return position ? flyTo(position, distance, duration) : Promise.resolve(false);
+  }, [flyTo, layout]);
+
+  // Fly to a star from far enough away that its direct neighbours are in view
+  const frameNode = useCallback((id) => {
+    const position = getNodePosition(layout, id);
+    if (!position) return Promise.resolve(false);
+    const center = new THREE.Vector3(...position);
+    const other = new THREE.Vector3();
+
+    let radius = 10;
+    relationships.forEach(rel => {
+      let otherId = null;
+      if (rel.startId === id) otherId = rel.endId;
+      else if (rel.endId === id) otherId = rel.startId;
+      const otherPosition = otherId && getNodePosition(layout, otherId);
+      if (otherPosition) {
+        radius = Math.max(radius, center.distanceTo(other.fromArray(otherPosition)));
+      }
     });
-  }, [papers]);
+    radius = Math.min(radius, 150);
+
+    const distance = radius / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * 1.2;
+    return flyTo(position, Math.max(40, distance));
+  }, [camera, flyTo, layout, relationships]);
+
+  // Current camera pose: where the camera is and the point it orbits
+  const getView = useCallback(() => ({
+    position: camera.position.toArray(),
+    target: controlsRef.current ? controlsRef.current.target.toArray() : orbitTarget
+  }), [camera, orbitTarget]);
+
+  // Move the camera to a pose from getView, in one jump when duration is 0
+  const setView = useCallback(({ position, target }, duration) => {
+    tourRef.current = null;
+    if (duration === 0) {
+      flightRef.current?.resolve(false);
+      flightRef.current = null;
+      camera.position.set(...position);
+      if (controlsRef.current) controlsRef.current.target.set(...target);
+      setOrbitTarget(target);
+      return Promise.resolve(true);
+    }
+    return startFlight(planFlight(
+      camera.position.clone(),
+      new THREE.Vector3(...position),
+      currentTarget(),
+      new THREE.Vector3(...target),
+      duration
+    ));
+  }, [camera, currentTarget, startFlight]);
+
+  // Visit each star in turn, pausing at every one; stars without a place in
+  // the layout are skipped
+  const flyAlong = useCallback((ids) => {
+    tourRef.current = { ids: [...ids], nextAt: 0 };
+  }, []);
 
-  // Handle star clicks to set new orbit target
-  const handleStarClick = (position) => {
+  // Render the current view into a PNG of the given size
+  const captureImage = useCallback(
+    (width, height) => renderSceneImage({ gl, scene, camera }, width, height),
+    [gl, scene, camera]
+  );
+
+  // Point under the cursor at the depth of the orbit target, e.g. for placing a new star
+  const pointToWorld = useCallback((clientX, clientY) => {
+    const rect = gl.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const normal = camera.getWorldDirection(new THREE.Vector3());
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, currentTarget());
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    return (hit || currentTarget()).toArray();
+  }, [camera, gl, currentTarget]);
+
+  // Expose camera actions to the panels outside the canvas
+  useEffect(() => {
+    cameraApiRef.current = { flyTo, flyToNode, frameNode, flyAlong, getView, setView, captureImage, pointToWorld };
+  }, [cameraApiRef, flyTo, flyToNode, frameNode, flyAlong, getView, setView, captureImage, pointToWorld]);
+
+  // Report the camera pose twice a second while it changes
+  useFrame((state) => {
+    const report = cameraReportRef.current;
+    if (!onCameraChange || !controlsRef.current || state.clock.elapsedTime - report.time < 0.5) return;
+    report.time = state.clock.elapsedTime;
+    const view = {
+      position: camera.position.toArray(),
+      target: controlsRef.current.target.toArray()
+    };
+    const key = [...view.position, ...view.target].map(value => value.toFixed(1)).join(',');
+    if (key === report.key) return;
+    report.key = key;
+    onCameraChange(view);
+  });
+
+  // Start the next leg of a route tour once the last one has ended
+  useFrame((state) => {
+    const tour = tourRef.current;
+    if (!tour || flightRef.current || state.clock.elapsedTime < tour.nextAt) return;
+    let position = null;
+    while (!position && tour.ids.length > 0) {
+      position = getNodePosition(layout, tour.ids.shift());
+    }
+    if (position) flyTo(position, 40, 1.2);
+    if (tour.ids.length === 0) tourRef.current = null;
+  });
+
+  // Advance a running camera flight, then hand the target to OrbitControls
+  useFrame((state) => {
+    const flight = flightRef.current;
+    if (!flight) return;
+    if (flight.start === null) flight.start = state.clock.elapsedTime;
+
+    const t = Math.min(1, (state.clock.elapsedTime - flight.start) / flight.duration);
+    const eased = easeInOutCubic(t);
+    // Quadratic Bézier through the control point
+    const rest = 1 - eased;
+    camera.position.copy(flight.fromPosition).multiplyScalar(rest * rest)
+      .addScaledVector(flight.control, 2 * rest * eased)
+      .addScaledVector(flight.toPosition, eased * eased);
+    if (controlsRef.current) {
+      controlsRef.current.target.lerpVectors(flight.fromTarget, flight.toTarget, eased);
+    }
+
+    if (t >= 1) {
+      flightRef.current = null;
+      setOrbitTarget(flight.toTarget.toArray());
+      flight.resolve(true);
+      if (tourRef.current) tourRef.current.nextAt = state.clock.elapsedTime + pathConfig.hopPause;
+    }
+  });
+
+  // While orbiting a star, keep circling it as the layout moves it
+  useFrame(() => {
+    if (!orbiting || !orbitId || flightRef.current || !controlsRef.current) return;
+    const position = getNodePosition(layout, orbitId);
+    if (!position) return;
+    const target = controlsRef.current.target;
+    const shift = new THREE.Vector3(...position).sub(target).multiplyScalar(0.05);
+    target.add(shift);
+    camera.position.add(shift);
+  });
+
+  // Select a star and orbit it
+  const focusStar = (id) => {
+    onSelect(id);
+
+    const position = getNodePosition(layout, id);
+    if (!position) return;
     setOrbitTarget(position);
     if (controlsRef.current) {
       controlsRef.current.target.set(...position);
     }
   };
 
-  // Handle toggle controls
+  // Handle star clicks to set new orbit target; Alt+click releases a pinned star
+  const handleStarClick = (id, event) => {
+    // A click that ends a drag only pins the star
+    if (dragRef.current?.moved) return;
+
+    if (event.altKey) {
+      onUnpin(id);
+      return;
+    }
+
+    focusStar(id);
+  };
+
+  // Start dragging a star on a plane facing the camera
+  const handleStarDragStart = useCallback((id) => {
+    const position = getNodePosition(layout, id);
+    if (!position) return;
+    const normal = camera.getWorldDirection(new THREE.Vector3());
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, new THREE.Vector3(...position));
+    dragRef.current = { id, plane, moved: false, linking, end: null, targetId: null };
+    if (controlsRef.current) {
+      controlsRef.current.enabled = false;
+    }
+  }, [camera, layout, linking]);
+
+  // Move the dragged star with the pointer and pin it where it is dropped.
+  // When linking, the star stays put and dropping on another star links them.
   useEffect(() => {
-    const handleKeyDown = (event) => {
-      if (event.key === 'f' || event.key === 'F') {
-        setAutoFlight(prev => !prev);
-      }
-      if (event.key === 'r' || event.key === 'R') {
-        // Reset orbit target to origin
-        setOrbitTarget([0, 0, 0]);
-        if (controlsRef.current) {
-          controlsRef.current.target.set(0, 0, 0);
-        }
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const hit = new THREE.Vector3();
+
+    const handlePointerMove = (event) => {
+      const drag = dragRef.current;
+      if (!drag) return;
+      const rect = gl.domElement.getBoundingClientRect();
+      pointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(pointer, camera);
+      if (!raycaster.ray.intersectPlane(drag.plane, hit)) return;
+      drag.moved = true;
+      if (drag.linking) {
+        drag.end = hit.toArray();
+        drag.targetId = hoveredRef.current !== drag.id ? hoveredRef.current : null;
+      } else {
+        onPin(drag.id, hit.toArray());
       }
     };
 
-    // Handle manual zoom with wheel when OrbitControls gets stuck
-    const handleWheel = (event) => {
-      if (controlsRef.current && event.ctrlKey) {
-        // Manual zoom override when Ctrl is held
-        event.preventDefault();
-        const camera = controlsRef.current.object;
-        const target = controlsRef.current.target;
-        const direction = new THREE.Vector3().subVectors(camera.position, target).normalize();
-        
-        const zoomAmount = event.deltaY * 0.01;
-        camera.position.addScaledVector(direction, zoomAmount);
+    const handlePointerUp = () => {
+      const drag = dragRef.current;
+      if (!drag) return;
+      dragRef.current = null;
+      if (drag.linking && drag.targetId) onLink(drag.id, drag.targetId);
+      if (controlsRef.current) {
+        controlsRef.current.enabled = true;
       }
     };
 
-    window.addEventListener('keydown', handleKeyDown);
-    window.addEventListener('wheel', handleWheel, { passive: false });
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
     return () => {
-      window.removeEventListener('keydown', handleKeyDown);
-      window.removeEventListener('wheel', handleWheel);
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
     };
-  }, []);
+  }, [camera, gl, onPin, onLink]);
+
+  useInputAction(input, 'toggleAutoFlight', () => setAutoFlight(prev => !prev));
+
+  useInputAction(input, 'resetOrbit', () => {
+    setOrbitTarget([0, 0, 0]);
+    if (controlsRef.current) {
+      controlsRef.current.target.set(0, 0, 0);
+    }
+  });
+
+  // Gamepads cannot point, so select picks the shown star nearest the middle
+  // of the view
+  useInputAction(input, 'selectCenter', () => {
+    const { width, height } = gl.domElement.getBoundingClientRect();
+    const projected = new THREE.Vector3();
+    let nearest = null;
+    let nearestDistance = inputConfig.gamepad.selectRadius;
+    visibleNodes.forEach(node => {
+      const position = getNodePosition(layout, node.id);
+      if (!position) return;
+      projected.set(...position).project(camera);
+      // Behind the camera
+      if (projected.z > 1) return;
+      const distance = Math.hypot(projected.x * width / 2, projected.y * height / 2);
+      if (distance < nearestDistance) {
+        nearest = node.id;
+        nearestDistance = distance;
+      }
+    });
+    if (nearest === null) return false;
+    focusStar(nearest);
+  });
+
+  // While the steady zoom action is held, the wheel moves the camera a fixed
+  // step along the view, which also works where OrbitControls slows to a stop
+  useEffect(() => {
+    const element = gl.domElement;
+    const handleWheel = (event) => {
+      if (!controlsRef.current || !input.isHeld('wheelZoom')) return;
+      event.preventDefault();
+      const camera = controlsRef.current.object;
+      const target = controlsRef.current.target;
+      const direction = new THREE.Vector3().subVectors(camera.position, target).normalize();
+      camera.position.addScaledVector(direction, event.deltaY * 0.01);
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, [gl, input]);
 
   return (
     <>
@@ -377,7 +613,7 @@ const StarScene = ({ papers }) => {
         near={0.000001}
         far={1000000}
       />
-      <CameraController autoFlight={autoFlight} speed={2} orbitTarget={orbitTarget} />
+      <CameraController input={input} autoFlight={autoFlight} speed={2} controlsRef={controlsRef} />
       
       {/* Improved OrbitControls - No distance limits for infinite zoom */}
       <OrbitControls 
@@ -390,22 +626,66 @@ const StarScene = ({ papers }) => {
         zoomSpeed={3.0}
         rotateSpeed={0.5}
         panSpeed={0.8}
+        autoRotate={orbiting}
+        autoRotateSpeed={cameraConfig.orbit.speed}
         target={orbitTarget}
       />
       
       {/* Background stars */}
       <BackgroundStars />
       
-      {/* Paper nodes */}
-      {papers.map((name, index) => (
-        <PaperNode
-          key={index}
-          position={paperPositions[index]}
-          name={name}
-          index={index}
-          onStarClick={handleStarClick}
+      {/* Relationships between papers */}
+      <RelationshipLinks
+        relationships={relationships}
+        layout={layout}
+        typeColors={typeColors}
+        hiddenTypes={hiddenTypes}
+        lod={lod}
+      />
+
+      {/* Communities as galaxies */}
+      {communities && (
+        <Galaxies
+          communities={communities}
+          layout={layout}
+          lod={lod}
+          onSuperStarClick={(center, radius) => flyTo(center, Math.max(80, radius * 4))}
         />
-      ))}
+      )}
+
+      {/* Route found by the path finder */}
+      {route && <RouteLine route={route} layout={layout} />}
+
+      {/* Relationship being drawn in edit mode */}
+      {linking && <LinkDraft draftRef={dragRef} layout={layout} />}
+
+      {/* Paper nodes */}
+      <InstancedStars
+        nodes={nodes}
+        layout={layout}
+        visibleIds={visibleIds}
+        styleFor={styleFor}
+        hoveredId={hoveredId}
+        selectedId={selectedId}
+        highlightIds={highlightIds}
+        transitions={transitions}
+        lod={lod}
+        onHover={setHoveredId}
+        onStarClick={handleStarClick}
+        onStarDoubleClick={onToggleExpansion}
+        onStarDragStart={handleStarDragStart}
+      />
+
+      {/* Paper labels */}
+      <LabelManager
+        nodes={visibleNodes}
+        layout={layout}
+        importance={importance}
+        forcedIds={forcedLabelIds}
+        getName={nodeName}
+        container={labelContainer}
+        lod={lod}
+      />
       
       {/* Ambient lighting */}
       <ambientLight intensity={0.2} />
@@ -417,58 +697,572 @@ const StarScene = ({ papers }) => {
 const StarView = () => {
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [papers, setPapers] = useState([]);
-  const [lastFetchTime, setLastFetchTime] = useState(null);
+  const [graph, setGraph] = useState({ nodes: [], relationships: [] });
+  const [hiddenTypes, setHiddenTypes] = useState(new Set());
+  const [labelContainer, setLabelContainer] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const inputBindings = useInputBindings();
+  const { input } = inputBindings;
+  // First key bound to an action, for hints; null when it only has buttons
+  const keyFor = (action) => keyLabels(inputBindings.bindings[action])[0] || null;
+  const loadControllerRef = useRef(null);
+  const [searchMatches, setSearchMatches] = useState(null);
+  const cameraApiRef = useRef(null);
   const [connectionStatus, setConnectionStatus] = useState('Checking connection...');
+  const [connectionSettings, setConnectionSettings] = useState(loadConnectionSettings);
+  // Ask for the password first when the settings were remembered without it
+  const [showConnectionDialog, setShowConnectionDialog] = useState(() => (
+    canConfigureConnection &&
+    connectionSettings.remember &&
+    !activeProfile(connectionSettings).password
+  ));
+  // Bumped to reload the whole graph; null while waiting for the dialog
+  const [connectionVersion, setConnectionVersion] = useState(() => (showConnectionDialog ? null : 0));
+  const [galaxiesOn, setGalaxiesOn] = useState(() => loadJSON(GALAXIES_STORAGE_KEY, communityConfig.enabled));
+  useEffect(() => {
+    saveJSON(GALAXIES_STORAGE_KEY, galaxiesOn);
+  }, [galaxiesOn]);
+  const {
+    communities,
+    computing: detectingCommunities,
+    error: communityError
+  } = useCommunities(graph, { enabled: galaxiesOn });
 
-  // Function to check if we need to fetch new data
-  const shouldFetchNewData = () => {
-    if (!lastFetchTime) return true;
-    const hoursSinceLastFetch = (Date.now() - lastFetchTime) / (1000 * 60 * 60);
-    return hoursSinceLastFetch >= 24;
-  };
+  // Galaxy of each star in a community big enough to form one
+  const galaxyGroups = useMemo(() => {
+    if (!communities) return null;
+    const groups = new Map();
+    communities.list.forEach(community => {
+      if (community.size < communityConfig.minGalaxySize) return;
+      community.nodeIds.forEach(id => groups.set(id, community.index));
+    });
+    return groups;
+  }, [communities]);
+
+  // Write settled positions back to the database when configured to
+  const handleLayoutSettled = useCallback((settledLayout) => {
+    if (!layoutConfig.persistToDatabase || !dataSource.savePositions) return;
+    const positions = [...settledLayout.indexById].map(([id, index]) => ({
+      id,
+      position: Array.from(settledLayout.positions.subarray(index * 3, index * 3 + 3))
+    }));
+    dataSource.savePositions(positions, layoutConfig.positionProperty).catch(err => {
+      console.error(`Error saving layout to ${dataSource.name}:`, err);
+    });
+  }, []);
+
+  const { layout, pin, unpin, unpinAll, resetLayout } = useForceLayout(graph.nodes, graph.relationships, {
+    storageKey: dataSource.key,
+    onSettled: handleLayoutSettled,
+    groups: galaxyGroups,
+    galaxySpacing: communityConfig.galaxySpacing,
+    galaxyPull: communityConfig.galaxyPull
+  });
+
+  const [initialLoadDone, setInitialLoadDone] = useState(false);
+  // Set while the scene shows a part of the database (a Cypher result or
+  // stars being explored) instead of all of it; polling would undo that
+  const [customView, setCustomView] = useState(exploreConfig.startMode === 'explore');
+  const customViewRef = useRef(customView);
+  customViewRef.current = customView;
+  // Star to fly to once it has a place in the layout
+  const pendingFlyRef = useRef(null);
+  const {
+    lastSyncTime,
+    syncing,
+    syncError,
+    sync,
+    markSynced,
+    applyChanges,
+    transitions
+  } = useGraphSync(graph, setGraph, { enabled: initialLoadDone && !customView });
+  const neighbourhood = useNeighbourhood(graph, setGraph, transitions);
+  const { resetExpansions } = neighbourhood;
+  const pathFinder = usePathFinder(graph, setGraph, transitions);
+  const { close: closePathFinder } = pathFinder;
 
-  // Fetch data from Neo4j
+  // Fetch data from the data source, showing stars as each batch lands
   useEffect(() => {
+    if (connectionVersion === null) return undefined;
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+
     const fetchData = async () => {
       try {
-        if (!shouldFetchNewData()) {
-          console.log('Using cached data from:', new Date(lastFetchTime).toLocaleString());
+        setConnectionStatus(`Connecting to ${dataSource.name}...`);
+        const isConnected = await dataSource.verifyConnection();
+        if (!isConnected) {
+          throw new Error(`Failed to connect to ${dataSource.name}`);
+        }
+        if (controller.signal.aborted) return;
+
+        // Exploring starts from an empty sky
+        if (customViewRef.current) {
+          setGraph({ nodes: [], relationships: [] });
           setLoading(false);
           return;
         }
 
-        setConnectionStatus('Connecting to Neo4j...');
-        const isConnected = await neo4jService.verifyConnection();
-        if (!isConnected) {
-          throw new Error('Failed to connect to Neo4j database');
-        }
-        setConnectionStatus('Connected to Neo4j. Loading papers...');
-        
-        const neo4jData = await neo4jService.getAllPapers();
-        const names = neo4jData.map(paper => paper.name).filter(name => name && typeof name === 'string');
+        setConnectionStatus(`Connected to ${dataSource.name}. Loading papers...`);
         
-        setPapers(names);
-        setLastFetchTime(Date.now());
+        setGraph({ nodes: [], relationships: [] });
         setLoading(false);
+
+        const loadedGraph = await dataSource.loadGraph({
+          signal: controller.signal,
+          onBatch: (batch) => setGraph(prev => ({
+            nodes: batch.nodes.length ? [...prev.nodes, ...batch.nodes] : prev.nodes,
+            relationships: batch.relationships.length
+              ? [...prev.relationships, ...batch.relationships]
+              : prev.relationships
+          })),
+          onProgress: setLoadProgress
+        });
+        
+        markSynced();
+        setInitialLoadDone(true);
         
-        if (names.length === 0) {
+        if (loadedGraph.nodes.length === 0) {
           setError('No papers found in the database');
         }
       } catch (err) {
+        if (err.name === 'AbortError') {
+          console.log('Graph load cancelled');
+          setLoadProgress(prev => prev && { ...prev, cancelled: true });
+          return;
+        }
+        if (controller.signal.aborted) return;
         console.error('Error fetching data:', err);
         setError(err.message);
         setLoading(false);
       }
     };
     fetchData();
-  }, [lastFetchTime]);
+
+    return () => controller.abort();
+  }, [connectionVersion, markSynced]);
+
+  // Switch to the connection chosen in the dialog and load its graph
+  const handleConnect = async (settings) => {
+    setShowConnectionDialog(false);
+    saveConnectionSettings(settings);
+    setConnectionSettings(settings);
+    loadControllerRef.current?.abort();
+    await neo4jService.configure(activeProfile(settings));
+    restoreDataSource();
+    setImportedName(null);
+
+    setError(null);
+    setLoading(true);
+    setLoadProgress(null);
+    setSelectedId(null);
+    setSearchMatches(null);
+    setInitialLoadDone(false);
+    resetExpansions();
+    closePathFinder();
+    setConnectionVersion(version => (version ?? 0) + 1);
+  };
+
+  // Show what a console query returned, instead of or on top of the scene
+  const handleCypherResult = useCallback((result, mode) => {
+    loadControllerRef.current?.abort();
+    setLoadProgress(null);
+    setCustomView(true);
+    if (mode === 'add') {
+      setGraph(prev => mergeGraphs(prev, result));
+    } else {
+      setGraph({ nodes: result.nodes, relationships: result.relationships });
+      setSelectedId(null);
+      resetExpansions();
+      closePathFinder();
+    }
+  }, [resetExpansions, closePathFinder]);
+
+  // Name of the dropped files being shown instead of the configured source
+  const [importedName, setImportedName] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
+
+  // Load the whole graph again from whichever source is active now
+  const reloadSource = useCallback(() => {
+    loadControllerRef.current?.abort();
+    setError(null);
+    setLoading(true);
+    setLoadProgress(null);
+    setCustomView(false);
+    setSelectedId(null);
+    setSearchMatches(null);
+    setInitialLoadDone(false);
+    resetExpansions();
+    closePathFinder();
+    setConnectionVersion(version => (version ?? 0) + 1);
+  }, [resetExpansions, closePathFinder]);
+
+  // Show dropped graph files instead of the configured source
+  const handleFilesDropped = useCallback(async (files) => {
+    setImporting(true);
+    setImportError(null);
+    try {
+      const { name, graph: imported } = await importGraphFiles(files);
+      importService.setImport(name, imported);
+      switchDataSource(importService);
+      setImportedName(name);
+      reloadSource();
+    } catch (err) {
+      console.error('Error importing files:', err);
+      setImportError(err);
+    } finally {
+      setImporting(false);
+    }
+  }, [reloadSource]);
+
+  const { dragging } = useFileDrop(handleFilesDropped);
+
+  const handleLeaveImport = useCallback(() => {
+    restoreDataSource();
+    setImportedName(null);
+    reloadSource();
+  }, [reloadSource]);
+
+  const fileDrop = (
+    <FileDrop
+      dragging={dragging}
+      importing={importing}
+      error={importError}
+      onDismiss={() => setImportError(null)}
+    />
+  );
+
+  const handleShowAll = useCallback(() => {
+    setCustomView(false);
+    setSelectedId(null);
+    setInitialLoadDone(false);
+    resetExpansions();
+    closePathFinder();
+    setConnectionVersion(version => (version ?? 0) + 1);
+  }, [resetExpansions, closePathFinder]);
+
+  // While only part of the database is shown, search also looks for stars
+  // that are not in the scene yet
+  const searchRemote = useMemo(() => (
+    customView && dataSource.searchNodes
+      ? (query, options) => dataSource.searchNodes(query, options)
+      : null
+  ), [customView]);
+
+  // Add a star found by search to the scene as a starting point
+  const handleAddSeed = useCallback((node) => {
+    startTransitions(transitions, [node.id], 'enter');
+    setGraph(prev => mergeGraphs(prev, { nodes: [node], relationships: [] }));
+    setSelectedId(node.id);
+    pendingFlyRef.current = node.id;
+  }, [transitions]);
+
+  const connectionDialog = showConnectionDialog && (
+    <ConnectionDialog
+      settings={connectionSettings}
+      onConnect={handleConnect}
+      onCancel={connectionVersion === null ? null : () => setShowConnectionDialog(false)}
+    />
+  );
+
+  const labelStyles = useLabelStyles(graph.nodes);
+  const { isNodeVisible, setVisibility } = labelStyles;
+  const metricBindings = useMetricBindings(graph, labelStyles.styleFor);
+  const timeline = useTimeline(graph, transitions);
+  const { visibleIds: timelineIds, isRelationshipVisible } = timeline;
+
+  // Nodes whose labels are shown and that exist at the timeline's moment,
+  // and the relationships between them
+  const visibleNodes = useMemo(
+    () => graph.nodes.filter(node => isNodeVisible(node) && (!timelineIds || timelineIds.has(node.id))),
+    [graph.nodes, isNodeVisible, timelineIds]
+  );
+  const visibleRelationships = useMemo(() => {
+    const visibleIds = new Set(visibleNodes.map(node => node.id));
+    return graph.relationships.filter(rel => (
+      visibleIds.has(rel.startId) && visibleIds.has(rel.endId) && isRelationshipVisible(rel)
+    ));
+  }, [graph.relationships, visibleNodes, isRelationshipVisible]);
+
+  // Degree of each node, used to rank which labels are shown
+  const degrees = useMemo(() => {
+    const counts = new Map();
+    graph.relationships.forEach(rel => {
+      counts.set(rel.startId, (counts.get(rel.startId) || 0) + 1);
+      counts.set(rel.endId, (counts.get(rel.endId) || 0) + 1);
+    });
+    return counts;
+  }, [graph.relationships]);
+
+  const isNodeLoaded = useCallback((id) => layout.indexById.has(id), [layout]);
+
+  const selectedNode = useMemo(
+    () => (selectedId ? graph.nodes.find(node => node.id === selectedId) || null : null),
+    [graph.nodes, selectedId]
+  );
+
+  // Fly to a newly added star as soon as the layout has placed it
+  useEffect(() => {
+    const id = pendingFlyRef.current;
+    if (id && layout.indexById.has(id)) {
+      pendingFlyRef.current = null;
+      cameraApiRef.current?.flyToNode(id);
+    }
+  }, [graph.nodes, layout]);
+
+  // Select a neighbour from the inspector and fly to it when it is in the scene
+  const handleSelectNeighbour = useCallback((id) => {
+    setSelectedId(id);
+    if (layout.indexById.has(id)) {
+      cameraApiRef.current?.flyToNode(id);
+    }
+  }, [layout]);
+
+  // Select a search result and frame it
+  const handleSearchSelect = useCallback((id) => {
+    setSelectedId(id);
+    cameraApiRef.current?.frameNode(id);
+  }, []);
+
+  // The view apart from the camera, as kept in links and bookmarks
+  const viewState = useMemo(() => ({
+    selectedId,
+    hiddenTypes: [...hiddenTypes],
+    hiddenLabels: [...labelStyles.hiddenLabels],
+    isolatedLabel: labelStyles.isolated
+  }), [selectedId, hiddenTypes, labelStyles.hiddenLabels, labelStyles.isolated]);
+  // Last camera pose reported by the scene
+  const cameraViewRef = useRef(null);
+  const graphRef = useRef(graph);
+  graphRef.current = graph;
+  const [viewNotice, setViewNotice] = useState(null);
+
+  // Show a view from a link or bookmark. A selected star that is no longer in
+  // the graph is dropped with a notice; the camera and filters still apply.
+  const applyView = useCallback(async (view, { animate }) => {
+    setHiddenTypes(new Set(view.hiddenTypes));
+    setVisibility(view.hiddenLabels, view.isolatedLabel);
+    if (view.camera) cameraApiRef.current?.setView(view.camera, animate ? undefined : 0);
+    setViewNotice(null);
+
+    const id = view.selectedId;
+    if (!id) {
+      setSelectedId(null);
+      return;
+    }
+    if (graphRef.current.nodes.some(node => node.id === id)) {
+      setSelectedId(id);
+      if (!view.camera) cameraApiRef.current?.frameNode(id);
+      return;
+    }
+
+    // While exploring, a star that is not in the scene may still be in the database
+    let node = null;
+    if (customViewRef.current) {
+      try {
+        const details = await dataSource.getPaperDetails(id);
+        if (details) node = { id: details.id, labels: details.labels, properties: details.properties };
+      } catch (err) {
+        console.warn('Could not fetch the linked star:', err.message);
+      }
+    }
+    if (node) {
+      startTransitions(transitions, [node.id], 'enter');
+      setGraph(prev => mergeGraphs(prev, { nodes: [node], relationships: [] }));
+      setSelectedId(node.id);
+      if (!view.camera) pendingFlyRef.current = node.id;
+    } else {
+      setSelectedId(null);
+      setViewNotice(`The linked star (id ${id}) is no longer in the graph; showing the rest of the view.`);
+    }
+  }, [setVisibility, transitions]);
+
+  const viewReady = !loading && !error && (initialLoadDone || customView);
+  const { scheduleWrite } = useViewLink({
+    ready: viewReady,
+    state: viewState,
+    cameraViewRef,
+    applyView
+  });
+
+  const handleCameraChange = useCallback((view) => {
+    cameraViewRef.current = view;
+    scheduleWrite();
+  }, [scheduleWrite]);
+
+  const bookmarks = useBookmarks(dataSource.key);
+  const currentView = useCallback(() => ({
+    ...viewState,
+    camera: cameraApiRef.current?.getView() || cameraViewRef.current
+  }), [viewState]);
+
+  // Select each tour stop's star as the tour reaches it, when it is in the graph
+  const handleTourStop = useCallback((stop) => {
+    if (stop.node && graphRef.current.nodes.some(node => node.id === stop.node)) {
+      setSelectedId(stop.node);
+    }
+  }, []);
+  const tourPlayer = useTour({ cameraApiRef, onStop: handleTourStop });
+  const { load: loadTour } = tourPlayer;
+
+  // The current view as a new tour stop
+  const captureTourStop = useCallback((caption) => ({
+    node: selectedId,
+    camera: currentView().camera,
+    caption,
+    dwell: cameraConfig.tour.dwell,
+    distance: cameraConfig.tour.distance,
+    flight: null,
+    orbit: false
+  }), [selectedId, currentView]);
+
+  // Play the configured tour once the scene is ready, e.g. on a lobby screen
+  const tourLoadedRef = useRef(false);
+  useEffect(() => {
+    if (!viewReady || !cameraConfig.tour.url || tourLoadedRef.current) return;
+    tourLoadedRef.current = true;
+    fetch(cameraConfig.tour.url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then(text => loadTour(parseTour(text), { autoplay: true }))
+      .catch(err => {
+        console.error('Error loading tour:', err);
+        setViewNotice(`Could not load the tour from ${cameraConfig.tour.url}: ${err.message}`);
+      });
+  }, [viewReady, loadTour]);
+
+  // Cinematic orbit around the selected star: the panels are hidden and the
+  // camera circles until it is toggled off or left
+  const [orbitMode, setOrbitMode] = useState(false);
+  useInputAction(input, 'toggleOrbitMode', () => setOrbitMode(prev => !prev));
+  const leaveOrbitKeys = [keyFor('toggleOrbitMode'), keyFor('exit')].filter(Boolean);
+
+  // Keys and gamepad help, where bindings can also be changed
+  const [helpOpen, setHelpOpen] = useState(false);
+  useInputAction(input, 'showHelp', () => setHelpOpen(prev => !prev));
+
+  useInputAction(input, 'exit', () => {
+    if (helpOpen) setHelpOpen(false);
+    else if (orbitMode) setOrbitMode(false);
+    else return false;
+  });
+
+  // Edit mode, for data sources that can write and builds that offer it
+  const canEdit = editConfig.enabled && Boolean(dataSource.createNode);
+  const [editing, setEditing] = useState(false);
+  const editActive = editing && canEdit;
+  // New star or relationship being filled in: { kind: 'node', position } or
+  // { kind: 'relationship', startId, endId }
+  const [draft, setDraft] = useState(null);
+  // Stars to pin once the layout has placed them
+  const pendingPinsRef = useRef(new Map());
+
+  const getPosition = useCallback((id) => getNodePosition(layout, id), [layout]);
+  const placeNode = useCallback((id, position) => {
+    pendingPinsRef.current.set(id, position);
+  }, []);
+
+  useEffect(() => {
+    pendingPinsRef.current.forEach((position, id) => {
+      if (!layout.indexById.has(id)) return;
+      pendingPinsRef.current.delete(id);
+      pin(id, position);
+    });
+  }, [graph.nodes, layout, pin]);
+
+  const editor = useGraphEditor({
+    applyChanges,
+    getName: nodeName,
+    getPosition,
+    place: placeNode,
+    onNotice: setViewNotice
+  });
+  const { undo } = editor;
+
+  useEffect(() => {
+    if (!editActive) setDraft(null);
+  }, [editActive]);
+
+  // Text fields keep their own undo; see useInputBindings
+  useInputAction(input, 'undo', () => {
+    if (!editActive) return false;
+    undo();
+  });
+
+  // Double-clicking empty space in edit mode starts a new star there
+  const handlePointerMissed = useCallback((event) => {
+    if (!editActive || event.type !== 'dblclick') return;
+    const position = cameraApiRef.current?.pointToWorld(event.clientX, event.clientY);
+    if (position) setDraft({ kind: 'node', position });
+  }, [editActive]);
+
+  const handleLink = useCallback((startId, endId) => {
+    setDraft({ kind: 'relationship', startId, endId });
+  }, []);
+
+  const handleCreate = async (values) => {
+    const created = draft.kind === 'node'
+      ? await editor.createNode(values, draft.position)
+      : await editor.createRelationship({ ...values, startId: draft.startId, endId: draft.endId });
+    if (!created) return;
+    setDraft(null);
+    if (draft.kind === 'node') setSelectedId(created.id);
+  };
+
+  const nameOfId = (id) => {
+    const node = graph.nodes.find(item => item.id === id);
+    return node ? nodeName(node) : `star ${id}`;
+  };
+
+  const handleDeleteNode = async (node) => {
+    if (await editor.deleteNode(node)) setSelectedId(null);
+  };
+
+  // Relationship types present in the graph, with counts and colors
+  const typeCounts = useMemo(() => {
+    const counts = new Map();
+    graph.relationships.forEach(rel => counts.set(rel.type, (counts.get(rel.type) || 0) + 1));
+    return counts;
+  }, [graph.relationships]);
+
+  const typeColors = useMemo(() => {
+    return new Map([...typeCounts.keys()].map(type => [type, colorForKey(type)]));
+  }, [typeCounts]);
+
+  // The visible stars and relationships with their positions and look, for export
+  const getExportGraph = useCallback(() => buildExportGraph({
+    nodes: visibleNodes,
+    relationships: visibleRelationships.filter(rel => !hiddenTypes.has(rel.type)),
+    layout,
+    styleFor: metricBindings.styleFor,
+    typeColors,
+    channels: metricBindings.channels,
+    getName: nodeName
+  }), [visibleNodes, visibleRelationships, hiddenTypes, layout, metricBindings, typeColors]);
+
+  const toggleType = (type) => {
+    setHiddenTypes(prev => {
+      const next = new Set(prev);
+      if (next.has(type)) {
+        next.delete(type);
+      } else {
+        next.add(type);
+      }
+      return next;
+    });
+  };
 
   if (loading) {
     return (
       <div className="loading">
         <div>{connectionStatus}</div>
         <div className="loading-spinner"></div>
+        {connectionDialog}
+        {fileDrop}
       </div>
     );
   }
@@ -478,22 +1272,37 @@ const StarView = () => {
       <div className="error">
         <h3>Connection Error</h3>
         <p>{error}</p>
-        <div className="error-details">
-          <p>Please check:</p>
-          <ul>
-            <li>Is Neo4j running on your machine?</li>
-            <li>Is the connection URI correct? (bolt://localhost:7687)</li>
-            <li>Are the credentials correct? (neo4j/ssss8888)</li>
-            <li>Is port 7687 accessible?</li>
-          </ul>
-        </div>
+        {canConfigureConnection && (
+          <div className="error-details">
+            <p>Please check:</p>
+            <ul>
+              <li>Is Neo4j running and reachable?</li>
+              <li>Is the connection URI correct? ({activeProfile(connectionSettings).uri})</li>
+              <li>Are the user name and password correct?</li>
+              <li>Does the URI scheme match the server's TLS setting (bolt:// or bolt+s://)?</li>
+            </ul>
+            <button className="panel-button" onClick={() => setShowConnectionDialog(true)}>
+              Connection settings
+            </button>
+          </div>
+        )}
+        {importedName ? (
+          <button className="panel-button" onClick={handleLeaveImport}>
+            Back to {configuredDataSourceName()}
+          </button>
+        ) : (
+          <p className="drop-hint">Or drop a graph file (JSON, CSV, GraphML or GEXF) here to view it without a database.</p>
+        )}
+        {connectionDialog}
+        {fileDrop}
       </div>
     );
   }
 
   return (
-    <div className="star-view">
+    <div className={`star-view${orbitMode ? ' cinematic' : ''}${editActive ? ' editing' : ''}`}>
       <Canvas
+        onPointerMissed={handlePointerMissed}
         style={{ 
           width: '100vw', 
           height: '100vh', 
@@ -506,30 +1315,275 @@ const StarView = () => {
         }}
         camera={{ position: [0, 0, 300], fov: 60 }}
       >
-        <StarScene papers={papers} />
+        <StarScene
+          nodes={graph.nodes}
+          visibleNodes={visibleNodes}
+          relationships={visibleRelationships}
+          typeColors={typeColors}
+          hiddenTypes={hiddenTypes}
+          styleFor={metricBindings.styleFor}
+          importance={degrees}
+          labelContainer={labelContainer}
+          layout={layout}
+          selectedId={selectedId}
+          searchMatches={searchMatches}
+          route={pathFinder.activeRoute}
+          routeNodeIds={pathFinder.routeNodeIds}
+          communities={communities}
+          transitions={transitions}
+          cameraApiRef={cameraApiRef}
+          input={input}
+          orbiting={orbitMode || tourPlayer.orbiting}
+          orbitId={orbitMode ? selectedId : tourPlayer.stop?.node}
+          linking={editActive}
+          onCameraChange={handleCameraChange}
+          onSelect={setSelectedId}
+          onPin={pin}
+          onUnpin={unpin}
+          onLink={handleLink}
+          onToggleExpansion={neighbourhood.toggle}
+        />
       </Canvas>
+
+      <div className="label-layer" ref={setLabelContainer} />
+
+      <LoadProgress
+        progress={loadProgress}
+        onCancel={() => loadControllerRef.current?.abort()}
+        onDismiss={() => setLoadProgress(null)}
+      />
+
+      <SearchBox
+        input={input}
+        shortcut={keyFor('focusSearch')}
+        nodes={visibleNodes}
+        getName={nodeName}
+        onMatches={setSearchMatches}
+        onSelect={handleSearchSelect}
+        searchRemote={searchRemote}
+        onAddSeed={handleAddSeed}
+      />
+
+      {customView && graph.nodes.length === 0 && (
+        <div className="explore-hint">
+          Search for a star or run a Cypher query to start exploring.
+          Double-click a star to expand its neighbourhood.
+        </div>
+      )}
+
+      {timeline.open && <Timeline timeline={timeline} totalCount={graph.nodes.length} />}
+
+      {tourPlayer.open && <TourPlayer tourPlayer={tourPlayer} onCaptureStop={captureTourStop} />}
+
+      {orbitMode && leaveOrbitKeys.length > 0 && (
+        <div className="cinematic-hint">Press {leaveOrbitKeys.join(' or ')} to leave orbit mode</div>
+      )}
+      {inputBindings.gamepad && <div className="gamepad-crosshair" />}
+      {helpOpen && <InputHelp inputBindings={inputBindings} onClose={() => setHelpOpen(false)} />}
+
+      {fileDrop}
+
+      {draft && (
+        <NewElementForm
+          key={draft.kind === 'node' ? draft.position.join(',') : `${draft.startId}-${draft.endId}`}
+          kind={draft.kind}
+          startName={draft.startId && nameOfId(draft.startId)}
+          endName={draft.endId && nameOfId(draft.endId)}
+          suggestions={[...(draft.kind === 'node' ? labelStyles.labelCounts : typeCounts).keys()]}
+          busy={editor.busy}
+          onCreate={handleCreate}
+          onCancel={() => setDraft(null)}
+        />
+      )}
+
+      {viewNotice && (
+        <div className="view-notice">
+          {viewNotice}
+          <button onClick={() => setViewNotice(null)} title="Dismiss">×</button>
+        </div>
+      )}
+
+      {dataSource.runCypher && (
+        <CypherConsole customView={customView} onResult={handleCypherResult} onShowAll={handleShowAll} />
+      )}
+
+      {pathFinder.open && (
+        <PathFinder
+          source={pathFinder.source}
+          target={pathFinder.target}
+          selected={selectedNode}
+          settings={pathFinder.settings}
+          routes={pathFinder.routes}
+          activeIndex={pathFinder.activeIndex}
+          finding={pathFinder.finding}
+          error={pathFinder.error}
+          getName={nodeName}
+          onChooseSource={pathFinder.chooseSource}
+          onChooseTarget={pathFinder.chooseTarget}
+          onSwap={pathFinder.swap}
+          onUpdateSettings={pathFinder.updateSettings}
+          onFind={pathFinder.find}
+          onSelectRoute={pathFinder.setActiveIndex}
+          onFlyAlong={() => cameraApiRef.current?.flyAlong(pathFinder.activeRoute.nodes.map(node => node.id))}
+          onClear={pathFinder.clear}
+          onClose={pathFinder.close}
+        />
+      )}
+
+      {selectedId && (
+        <NodeInspector
+          key={selectedId}
+          nodeId={selectedId}
+          getName={nodeName}
+          styleForLabel={labelStyles.styleForLabel}
+          isLoaded={isNodeLoaded}
+          expanded={neighbourhood.expansions.has(selectedId)}
+          expanding={neighbourhood.expandingId === selectedId}
+          expandError={neighbourhood.expandError}
+          expansionSettings={neighbourhood.settings}
+          onUpdateExpansion={neighbourhood.updateSettings}
+          onExpand={() => neighbourhood.expand(selectedId)}
+          onCollapse={() => neighbourhood.collapse(selectedId)}
+          onRouteFrom={selectedNode && (() => pathFinder.chooseSource(selectedNode))}
+          onRouteTo={selectedNode && (() => pathFinder.chooseTarget(selectedNode))}
+          onSelectNeighbour={handleSelectNeighbour}
+          editable={editActive}
+          editBusy={editor.busy}
+          revision={editor.revision}
+          onSaveProperties={editor.updateNode}
+          onDelete={handleDeleteNode}
+          onDeleteRelationship={editor.deleteRelationship}
+          onClose={() => setSelectedId(null)}
+        />
+      )}
       
+      <Legend
+        labelCounts={labelStyles.labelCounts}
+        styles={labelStyles.styles}
+        hiddenLabels={labelStyles.hiddenLabels}
+        isolated={labelStyles.isolated}
+        onToggleHidden={labelStyles.toggleHidden}
+        onToggleIsolated={labelStyles.toggleIsolated}
+        onUpdateLabel={labelStyles.updateLabel}
+        onResetLabel={labelStyles.resetLabel}
+      >
+        <MetricBindings
+          sources={metricBindings.sources}
+          bindings={metricBindings.bindings}
+          channels={metricBindings.channels}
+          computing={metricBindings.computing}
+          error={metricBindings.error}
+          metricsSource={metricBindings.metricsSource}
+          onSetBinding={metricBindings.setBinding}
+        />
+      </Legend>
+
       <div className="info-panel">
         <h2>Stellar Observatory</h2>
-        <p>Total papers: {papers.length}</p>
+        <p>Total papers: {graph.nodes.length}</p>
+        <p>Total relationships: {graph.relationships.length}</p>
         <p className="connection-status">
-          Connected to Neo4j
-          {lastFetchTime && (
-            <span> (Last updated: {new Date(lastFetchTime).toLocaleString()})</span>
+          Connected to {dataSource.name}
+          {lastSyncTime && (
+            <span> (Last synced: {new Date(lastSyncTime).toLocaleTimeString()})</span>
           )}
+          {syncing && <span> · Syncing…</span>}
         </p>
+        {syncError && <p className="sync-error">Sync failed: {syncError}</p>}
+        {importedName && (
+          <button className="panel-button" onClick={handleLeaveImport}>
+            Back to {configuredDataSourceName()}
+          </button>
+        )}
+        <button className="panel-button" onClick={sync} disabled={!initialLoadDone || customView || syncing}>
+          Refresh now
+        </button>
+        {canConfigureConnection && (
+          <button className="panel-button" onClick={() => setShowConnectionDialog(true)}>
+            Connection...
+          </button>
+        )}
+        <button className="panel-button" onClick={() => pathFinder.setOpen(true)}>
+          Find route...
+        </button>
+        <button className="panel-button" onClick={() => tourPlayer.setOpen(true)}>
+          Tours...
+        </button>
+        <button className="panel-button" onClick={() => timeline.setOpen(true)}>
+          Timeline...
+        </button>
+        <button className="panel-button" onClick={() => setOrbitMode(true)}>
+          Orbit {selectedNode ? nodeName(selectedNode) : 'view'}
+        </button>
+        {canEdit && (
+          <div className="edit-controls">
+            <button className="panel-button" onClick={() => setEditing(prev => !prev)}>
+              {editing ? 'Leave edit mode' : 'Edit mode'}
+            </button>
+            {editing && (
+              <>
+                <button
+                  className="panel-button"
+                  onClick={undo}
+                  disabled={!editor.canUndo || editor.busy}
+                  title={editor.undoDescription ? `Undo ${editor.undoDescription}` : 'Nothing to undo'}
+                >
+                  Undo
+                </button>
+                <p className="edit-hint">
+                  Double-click empty space to add a star, drag from one star to another to link them,
+                  and edit or delete the selected star in its panel.{keyFor('undo') && ` ${keyFor('undo')} undoes.`}
+                </p>
+              </>
+            )}
+          </div>
+        )}
+        <label className="galaxy-toggle">
+          <input type="checkbox" checked={galaxiesOn} onChange={(e) => setGalaxiesOn(e.target.checked)} />
+          Group into galaxies
+          {detectingCommunities && <span> · Detecting communities…</span>}
+          {!detectingCommunities && communities && (
+            <span> · {communities.list.length} communities ({communities.source})</span>
+          )}
+        </label>
+        {communityError && <p className="sync-error">Community detection failed: {communityError}</p>}
+        <ExportMenu
+          getGraph={getExportGraph}
+          captureImage={(width, height) => cameraApiRef.current.captureImage(width, height)}
+          meta={{ source: dataSource.name }}
+        />
+        <Bookmarks
+          bookmarks={bookmarks.bookmarks}
+          getCurrentView={currentView}
+          onSave={(name) => bookmarks.saveBookmark(name, currentView())}
+          onOpen={(bookmark) => applyView(bookmark.view, { animate: true })}
+          onRemove={bookmarks.removeBookmark}
+        />
         <div className="controls-info">
           <p><strong>Navigation:</strong></p>
           <p>• Mouse: Look around</p>
           <p>• Scroll: Infinite zoom</p>
-          <p>• Click star: Set orbit target</p>
-          <p>• WASD: Move around</p>
-          <p>• Space: Move up</p>
-          <p>• Shift: Move faster</p>
-          <p>• F: Toggle auto-flight</p>
-          <p>• R: Reset orbit center</p>
+          <p>• Click star: Inspect &amp; set orbit target</p>
+          <p>• Drag star: Pin it in place</p>
+          <p>• Alt+click star: Release pin</p>
+          <p>• Double-click star: Expand / collapse neighbours</p>
+          {KEY_HINTS.map(([actions, text]) => {
+            const keys = actions.map(keyFor);
+            return keys.every(Boolean) && <p key={text}>• {keys.join('/')}: {text}</p>;
+          })}
+          <p>• Drop a file: View a JSON, CSV, GraphML or GEXF graph</p>
+          <button className="panel-button" onClick={() => setHelpOpen(true)}>All keys and gamepad...</button>
+          <button className="panel-button" onClick={unpinAll}>Release all pinned stars</button>
+          <button className="panel-button" onClick={resetLayout}>Re-run layout</button>
         </div>
+        <RelationshipFilter
+          typeCounts={typeCounts}
+          typeColors={typeColors}
+          hiddenTypes={hiddenTypes}
+          onToggle={toggleType}
+        />
       </div>
+      {connectionDialog}
     </div>
   );
 };
@@ -0,0 +1,152 @@
+import React, { useMemo } from 'react';
+import { bin, max } from 'd3';
+import { timelineConfig } from '../config/timeline.config';
+import { formatTime } from '../utils/temporal';
+import './Timeline.css';
+
+const HEIGHT = 40;
+
+// Scrubber for the timeline: choose the date properties, see when stars were
+// born in the histogram, and move through time by dragging the slider,
+// clicking the histogram or playing.
+const Timeline = ({ timeline, totalCount }) => {
+  const { domain, time, settings, properties } = timeline;
+
+  const bins = useMemo(() => {
+    if (!domain) return [];
+    const width = (domain[1] - domain[0]) / timelineConfig.histogramBins;
+    return bin()
+      .domain(domain)
+      .thresholds(Array.from({ length: timelineConfig.histogramBins - 1 }, (_, i) => domain[0] + (i + 1) * width))(timeline.births);
+  }, [domain, timeline.births]);
+
+  const tallest = max(bins, b => b.length) || 1;
+  const span = domain ? domain[1] - domain[0] : 1;
+  const cursor = domain ? ((time - domain[0]) / span) * 100 : 0;
+
+  const handleHistogramClick = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    timeline.setTime(domain[0] + ((event.clientX - rect.left) / rect.width) * span);
+  };
+
+  return (
+    <div
+      className="timeline"
+      // Keep typing from reaching the camera controls
+      onKeyDown={(event) => event.stopPropagation()}
+      onKeyUp={(event) => event.stopPropagation()}
+    >
+      <div className="timeline-row">
+        <label>
+          Date
+          <select
+            value={settings.startProperty || ''}
+            onChange={(event) => timeline.updateSettings({ startProperty: event.target.value })}
+            disabled={properties.length === 0}
+          >
+            {properties.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label>
+          Ends
+          <select
+            value={settings.endProperty || ''}
+            onChange={(event) => timeline.updateSettings({ endProperty: event.target.value || null })}
+            disabled={properties.length === 0}
+          >
+            <option value="">None</option>
+            {properties.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label>
+          Fade after
+          <select
+            value={settings.fadeAfterDays ?? ''}
+            onChange={(event) => timeline.updateSettings({
+              fadeAfterDays: event.target.value ? Number(event.target.value) : null
+            })}
+          >
+            {timelineConfig.fadeOptions.map(option => (
+              <option key={option.name} value={option.days ?? ''}>{option.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.showUndated}
+            onChange={(event) => timeline.updateSettings({ showUndated: event.target.checked })}
+          />
+          Undated
+        </label>
+        <button className="timeline-close" onClick={timeline.close} title="Close">×</button>
+      </div>
+
+      {properties.length === 0 && (
+        <p className="timeline-message">No date properties found on the loaded stars.</p>
+      )}
+
+      {domain && (
+        <>
+          <svg
+            className="timeline-histogram"
+            viewBox={`0 0 ${bins.length} ${HEIGHT}`}
+            preserveAspectRatio="none"
+            onClick={handleHistogramClick}
+          >
+            {bins.map((b, i) => {
+              const height = b.length === 0 ? 0 : Math.max(1, (b.length / tallest) * HEIGHT);
+              return (
+                <rect
+                  key={i}
+                  x={i + 0.1}
+                  y={HEIGHT - height}
+                  width={0.8}
+                  height={height}
+                  fill={b.x0 <= time ? '#00ffcc' : '#335'}
+                >
+                  <title>{b.length} born {formatTime(b.x0)} – {formatTime(b.x1)}</title>
+                </rect>
+              );
+            })}
+            <line
+              x1={(cursor / 100) * bins.length}
+              x2={(cursor / 100) * bins.length}
+              y1={0}
+              y2={HEIGHT}
+              stroke="#ffd24a"
+              strokeWidth={0.15}
+            />
+          </svg>
+          <div className="timeline-row">
+            <button
+              className="timeline-play"
+              onClick={timeline.playing ? timeline.pause : timeline.play}
+              title={timeline.playing ? 'Pause' : 'Play'}
+            >
+              {timeline.playing ? '⏸' : '▶'}
+            </button>
+            <input
+              className="timeline-slider"
+              type="range"
+              min={domain[0]}
+              max={domain[1]}
+              step={Math.max(1, span / 1000)}
+              value={time}
+              onChange={(event) => timeline.setTime(Number(event.target.value))}
+            />
+          </div>
+          <div className="timeline-axis">
+            <span>{formatTime(domain[0])}</span>
+            <span className="timeline-now">
+              {formatTime(time)} · {timeline.aliveCount} of {totalCount} stars
+            </span>
+            <span>{formatTime(domain[1])}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Timeline;
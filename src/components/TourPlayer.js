@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { parseTour, serializeTour } from '../utils/tours';
+import { downloadText } from '../utils/download';
+import './TourPlayer.css';
+
+const fileNameFor = (title) => `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tour'}.json`;
+
+// Player for guided tours: the caption of the current stop, and controls to
+// play, pause and step. Tours are opened from JSON files, and can be written
+// here by adding the current view as a stop and downloading the result.
+const TourPlayer = ({ tourPlayer, onCaptureStop }) => {
+  const { tour, index, stop, playing } = tourPlayer;
+  const [caption, setCaption] = useState('');
+  const [error, setError] = useState(null);
+
+  const openFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      tourPlayer.load(parseTour(await file.text()));
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const addStop = () => {
+    tourPlayer.addStop(onCaptureStop(caption.trim()));
+    setCaption('');
+  };
+
+  const count = tour?.stops.length || 0;
+
+  return (
+    <>
+      {stop?.caption && <div className="tour-caption">{stop.caption}</div>}
+      <div
+        className="tour-player"
+        // Keep typing from reaching the camera controls
+        onKeyDown={(event) => event.stopPropagation()}
+        onKeyUp={(event) => event.stopPropagation()}
+      >
+        <div className="tour-player-row">
+          <strong className="tour-player-title">{tour?.title || 'Tour'}</strong>
+          <span className="tour-player-position">{count > 0 ? `${index + 1} / ${count}` : 'No stops'}</span>
+          <button className="tour-player-button" onClick={tourPlayer.previous} disabled={count === 0} title="Previous stop">
+            ⏮
+          </button>
+          <button
+            className="tour-player-button"
+            onClick={playing ? tourPlayer.pause : tourPlayer.play}
+            disabled={count === 0}
+            title={playing ? 'Pause' : 'Play'}
+          >
+            {playing ? '⏸' : '▶'}
+          </button>
+          <button className="tour-player-button" onClick={tourPlayer.next} disabled={count === 0} title="Next stop">
+            ⏭
+          </button>
+          <button className="tour-player-close" onClick={tourPlayer.close} title="Close">×</button>
+        </div>
+        <div className="tour-player-row">
+          <label className="panel-button">
+            Open tour...
+            <input type="file" accept=".json,application/json" onChange={openFile} hidden />
+          </label>
+          <button
+            className="panel-button"
+            onClick={() => downloadText(serializeTour(tour), fileNameFor(tour.title), 'application/json')}
+            disabled={count === 0}
+          >
+            Download
+          </button>
+        </div>
+        <div className="tour-player-row">
+          <input
+            className="tour-player-caption-input"
+            value={caption}
+            placeholder="Caption for a new stop"
+            onChange={(event) => setCaption(event.target.value)}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter') addStop();
+            }}
+          />
+          <button className="panel-button" onClick={addStop} title="Add the current view as a stop after this one">
+            Add stop
+          </button>
+          <button className="panel-button" onClick={tourPlayer.removeStop} disabled={index < 0}>
+            Remove stop
+          </button>
+        </div>
+        {error && <p className="tour-player-error">{error}</p>}
+      </div>
+    </>
+  );
+};
+
+export default TourPlayer;
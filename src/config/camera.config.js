@@ -0,0 +1,24 @@
+// Camera motion configuration
+export const cameraConfig = {
+  flight: {
+    // Flight time grows with the distance travelled, at this many units per
+    // second, within these bounds in seconds
+    speed: 150,
+    minDuration: 1,
+    maxDuration: 4,
+    // How far long flights bow outwards, as a fraction of the distance, so
+    // the camera pulls back to show both ends instead of cutting through
+    arc: 0.3
+  },
+  orbit: {
+    // OrbitControls autoRotateSpeed; 2 is one turn every 30 seconds
+    speed: Number(process.env.REACT_APP_ORBIT_SPEED) || 0.6
+  },
+  tour: {
+    // Defaults for stops that leave them out, in seconds and scene units
+    dwell: 6,
+    distance: 80,
+    // Tour to load and play on start, e.g. for an unattended screen
+    url: process.env.REACT_APP_TOUR_URL || null
+  }
+};
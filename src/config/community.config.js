@@ -0,0 +1,17 @@
+// Community ("galaxy") configuration
+export const communityConfig = {
+  // Start with stars grouped into galaxies; toggled in the info panel
+  enabled: process.env.REACT_APP_GALAXIES === 'true',
+  // Communities smaller than this are not gathered into a galaxy, get no
+  // nebula and never collapse into a super-star
+  minGalaxySize: 5,
+  // Distance between galaxy centres, and how strongly stars are pulled to theirs
+  galaxySpacing: 220,
+  galaxyPull: 0.08,
+  // A galaxy collapses into a super-star when its radius divided by the
+  // camera distance drops below collapseBelow, and opens again above expandAbove
+  collapseBelow: 0.03,
+  expandAbove: 0.04,
+  // Labels named on a super-star
+  topLabels: 3
+};
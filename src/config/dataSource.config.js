@@ -0,0 +1,8 @@
+// Where the graph comes from
+export const dataSourceConfig = {
+  // 'neo4j' for the database, 'mock' for the generated papers,
+  // 'file' for a static JSON file
+  type: process.env.REACT_APP_DATA_SOURCE || 'neo4j',
+  // Graph file read by the 'file' source, relative to the site root
+  fileUrl: process.env.REACT_APP_DATA_FILE || `${process.env.PUBLIC_URL}/graph.json`
+};
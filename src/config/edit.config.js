@@ -0,0 +1,7 @@
+// Editing the graph from the starfield
+export const editConfig = {
+  // Offer the edit mode; it still needs a data source that can write
+  enabled: process.env.REACT_APP_EDIT_MODE === 'true',
+  // Edits that can be undone, most recent first
+  undoLimit: 50
+};
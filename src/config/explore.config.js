@@ -0,0 +1,17 @@
+// Exploration configuration
+export const exploreConfig = {
+  // 'all' loads the whole graph up front; 'explore' starts empty and grows
+  // from search results, seed queries and expanded neighbourhoods
+  startMode: process.env.REACT_APP_START_MODE || 'all',
+  // Defaults for expanding a star's neighbourhood; adjustable in the inspector
+  expansion: {
+    hops: 1,
+    // Neighbours fetched per expanded star, at every hop
+    limit: 25,
+    // 'both', 'out' or 'in'
+    direction: 'both',
+    // Relationship types to follow; empty for all
+    types: []
+  },
+  maxHops: 3
+};
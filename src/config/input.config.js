@@ -0,0 +1,40 @@
+// Keyboard and gamepad configuration
+//
+// Every action lists its default bindings. Keys are KeyboardEvent.code
+// values, so they follow the key's place on the keyboard rather than the
+// letter printed on it, optionally behind Ctrl+, Alt+, Shift+ or Meta+.
+// ButtonN is button N of a gamepad in the standard mapping (0 is A, 1 B,
+// 2 X, 3 Y, 4 and 5 the shoulder buttons, 6 and 7 the triggers, 9 Start).
+// Held actions are active for as long as one of their bindings is down and
+// ignore modifiers; the others fire once per press.
+export const inputActions = [
+  { id: 'moveForward', group: 'Movement', label: 'Move forward', held: true, bindings: ['KeyW'] },
+  { id: 'moveBack', group: 'Movement', label: 'Move back', held: true, bindings: ['KeyS'] },
+  { id: 'moveLeft', group: 'Movement', label: 'Move left', held: true, bindings: ['KeyA'] },
+  { id: 'moveRight', group: 'Movement', label: 'Move right', held: true, bindings: ['KeyD'] },
+  { id: 'moveUp', group: 'Movement', label: 'Move up', held: true, bindings: ['Space', 'Button7'] },
+  { id: 'moveDown', group: 'Movement', label: 'Move down', held: true, bindings: ['KeyC', 'Button6'] },
+  { id: 'fast', group: 'Movement', label: 'Move faster', held: true, bindings: ['ShiftLeft', 'ShiftRight', 'Button4'] },
+  { id: 'wheelZoom', group: 'Movement', label: 'Steady zoom with the wheel', held: true, bindings: ['ControlLeft', 'ControlRight'] },
+  { id: 'selectCenter', group: 'View', label: 'Select the star in the middle', bindings: ['Button0'] },
+  { id: 'resetOrbit', group: 'View', label: 'Orbit the centre again', bindings: ['KeyR', 'Button3'] },
+  { id: 'toggleAutoFlight', group: 'View', label: 'Auto-flight on or off', bindings: ['KeyF', 'Button2'] },
+  { id: 'toggleOrbitMode', group: 'View', label: 'Cinematic orbit on or off', bindings: ['KeyO', 'Button5'] },
+  { id: 'exit', group: 'View', label: 'Leave orbit mode or close help', bindings: ['Escape', 'Button1'] },
+  { id: 'focusSearch', group: 'Tools', label: 'Search', bindings: ['Slash'] },
+  { id: 'undo', group: 'Tools', label: 'Undo the last edit', bindings: ['Ctrl+KeyZ', 'Meta+KeyZ'] },
+  { id: 'showHelp', group: 'Tools', label: 'Show keys and gamepad', bindings: ['Shift+Slash', 'Button9'] }
+];
+
+export const inputConfig = {
+  gamepad: {
+    // Stick travel below this is ignored, so worn sticks do not drift
+    deadzone: 0.15,
+    // Right stick turn rate around the orbit target, in radians per second
+    lookSpeed: 2,
+    invertLook: process.env.REACT_APP_GAMEPAD_INVERT_LOOK === 'true',
+    // Stars further than this many pixels from the middle of the view are
+    // not picked by selectCenter
+    selectRadius: 80
+  }
+};
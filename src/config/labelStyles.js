@@ -0,0 +1,38 @@
+import { colorForKey } from '../utils/colors';
+
+// Shapes a star can take; each maps to a three.js geometry in the scene
+export const NODE_SHAPES = ['sphere', 'box', 'octahedron', 'tetrahedron', 'icosahedron', 'dodecahedron'];
+
+// Built-in look for the labels we know about. Priority decides which label
+// styles a node that carries several (a generic "Paper" loses to "Club").
+export const DEFAULT_LABEL_STYLES = {
+  Paper: { color: '#00ff88', shape: 'sphere', glow: 1, priority: 0 },
+  Club: { color: '#ff6ec7', shape: 'icosahedron', glow: 1.2, priority: 1 },
+  Competition: { color: '#ffd166', shape: 'octahedron', glow: 1.4, priority: 1 },
+  Project: { color: '#4dd0e1', shape: 'box', glow: 1, priority: 1 },
+  Concept: { color: '#b388ff', shape: 'tetrahedron', glow: 1.6, priority: 1 },
+  Activity: { color: '#7cff6b', shape: 'dodecahedron', glow: 1, priority: 1 },
+  Organization: { color: '#ff8a3d', shape: 'box', glow: 1.2, priority: 1 }
+};
+
+// Fallback for labels without a built-in style
+export const defaultLabelStyle = (label) => DEFAULT_LABEL_STYLES[label] || {
+  color: colorForKey(label),
+  shape: 'sphere',
+  glow: 1,
+  priority: 0.5
+};
+
+// Style used for nodes that have no labels at all
+export const UNLABELLED_STYLE = { color: '#cccccc', shape: 'sphere', glow: 0.8, priority: -1 };
+
+// The label that decides how a node is drawn
+export const primaryLabel = (node, styles) => {
+  let best = null;
+  node.labels.forEach(label => {
+    if (best === null || styles.get(label).priority > styles.get(best).priority) {
+      best = label;
+    }
+  });
+  return best;
+};
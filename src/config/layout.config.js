@@ -0,0 +1,10 @@
+// Layout persistence configuration
+export const layoutConfig = {
+  // Radius of the sphere that seeded starting positions are drawn from
+  seedRadius: 300,
+  // Random offset applied when placing a new node next to its neighbours
+  neighbourJitter: 15,
+  // Write settled positions back to the database as a node property
+  persistToDatabase: process.env.REACT_APP_PERSIST_LAYOUT === 'true',
+  positionProperty: process.env.REACT_APP_POSITION_PROPERTY || 'starfield_position'
+};
@@ -0,0 +1,20 @@
+// Graph metrics configuration
+export const metricsConfig = {
+  // Where metrics and communities come from: 'auto' uses Neo4j Graph Data
+  // Science when the database has it and the browser otherwise; 'client'
+  // always computes in the browser
+  source: process.env.REACT_APP_METRICS_SOURCE || 'auto',
+  // Wait this long after the graph last changed before recomputing, in ms
+  debounce: 800,
+  pageRank: {
+    damping: 0.85,
+    maxIterations: 40,
+    tolerance: 1e-6
+  },
+  // Betweenness is exact up to this many stars; larger graphs estimate it
+  // from a sample of source stars
+  exactBetweennessLimit: 1000,
+  betweennessSamples: 256,
+  // Bars in the histogram shown for each binding
+  histogramBins: 20
+};
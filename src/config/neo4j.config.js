@@ -1,11 +1,40 @@
-// Neo4j connection configuration
-const NEO4J_URI = 'bolt://127.0.0.1:7687';
-const NEO4J_USER = 'neo4j';
-const NEO4J_PASSWORD = 'ssss8888';
+// Neo4j connection configuration. Defaults come from build-time environment
+// variables (see .env.example); the connection dialog can override them at
+// runtime. Never commit real passwords here or in .env files.
+
+// URI schemes the driver accepts; '+s' verifies TLS certificates and
+// '+ssc' accepts self-signed ones
+export const NEO4J_SCHEMES = ['bolt', 'bolt+s', 'bolt+ssc', 'neo4j', 'neo4j+s', 'neo4j+ssc'];
+
+const env = process.env;
+
+// Profile read from REACT_APP_NEO4J_<PREFIX>URI, _USER, _PASSWORD and _DATABASE
+const envProfile = (id, name, prefix, fallbackUri) => {
+  const uri = env[`REACT_APP_NEO4J_${prefix}URI`] || fallbackUri;
+  if (!uri) return null;
+  return {
+    id,
+    name,
+    uri,
+    user: env[`REACT_APP_NEO4J_${prefix}USER`] || 'neo4j',
+    password: env[`REACT_APP_NEO4J_${prefix}PASSWORD`] || '',
+    database: env[`REACT_APP_NEO4J_${prefix}DATABASE`] || 'neo4j',
+    builtIn: true
+  };
+};
+
+// Profiles shipped with the build; staging and shared only exist when
+// their URI is configured
+export const BUILT_IN_PROFILES = [
+  envProfile('local', 'Local', '', 'bolt://localhost:7687'),
+  envProfile('staging', 'Staging', 'STAGING_', null),
+  envProfile('shared', 'Shared', 'SHARED_', null)
+].filter(Boolean);
 
 export const neo4jConfig = {
-  uri: NEO4J_URI,
-  user: NEO4J_USER,
-  password: NEO4J_PASSWORD,
-  database: 'neo4j'
-}; 
\ No newline at end of file
+  profiles: BUILT_IN_PROFILES,
+  defaultProfileId: env.REACT_APP_NEO4J_PROFILE || 'local',
+  // Query server (server/index.js) to go through instead of connecting
+  // directly; '/' for the site that serves the app
+  apiUrl: env.REACT_APP_NEO4J_API_URL || ''
+};
@@ -0,0 +1,17 @@
+// Route finding configuration
+export const pathConfig = {
+  // Defaults for the path finder; adjustable in its panel
+  defaults: {
+    // Routes to find, shortest first
+    k: 1,
+    // Longest route considered, in relationships
+    maxHops: 6,
+    // Relationship types a route may follow; empty for all
+    types: []
+  },
+  // Upper bounds offered in the panel; the query server enforces the same
+  maxRoutes: 5,
+  maxHops: 10,
+  // Pause at each star while flying along a route, in seconds
+  hopPause: 0.8
+};
@@ -0,0 +1,9 @@
+// Live sync configuration
+export const syncConfig = {
+  // Milliseconds between polls for changes; 0 turns polling off
+  pollInterval: Number(process.env.REACT_APP_SYNC_INTERVAL ?? 30000),
+  // 'id' reloads and diffs the whole graph by id; 'timestamp' only fetches
+  // elements whose timestampProperty (epoch milliseconds) moved past the last sync
+  mode: process.env.REACT_APP_SYNC_MODE || 'id',
+  timestampProperty: process.env.REACT_APP_SYNC_TIMESTAMP_PROPERTY || 'updated_at'
+};
@@ -0,0 +1,22 @@
+// Timeline configuration
+export const timelineConfig = {
+  // Seconds for playback to cross the whole timeline
+  playDuration: 30,
+  // How often playback moves the time on, in ms
+  tickInterval: 100,
+  // A property counts as a date when at least this share of its values parse as one
+  minDateShare: 0.8,
+  // Bars in the activity histogram above the slider
+  histogramBins: 60,
+  // Born and fading stars are animated up to this many at a time; larger
+  // jumps just switch
+  maxAnimated: 2000,
+  // Choices for how long a star without an end date stays, in days
+  fadeOptions: [
+    { days: null, name: 'Never' },
+    { days: 30, name: '1 month' },
+    { days: 365, name: '1 year' },
+    { days: 5 * 365, name: '5 years' },
+    { days: 10 * 365, name: '10 years' }
+  ]
+};
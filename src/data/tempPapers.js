@@ -1,3 +1,5 @@
+import { seededRandom } from '../utils/random';
+
 // Temporary file to store paper data
 const tempPapers = [
   { id: "915", name: "国际学生活动 (UIC International Student Activities)", labels: ["Paper", "Activity"] },
@@ -15,6 +17,8 @@ const tempPapers = [
 
 // Function to generate more papers
 const generateMorePapers = () => {
+  // Seeded so every run generates the same papers
+  const random = seededRandom('tempPapers');
   const papers = [...tempPapers];
   const labels = ["Paper", "Activity", "Club", "Organization", "Project", "Competition", "Concept"];
   const activities = [
@@ -33,17 +37,17 @@ const generateMorePapers = () => {
   for (let i = 926; i <= 2000; i++) {
     // Randomly select 1-3 labels for each paper
     const paperLabels = ["Paper"];
-    const numLabels = Math.floor(Math.random() * 3) + 1;
+    const numLabels = Math.floor(random() * 3) + 1;
     for (let j = 0; j < numLabels; j++) {
-      const randomLabel = labels[Math.floor(Math.random() * (labels.length - 1)) + 1];
+      const randomLabel = labels[Math.floor(random() * (labels.length - 1)) + 1];
       if (!paperLabels.includes(randomLabel)) {
         paperLabels.push(randomLabel);
       }
     }
     
     // Generate a more meaningful name
-    const activity = activities[Math.floor(Math.random() * activities.length)];
-    const school = ["SHSID", "SCIS", "Concordia", "UIC"][Math.floor(Math.random() * 4)];
+    const activity = activities[Math.floor(random() * activities.length)];
+    const school = ["SHSID", "SCIS", "Concordia", "UIC"][Math.floor(random() * 4)];
     const name = `${activity} (${school})`;
     
     papers.push({
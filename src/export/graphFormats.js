@@ -0,0 +1,313 @@
+import { getNodePosition } from '../layout/useForceLayout';
+
+// Exports of the visible subgraph. buildExportGraph gathers what the scene
+// shows for every star and relationship: its data, its position in the layout
+// and its look after label styles and metric bindings. The writers below turn
+// that into JSON, GraphML, GEXF or CSV text; GraphML and GEXF use the names
+// Gephi reads positions, sizes and colors from.
+
+// Gephi only has these star shapes
+const GEXF_SHAPES = {
+  sphere: 'disc',
+  box: 'square',
+  tetrahedron: 'triangle',
+  octahedron: 'diamond'
+};
+
+// Driver values such as dates and points print as their Cypher literal
+const plainValue = (value) => {
+  if (Array.isArray(value)) return value.map(plainValue);
+  if (value && typeof value === 'object' && value.constructor !== Object) return String(value);
+  return value;
+};
+
+const textValue = (value) => {
+  const plain = plainValue(value);
+  if (plain === null || plain === undefined) return '';
+  if (Array.isArray(plain)) return plain.map(item => (typeof item === 'object' ? JSON.stringify(item) : item)).join(';');
+  return typeof plain === 'object' ? JSON.stringify(plain) : String(plain);
+};
+
+// Control characters other than tab and line breaks are not allowed in XML 1.0
+const isXmlChar = (char) => char.charCodeAt(0) >= 0x20 || '\t\n\r'.includes(char);
+
+const escapeXml = (text) => [...String(text)].filter(isXmlChar).join('')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const rgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+};
+
+// Property names across items with one type each: 'number', 'boolean' or 'string'
+const propertyTypes = (items) => {
+  const types = new Map();
+  items.forEach(item => {
+    Object.entries(item.properties).forEach(([name, value]) => {
+      const plain = plainValue(value);
+      if (plain === null || plain === undefined) return;
+      const type = typeof plain === 'number' || typeof plain === 'boolean' ? typeof plain : 'string';
+      const known = types.get(name);
+      types.set(name, known && known !== type ? 'string' : type);
+    });
+  });
+  return [...types].sort(([a], [b]) => a.localeCompare(b));
+};
+
+// Everything the scene shows for the given stars and relationships.
+// channels are the active metric bindings; the value behind each is kept
+// under its source name (e.g. pagerank).
+export const buildExportGraph = ({ nodes, relationships, layout, styleFor, typeColors, channels, getName }) => ({
+  nodes: nodes.map(node => {
+    const style = styleFor(node);
+    const position = getNodePosition(layout, node.id);
+    const values = {};
+    channels.forEach(({ binding, values: byId }) => {
+      const value = byId.get(node.id);
+      if (value !== undefined) values[binding.key.split(/:(.*)/s)[1]] = value;
+    });
+    return {
+      id: node.id,
+      labels: node.labels,
+      name: getName(node),
+      properties: node.properties,
+      position: position ? position.map(value => Math.round(value * 100) / 100) : null,
+      style: {
+        color: style.color,
+        size: style.size ?? 1,
+        glow: style.glow ?? 1,
+        shape: style.shape,
+        pulse: style.pulse ?? null
+      },
+      values
+    };
+  }),
+  relationships: relationships.map(rel => ({
+    id: rel.id,
+    type: rel.type,
+    startId: rel.startId,
+    endId: rel.endId,
+    properties: rel.properties,
+    color: typeColors.get(rel.type) || null
+  }))
+});
+
+export const toJSON = (graph, meta) => JSON.stringify({
+  ...meta,
+  nodes: graph.nodes.map(node => ({
+    ...node,
+    properties: Object.fromEntries(Object.entries(node.properties).map(([key, value]) => [key, plainValue(value)]))
+  })),
+  relationships: graph.relationships.map(rel => ({
+    ...rel,
+    properties: Object.fromEntries(Object.entries(rel.properties).map(([key, value]) => [key, plainValue(value)]))
+  }))
+}, null, 2);
+
+// Names the scene's own attributes take; properties of the same name get a prefix
+const NODE_ATTRIBUTES = ['label', 'labels', 'x', 'y', 'z', 'size', 'r', 'g', 'b', 'color', 'glow', 'shape', 'pulse'];
+const EDGE_ATTRIBUTES = ['label', 'type', 'r', 'g', 'b', 'color'];
+
+const attributeName = (name, reserved) => (reserved.includes(name) ? `property.${name}` : name);
+
+const metricNames = (graph) => [...new Set(graph.nodes.flatMap(node => Object.keys(node.values)))].sort();
+
+const GRAPHML_TYPES = { number: 'double', boolean: 'boolean', string: 'string' };
+
+export const toGraphML = (graph) => {
+  const nodeProperties = propertyTypes(graph.nodes);
+  const edgeProperties = propertyTypes(graph.relationships);
+  const metrics = metricNames(graph);
+  const nodeKeys = [
+    ['label', 'string'], ['labels', 'string'],
+    ['x', 'double'], ['y', 'double'], ['z', 'double'],
+    ['size', 'double'], ['r', 'int'], ['g', 'int'], ['b', 'int'],
+    ['color', 'string'], ['glow', 'double'], ['shape', 'string'], ['pulse', 'double'],
+    ...metrics.map(name => [attributeName(name, NODE_ATTRIBUTES), 'double']),
+    ...nodeProperties
+      .filter(([name]) => !metrics.includes(name))
+      .map(([name, type]) => [attributeName(name, NODE_ATTRIBUTES), GRAPHML_TYPES[type]])
+  ];
+  const edgeKeys = [
+    ['label', 'string'], ['r', 'int'], ['g', 'int'], ['b', 'int'], ['color', 'string'],
+    ...edgeProperties.map(([name, type]) => [attributeName(name, EDGE_ATTRIBUTES), GRAPHML_TYPES[type]])
+  ];
+  const nodeKeyIds = new Map(nodeKeys.map(([name], i) => [name, `n${i}`]));
+  const edgeKeyIds = new Map(edgeKeys.map(([name], i) => [name, `e${i}`]));
+
+  const data = (ids, name, value) => (value === null || value === undefined || value === ''
+    ? ''
+    : `\n      <data key="${ids.get(name)}">${escapeXml(textValue(value))}</data>`);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...nodeKeys.map(([name, type]) => (
+      `  <key id="${nodeKeyIds.get(name)}" for="node" attr.name="${escapeXml(name)}" attr.type="${type}"/>`
+    )),
+    ...edgeKeys.map(([name, type]) => (
+      `  <key id="${edgeKeyIds.get(name)}" for="edge" attr.name="${escapeXml(name)}" attr.type="${type}"/>`
+    )),
+    '  <graph id="starfield" edgedefault="directed">'
+  ];
+
+  graph.nodes.forEach(node => {
+    const { r, g, b } = rgb(node.style.color);
+    const [x, y, z] = node.position || [null, null, null];
+    let body = data(nodeKeyIds, 'label', node.name)
+      + data(nodeKeyIds, 'labels', node.labels)
+      + data(nodeKeyIds, 'x', x) + data(nodeKeyIds, 'y', y) + data(nodeKeyIds, 'z', z)
+      + data(nodeKeyIds, 'size', node.style.size)
+      + data(nodeKeyIds, 'r', r) + data(nodeKeyIds, 'g', g) + data(nodeKeyIds, 'b', b)
+      + data(nodeKeyIds, 'color', node.style.color)
+      + data(nodeKeyIds, 'glow', node.style.glow)
+      + data(nodeKeyIds, 'shape', node.style.shape)
+      + data(nodeKeyIds, 'pulse', node.style.pulse);
+    metrics.forEach(name => {
+      body += data(nodeKeyIds, attributeName(name, NODE_ATTRIBUTES), node.values[name]);
+    });
+    nodeProperties.forEach(([name]) => {
+      if (!metrics.includes(name)) body += data(nodeKeyIds, attributeName(name, NODE_ATTRIBUTES), node.properties[name]);
+    });
+    lines.push(`    <node id="${escapeXml(node.id)}">${body}\n    </node>`);
+  });
+
+  graph.relationships.forEach(rel => {
+    let body = data(edgeKeyIds, 'label', rel.type);
+    if (rel.color) {
+      const { r, g, b } = rgb(rel.color);
+      body += data(edgeKeyIds, 'r', r) + data(edgeKeyIds, 'g', g) + data(edgeKeyIds, 'b', b)
+        + data(edgeKeyIds, 'color', rel.color);
+    }
+    edgeProperties.forEach(([name]) => {
+      body += data(edgeKeyIds, attributeName(name, EDGE_ATTRIBUTES), rel.properties[name]);
+    });
+    lines.push(
+      `    <edge id="${escapeXml(rel.id)}" source="${escapeXml(rel.startId)}" target="${escapeXml(rel.endId)}">${body}\n    </edge>`
+    );
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+};
+
+const GEXF_TYPES = { number: 'double', boolean: 'boolean', string: 'string' };
+
+export const toGEXF = (graph) => {
+  const metrics = metricNames(graph);
+  const nodeProperties = propertyTypes(graph.nodes).filter(([name]) => !metrics.includes(name));
+  const edgeProperties = propertyTypes(graph.relationships);
+  // Attribute ids: labels, glow, metrics, then properties
+  const nodeAttributes = [
+    ['labels', 'string', node => node.labels],
+    ['glow', 'double', node => node.style.glow],
+    ['pulse', 'double', node => node.style.pulse],
+    ...metrics.map(name => [name, 'double', node => node.values[name]]),
+    ...nodeProperties.map(([name, type]) => [
+      attributeName(name, ['labels', 'glow', 'pulse']), GEXF_TYPES[type], node => node.properties[name]
+    ])
+  ];
+  const edgeAttributes = edgeProperties.map(([name, type]) => [name, GEXF_TYPES[type], rel => rel.properties[name]]);
+
+  const attvalues = (attributes, item) => {
+    const values = attributes
+      .map(([, , get], i) => [i, get(item)])
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([i, value]) => `        <attvalue for="${i}" value="${escapeXml(textValue(value))}"/>`);
+    return values.length ? `\n      <attvalues>\n${values.join('\n')}\n      </attvalues>` : '';
+  };
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    '    <creator>Starfield</creator>',
+    '  </meta>',
+    '  <graph defaultedgetype="directed">',
+    '    <attributes class="node">',
+    ...nodeAttributes.map(([name, type], i) => `      <attribute id="${i}" title="${escapeXml(name)}" type="${type}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    ...edgeAttributes.map(([name, type], i) => `      <attribute id="${i}" title="${escapeXml(name)}" type="${type}"/>`),
+    '    </attributes>',
+    '    <nodes>'
+  ];
+
+  graph.nodes.forEach(node => {
+    const { r, g, b } = rgb(node.style.color);
+    const position = node.position
+      ? `\n      <viz:position x="${node.position[0]}" y="${node.position[1]}" z="${node.position[2]}"/>`
+      : '';
+    lines.push(
+      `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.name)}">${attvalues(nodeAttributes, node)}`
+      + `\n      <viz:color r="${r}" g="${g}" b="${b}"/>${position}`
+      + `\n      <viz:size value="${node.style.size}"/>`
+      + `\n      <viz:shape value="${GEXF_SHAPES[node.style.shape] || 'disc'}"/>`
+      + '\n      </node>'
+    );
+  });
+  lines.push('    </nodes>', '    <edges>');
+
+  graph.relationships.forEach(rel => {
+    const color = rel.color ? rgb(rel.color) : null;
+    lines.push(
+      `      <edge id="${escapeXml(rel.id)}" source="${escapeXml(rel.startId)}" target="${escapeXml(rel.endId)}" label="${escapeXml(rel.type)}">`
+      + attvalues(edgeAttributes, rel)
+      + (color ? `\n      <viz:color r="${color.r}" g="${color.g}" b="${color.b}"/>` : '')
+      + '\n      </edge>'
+    );
+  });
+
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n');
+};
+
+const csvField = (value) => {
+  const text = textValue(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csv = (header, rows) => [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+
+// One row per star: id, labels, name, position, look, metric values, properties
+export const toNodesCSV = (graph) => {
+  const metrics = metricNames(graph);
+  const properties = propertyTypes(graph.nodes).map(([name]) => name).filter(name => !metrics.includes(name));
+  const fixed = ['id', 'labels', 'name', 'x', 'y', 'z', 'color', 'size', 'glow', 'shape', 'pulse'];
+  return csv(
+    [...fixed, ...metrics, ...properties.map(name => attributeName(name, [...fixed, ...metrics]))],
+    graph.nodes.map(node => [
+      node.id,
+      node.labels,
+      node.name,
+      ...(node.position || [null, null, null]),
+      node.style.color,
+      node.style.size,
+      node.style.glow,
+      node.style.shape,
+      node.style.pulse,
+      ...metrics.map(name => node.values[name]),
+      ...properties.map(name => node.properties[name])
+    ])
+  );
+};
+
+// One row per relationship: id, source, target, type, color, properties
+export const toEdgesCSV = (graph) => {
+  const properties = propertyTypes(graph.relationships).map(([name]) => name);
+  const fixed = ['id', 'source', 'target', 'type', 'color'];
+  return csv(
+    [...fixed, ...properties.map(name => attributeName(name, fixed))],
+    graph.relationships.map(rel => [
+      rel.id,
+      rel.startId,
+      rel.endId,
+      rel.type,
+      rel.color,
+      ...properties.map(name => rel.properties[name])
+    ])
+  );
+};
@@ -0,0 +1,48 @@
+import * as THREE from 'three';
+
+// Render the scene from the camera's point of view into a PNG of the given
+// size. A separate renderer draws off-screen, so the view on screen is left
+// alone and the image can be larger than the window; it copies the on-screen
+// renderer's tone mapping and color space so colors match. Labels are HTML
+// on top of the canvas and are not part of the image.
+export const renderSceneImage = ({ gl, scene, camera }, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, preserveDrawingBuffer: true });
+  const release = () => {
+    renderer.dispose();
+    renderer.forceContextLoss();
+  };
+
+  try {
+    const context = renderer.getContext();
+    // Browsers quietly shrink drawing buffers beyond what the GPU supports
+    if (context.drawingBufferWidth < width || context.drawingBufferHeight < height) {
+      throw new Error(`${width}×${height} is larger than this browser can render `
+        + `(at most ${context.drawingBufferWidth}×${context.drawingBufferHeight})`);
+    }
+    renderer.toneMapping = gl.toneMapping;
+    renderer.toneMappingExposure = gl.toneMappingExposure;
+    renderer.outputColorSpace = gl.outputColorSpace;
+    renderer.setClearColor(0x000000, 1);
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+
+    const shot = camera.clone();
+    shot.aspect = width / height;
+    shot.updateProjectionMatrix();
+    renderer.render(scene, shot);
+  } catch (error) {
+    release();
+    return Promise.reject(error);
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      release();
+      if (blob) resolve(blob);
+      else reject(new Error('The browser could not encode the image'));
+    }, 'image/png');
+  });
+};
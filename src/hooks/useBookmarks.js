@@ -0,0 +1,29 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { loadJSON, saveJSON } from '../utils/storage';
+
+const STORAGE_KEY = 'starfield.bookmarks';
+
+// Named views saved in the browser, kept apart per graph ([{ name, graph, view }])
+export const useBookmarks = (graphKey) => {
+  const [all, setAll] = useState(() => loadJSON(STORAGE_KEY, []));
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, all);
+  }, [all]);
+
+  const bookmarks = useMemo(() => all.filter(bookmark => bookmark.graph === graphKey), [all, graphKey]);
+
+  // Saving under an existing name replaces that bookmark
+  const saveBookmark = useCallback((name, view) => {
+    setAll(prev => [
+      ...prev.filter(bookmark => bookmark.graph !== graphKey || bookmark.name !== name),
+      { name, graph: graphKey, view }
+    ]);
+  }, [graphKey]);
+
+  const removeBookmark = useCallback((name) => {
+    setAll(prev => prev.filter(bookmark => bookmark.graph !== graphKey || bookmark.name !== name));
+  }, [graphKey]);
+
+  return { bookmarks, saveBookmark, removeBookmark };
+};
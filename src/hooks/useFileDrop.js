@@ -0,0 +1,54 @@
+import { useEffect, useRef, useState } from 'react';
+
+const hasFiles = (event) => [...(event.dataTransfer?.types || [])].includes('Files');
+
+// Lets files be dropped anywhere on the page. dragging is true while files
+// are held over it, so the page can say what dropping will do; onDrop is
+// called with the dropped files.
+export const useFileDrop = (onDrop) => {
+  const [dragging, setDragging] = useState(false);
+  const onDropRef = useRef(onDrop);
+  onDropRef.current = onDrop;
+
+  useEffect(() => {
+    // Enter and leave fire for every element crossed, so count them
+    let depth = 0;
+    const handleDragEnter = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      depth += 1;
+      setDragging(true);
+    };
+    const handleDragOver = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    };
+    const handleDragLeave = (event) => {
+      if (!hasFiles(event)) return;
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) setDragging(false);
+    };
+    const handleDrop = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      depth = 0;
+      setDragging(false);
+      const files = [...event.dataTransfer.files];
+      if (files.length > 0) onDropRef.current(files);
+    };
+
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('drop', handleDrop);
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, []);
+
+  return { dragging };
+};
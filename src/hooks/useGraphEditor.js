@@ -0,0 +1,210 @@
+import { useCallback, useMemo, useRef, useState } from 'react';
+import { dataSource } from '../services/dataSource';
+import { editConfig } from '../config/edit.config';
+import { makeDiff } from '../utils/graphDiff';
+
+// Creates, edits, links and deletes stars through the data source, keeps the
+// scene in step and records how to undo each change. Every change names the
+// properties it last saw, so edits someone else made in the meantime are not
+// overwritten: the change is refused, the scene shows the element as it is
+// now and onNotice says what happened.
+//
+// Undoing a deletion creates the star and its relationships again, with new
+// ids; later undo steps follow them to their new ids. getPosition and place
+// put a restored star back where it was.
+export const useGraphEditor = ({ applyChanges, getName, getPosition, place, onNotice }) => {
+  const [undoStack, setUndoStack] = useState([]);
+  const [busy, setBusy] = useState(false);
+  // Counts finished changes, so panels showing an element can read it again
+  const [revision, setRevision] = useState(0);
+  const stackRef = useRef([]);
+  // Old id -> new id for elements that undo created again
+  const renamedRef = useRef(new Map());
+
+  const resolve = useCallback((id) => {
+    let current = id;
+    while (renamedRef.current.has(current)) current = renamedRef.current.get(current);
+    return current;
+  }, []);
+
+  const setStack = useCallback((stack) => {
+    stackRef.current = stack.slice(0, editConfig.undoLimit);
+    setUndoStack(stackRef.current);
+  }, []);
+
+  const push = useCallback((step) => setStack([step, ...stackRef.current]), [setStack]);
+
+  // Changes to the data source, mirrored in the scene. They take the
+  // element as last seen and resolve to it as it is now.
+  const ops = useMemo(() => ({
+    createNode: async ({ labels, properties }, position) => {
+      const node = await dataSource.createNode({ labels, properties });
+      applyChanges(makeDiff({ addedNodes: [node] }));
+      if (position) place(node.id, position);
+      return node;
+    },
+    updateNode: async (node, properties) => {
+      const updated = await dataSource.updateNode(node.id, { expected: node.properties, properties });
+      applyChanges(makeDiff({ changedNodes: [updated] }));
+      return updated;
+    },
+    deleteNode: async (node) => {
+      const position = getPosition(node.id);
+      const deleted = await dataSource.deleteNode(node.id, { expected: node.properties });
+      applyChanges(makeDiff({
+        removedNodeIds: [node.id],
+        removedRelationshipIds: deleted.relationships.map(rel => rel.id)
+      }));
+      return { ...deleted, position };
+    },
+    createRelationship: async ({ type, startId, endId, properties }) => {
+      const rel = await dataSource.createRelationship({ type, startId, endId, properties });
+      applyChanges(makeDiff({ addedRelationships: [rel] }));
+      return rel;
+    },
+    deleteRelationship: async (rel) => {
+      const deleted = await dataSource.deleteRelationship(rel.id, { expected: rel.properties });
+      applyChanges(makeDiff({ removedRelationshipIds: [rel.id] }));
+      return deleted;
+    }
+  }), [applyChanges, getPosition, place]);
+
+  // Say why a change failed; after a conflict, show the element as it is now
+  const report = useCallback((error, doing, target) => {
+    if (error.name !== 'ConflictError') {
+      onNotice(`Could not ${doing}: ${error.message}`);
+      return;
+    }
+    if (target?.kind === 'node') {
+      applyChanges(makeDiff(error.current ? { changedNodes: [error.current] } : { removedNodeIds: [target.id] }));
+    } else if (target?.kind === 'relationship') {
+      applyChanges(makeDiff(error.current
+        ? { changedRelationships: [error.current] }
+        : { removedRelationshipIds: [target.id] }));
+    }
+    onNotice(`Could not ${doing}: ${error.message}. ${target ? 'The latest version is shown instead.' : ''}`.trim());
+  }, [applyChanges, onNotice]);
+
+  // Run a change; resolves to its result, null when a conflict refused it
+  // (the latest version is shown instead), or false when it failed otherwise
+  const run = useCallback(async (doing, target, work) => {
+    setBusy(true);
+    try {
+      return await work();
+    } catch (error) {
+      console.error(`Error trying to ${doing}:`, error);
+      report(error, doing, target);
+      return error.name === 'ConflictError' ? null : false;
+    } finally {
+      setBusy(false);
+      setRevision(prev => prev + 1);
+    }
+  }, [report]);
+
+  // Create the deleted relationships again between their (possibly renamed)
+  // stars; ones whose other star has gone since are left out
+  const restoreRelationships = useCallback(async (relationships) => {
+    let missing = 0;
+    for (const rel of relationships) {
+      try {
+        const restored = await ops.createRelationship({
+          ...rel,
+          startId: resolve(rel.startId),
+          endId: resolve(rel.endId)
+        });
+        renamedRef.current.set(rel.id, restored.id);
+      } catch (error) {
+        if (error.name !== 'ConflictError') throw error;
+        missing += 1;
+      }
+    }
+    return missing;
+  }, [ops, resolve]);
+
+  const createNode = useCallback((draft, position) => run('create the star', null, async () => {
+    const node = await ops.createNode(draft, position);
+    push({
+      description: `create ${getName(node)}`,
+      target: () => ({ kind: 'node', id: resolve(node.id) }),
+      undo: () => ops.deleteNode({ ...node, id: resolve(node.id) })
+    });
+    return node;
+  }), [run, ops, push, getName, resolve]);
+
+  const updateNode = useCallback((node, properties) => run('save the star', { kind: 'node', id: node.id }, async () => {
+    const updated = await ops.updateNode(node, properties);
+    push({
+      description: `edit ${getName(updated)}`,
+      target: () => ({ kind: 'node', id: resolve(node.id) }),
+      undo: () => ops.updateNode({ ...updated, id: resolve(node.id) }, node.properties)
+    });
+    return updated;
+  }), [run, ops, push, getName, resolve]);
+
+  const deleteNode = useCallback((node) => run('delete the star', { kind: 'node', id: node.id }, async () => {
+    const deleted = await ops.deleteNode(node);
+    push({
+      description: `delete ${getName(node)}`,
+      target: () => null,
+      undo: async () => {
+        const restored = await ops.createNode(deleted.node, deleted.position);
+        renamedRef.current.set(deleted.node.id, restored.id);
+        const missing = await restoreRelationships(deleted.relationships);
+        if (missing > 0) {
+          onNotice(`${missing} of the star's relationships could not be restored because their other star is gone.`);
+        }
+      }
+    });
+    return deleted;
+  }), [run, ops, push, getName, restoreRelationships, onNotice]);
+
+  const createRelationship = useCallback((draft) => run('create the relationship', null, async () => {
+    const rel = await ops.createRelationship(draft);
+    push({
+      description: `link with ${rel.type}`,
+      target: () => ({ kind: 'relationship', id: resolve(rel.id) }),
+      undo: () => ops.deleteRelationship({ ...rel, id: resolve(rel.id) })
+    });
+    return rel;
+  }), [run, ops, push, resolve]);
+
+  const deleteRelationship = useCallback((rel) => run(
+    'delete the relationship',
+    { kind: 'relationship', id: rel.id },
+    async () => {
+      const deleted = await ops.deleteRelationship(rel);
+      push({
+        description: `delete a ${rel.type} relationship`,
+        target: () => null,
+        undo: async () => {
+          if ((await restoreRelationships([deleted])) > 0) {
+            throw new Error('one of its stars is gone');
+          }
+        }
+      });
+      return deleted;
+    }
+  ), [run, ops, push, restoreRelationships]);
+
+  // Undo the most recent change. A step that cannot be undone, e.g. because
+  // someone else changed the element since, is dropped.
+  const undo = useCallback(async () => {
+    const [step, ...rest] = stackRef.current;
+    if (!step || busy) return;
+    setStack(rest);
+    await run(`undo "${step.description}"`, step.target(), step.undo);
+  }, [busy, run, setStack]);
+
+  return {
+    busy,
+    revision,
+    canUndo: undoStack.length > 0,
+    undoDescription: undoStack[0]?.description || null,
+    createNode,
+    updateNode,
+    deleteNode,
+    createRelationship,
+    deleteRelationship,
+    undo
+  };
+};
@@ -0,0 +1,114 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { dataSource } from '../services/dataSource';
+import { syncConfig } from '../config/sync.config';
+import { diffGraphs, diffFromChanges, isEmptyDiff, applyDiff, removeNodes } from '../utils/graphDiff';
+import { EXIT_DURATION, createTransitions, startTransitions } from '../utils/transitions';
+
+// Allowance for clock differences between the browser and the database
+const CLOCK_SKEW = 5000;
+
+// Keeps the loaded graph in step with the database by polling for changes.
+// Added, removed and changed stars are recorded in a mutable transitions
+// store (see utils/transitions) that the scene reads every frame to animate
+// them in, out, or with a highlight.
+export const useGraphSync = (graph, setGraph, { enabled }) => {
+  const [lastSyncTime, setLastSyncTime] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const [syncError, setSyncError] = useState(null);
+  const graphRef = useRef(graph);
+  const lastSyncRef = useRef(null);
+  const syncingRef = useRef(false);
+  const transitionsRef = useRef(null);
+  if (transitionsRef.current === null) {
+    transitionsRef.current = createTransitions();
+  }
+  graphRef.current = graph;
+
+  // Record that the graph now matches the database, e.g. after a full load
+  const markSynced = useCallback((time = Date.now()) => {
+    lastSyncRef.current = time;
+    setLastSyncTime(time);
+  }, []);
+
+  const animate = useCallback((diff) => {
+    const transitions = transitionsRef.current;
+    startTransitions(transitions, diff.addedNodes.map(node => node.id), 'enter');
+    startTransitions(transitions, diff.changedNodes.map(node => node.id), 'change');
+    startTransitions(transitions, diff.removedNodeIds, 'exit');
+  }, []);
+
+  // Bring a diff into the graph with its animations. Removed stars stay
+  // until they have faded out.
+  const applyChanges = useCallback((diff) => {
+    animate(diff);
+    const removedIds = diff.removedNodeIds;
+    setGraph(prev => applyDiff(prev, diff, new Set(removedIds)));
+    if (removedIds.length > 0) {
+      setTimeout(() => {
+        removedIds.forEach(id => transitionsRef.current.entries.delete(id));
+        setGraph(prev => removeNodes(prev, removedIds));
+      }, EXIT_DURATION * 1000);
+    }
+  }, [animate, setGraph]);
+
+  const sync = useCallback(async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    setSyncError(null);
+    const startedAt = Date.now();
+
+    try {
+      const current = graphRef.current;
+      let diff;
+      if (syncConfig.mode === 'timestamp' && lastSyncRef.current && dataSource.getGraphChanges) {
+        const changes = await dataSource.getGraphChanges({
+          since: lastSyncRef.current - CLOCK_SKEW,
+          property: syncConfig.timestampProperty,
+          knownNodeIds: new Set(current.nodes.map(node => node.id)),
+          knownRelationshipIds: new Set(current.relationships.map(rel => rel.id))
+        });
+        diff = diffFromChanges(current, changes);
+      } else {
+        diff = diffGraphs(current, await dataSource.getGraph());
+      }
+
+      // The scene changed while we were asking, e.g. a neighbourhood was
+      // expanded or a star edited; the answer would undo that, so try again
+      // next time
+      if (graphRef.current !== current) return;
+
+      if (!isEmptyDiff(diff)) {
+        console.log('Graph changed:', {
+          added: diff.addedNodes.length,
+          changed: diff.changedNodes.length,
+          removed: diff.removedNodeIds.length
+        });
+        applyChanges(diff);
+      }
+      markSynced(startedAt);
+    } catch (err) {
+      console.error('Error syncing graph:', err);
+      setSyncError(err.message);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+  }, [applyChanges, markSynced]);
+
+  useEffect(() => {
+    if (!enabled || !syncConfig.pollInterval) return undefined;
+    const timer = setInterval(sync, syncConfig.pollInterval);
+    return () => clearInterval(timer);
+  }, [enabled, sync]);
+
+  return {
+    lastSyncTime,
+    syncing,
+    syncError,
+    sync,
+    markSynced,
+    applyChanges,
+    transitions: transitionsRef.current
+  };
+};
@@ -0,0 +1,231 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { inputActions, inputConfig } from '../config/input.config';
+import {
+  bindingFromEvent,
+  buttonBinding,
+  buttonOf,
+  changedBindings,
+  isModifierCode,
+  isTypingTarget,
+  keyMatches,
+  mergeBindings
+} from '../utils/keyBindings';
+import { loadJSON, saveJSON } from '../utils/storage';
+
+const STORAGE_KEY = 'starfield.inputBindings';
+
+const applyDeadzone = (value) => {
+  const { deadzone } = inputConfig.gamepad;
+  if (Math.abs(value) < deadzone) return 0;
+  return Math.sign(value) * (Math.abs(value) - deadzone) / (1 - deadzone);
+};
+
+const firstGamepad = () => (
+  navigator.getGamepads ? [...navigator.getGamepads()].find(pad => pad && pad.connected) || null : null
+);
+
+// Maps keys and gamepad buttons to named actions (see input.config). The
+// returned input object stays the same for the life of the view, so the
+// scene can read it every frame: input.isHeld(action) for held actions,
+// input.axes for the gamepad sticks, and input.on(action, handler) to
+// hear presses. Keys typed into text fields are left alone.
+//
+// Bindings can be changed and are remembered in the browser; capture()
+// hands the next key or button pressed to a callback instead of acting on
+// it, for choosing a new binding.
+export const useInputBindings = () => {
+  const [saved, setSaved] = useState(() => loadJSON(STORAGE_KEY, {}));
+  const bindings = useMemo(() => mergeBindings(saved), [saved]);
+  const bindingsRef = useRef(bindings);
+  bindingsRef.current = bindings;
+  const [gamepad, setGamepad] = useState(() => firstGamepad()?.id || null);
+  const [capturing, setCapturing] = useState(false);
+  const captureRef = useRef(null);
+
+  const [input] = useState(() => {
+    const keys = new Set();
+    const buttons = new Set();
+    const listeners = new Map();
+    return {
+      keys,
+      buttons,
+      axes: { moveX: 0, moveY: 0, lookX: 0, lookY: 0 },
+      listeners,
+      isHeld: (action) => bindingsRef.current[action].some(binding => {
+        const button = buttonOf(binding);
+        return button !== null ? buttons.has(button) : keys.has(binding.split('+').pop());
+      }),
+      on: (action, handler) => {
+        if (!listeners.has(action)) listeners.set(action, new Set());
+        listeners.get(action).add(handler);
+        return () => listeners.get(action).delete(handler);
+      }
+    };
+  });
+
+  // Tell the listeners of an action; true when one of them acted on it
+  const emit = useCallback((action, event) => {
+    let handled = false;
+    input.listeners.get(action)?.forEach(handler => {
+      if (handler(event) !== false) handled = true;
+    });
+    return handled;
+  }, [input]);
+
+  const finishCapture = useCallback((binding) => {
+    const callback = captureRef.current;
+    captureRef.current = null;
+    setCapturing(false);
+    callback(binding);
+  }, []);
+
+  useEffect(() => {
+    // A modifier pressed while capturing may start a combination, so it is
+    // only taken on its own when released without another key
+    let pendingModifier = null;
+
+    // Capturing and releasing listen before the page does, so panels that
+    // keep keys to themselves neither swallow a new binding nor leave a key
+    // held down
+    const handleCaptureKeyDown = (event) => {
+      if (!captureRef.current) return;
+      event.preventDefault();
+      event.stopPropagation();
+      if (isModifierCode(event.code)) pendingModifier = event.code;
+      else finishCapture(bindingFromEvent(event));
+    };
+    const handleKeyUp = (event) => {
+      input.keys.delete(event.code);
+      if (captureRef.current && pendingModifier === event.code) {
+        event.preventDefault();
+        finishCapture(event.code);
+      }
+      pendingModifier = null;
+    };
+    const handleKeyDown = (event) => {
+      if (isTypingTarget(event.target)) return;
+      input.keys.add(event.code);
+      if (event.repeat) return;
+      inputActions.forEach(action => {
+        if (action.held) return;
+        if (!bindingsRef.current[action.id].some(binding => keyMatches(binding, event, false))) return;
+        if (emit(action.id, event)) event.preventDefault();
+      });
+    };
+    const handleBlur = () => input.keys.clear();
+
+    window.addEventListener('keydown', handleCaptureKeyDown, true);
+    window.addEventListener('keyup', handleKeyUp, true);
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleCaptureKeyDown, true);
+      window.removeEventListener('keyup', handleKeyUp, true);
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, [input, emit, finishCapture]);
+
+  // Browsers only report a gamepad once one of its buttons is pressed
+  useEffect(() => {
+    const update = () => setGamepad(firstGamepad()?.id || null);
+    window.addEventListener('gamepadconnected', update);
+    window.addEventListener('gamepaddisconnected', update);
+    return () => {
+      window.removeEventListener('gamepadconnected', update);
+      window.removeEventListener('gamepaddisconnected', update);
+    };
+  }, []);
+
+  // Gamepads have no events for sticks and buttons, so poll while one is connected
+  useEffect(() => {
+    if (!gamepad) return undefined;
+    let frame;
+    const poll = () => {
+      frame = requestAnimationFrame(poll);
+      const pad = firstGamepad();
+      if (!pad) return;
+      const [moveX = 0, moveY = 0, lookX = 0, lookY = 0] = pad.axes.map(applyDeadzone);
+      Object.assign(input.axes, { moveX, moveY, lookX, lookY });
+
+      pad.buttons.forEach((button, index) => {
+        if (!button.pressed) {
+          input.buttons.delete(index);
+          return;
+        }
+        if (input.buttons.has(index)) return;
+        input.buttons.add(index);
+        const binding = buttonBinding(index);
+        if (captureRef.current) {
+          finishCapture(binding);
+          return;
+        }
+        inputActions.forEach(action => {
+          if (!action.held && bindingsRef.current[action.id].includes(binding)) emit(action.id, null);
+        });
+      });
+    };
+    frame = requestAnimationFrame(poll);
+    return () => {
+      cancelAnimationFrame(frame);
+      input.buttons.clear();
+      Object.assign(input.axes, { moveX: 0, moveY: 0, lookX: 0, lookY: 0 });
+    };
+  }, [gamepad, input, emit, finishCapture]);
+
+  const update = useCallback((next) => {
+    const changed = changedBindings(next);
+    saveJSON(STORAGE_KEY, changed);
+    setSaved(changed);
+  }, []);
+
+  // Bind a key or button to an action, taking it from any action that had
+  // it; returns the labels of those actions
+  const addBinding = useCallback((actionId, binding) => {
+    const current = bindingsRef.current;
+    const takenFrom = inputActions.filter(action => action.id !== actionId && current[action.id].includes(binding));
+    const next = Object.fromEntries(Object.entries(current).map(([id, list]) => [
+      id,
+      id === actionId ? [...list.filter(b => b !== binding), binding] : list.filter(b => b !== binding)
+    ]));
+    update(next);
+    return takenFrom.map(action => action.label);
+  }, [update]);
+
+  const removeBinding = useCallback((actionId, binding) => {
+    const current = bindingsRef.current;
+    update({ ...current, [actionId]: current[actionId].filter(b => b !== binding) });
+  }, [update]);
+
+  const resetBindings = useCallback(() => update(mergeBindings({})), [update]);
+
+  const capture = useCallback((callback) => {
+    captureRef.current = callback;
+    setCapturing(true);
+  }, []);
+
+  const cancelCapture = useCallback(() => {
+    captureRef.current = null;
+    setCapturing(false);
+  }, []);
+
+  return {
+    input,
+    bindings,
+    gamepad,
+    addBinding,
+    removeBinding,
+    resetBindings,
+    capturing,
+    capture,
+    cancelCapture
+  };
+};
+
+// Calls handler whenever action is pressed, for as long as the component is
+// mounted. Returning false from handler leaves the key to the browser.
+export const useInputAction = (input, action, handler) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  useEffect(() => input.on(action, (event) => handlerRef.current(event)), [input, action]);
+};
@@ -0,0 +1,101 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { defaultLabelStyle, primaryLabel, UNLABELLED_STYLE } from '../config/labelStyles';
+import { loadJSON, saveJSON } from '../utils/storage';
+
+const STORAGE_KEY = 'starfield.labelSettings';
+
+// Per-label color, shape, glow and visibility, layered over the defaults and
+// remembered in the browser. Isolating a label is a temporary view and is not saved.
+export const useLabelStyles = (nodes) => {
+  // { [label]: { color, shape, glow, hidden } }, only the fields the user changed
+  const [settings, setSettings] = useState(() => loadJSON(STORAGE_KEY, {}));
+  const [isolated, setIsolated] = useState(null);
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, settings);
+  }, [settings]);
+
+  const labelCounts = useMemo(() => {
+    const counts = new Map();
+    nodes.forEach(node => {
+      node.labels.forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+    });
+    return counts;
+  }, [nodes]);
+
+  const styles = useMemo(() => {
+    return new Map([...labelCounts.keys()].map(label => [
+      label,
+      { ...defaultLabelStyle(label), ...settings[label] }
+    ]));
+  }, [labelCounts, settings]);
+
+  const hiddenLabels = useMemo(() => {
+    return new Set(Object.keys(settings).filter(label => settings[label].hidden));
+  }, [settings]);
+
+  const updateLabel = useCallback((label, patch) => {
+    setSettings(prev => ({ ...prev, [label]: { ...prev[label], ...patch } }));
+  }, []);
+
+  // Drop custom styling but keep the label's visibility
+  const resetLabel = useCallback((label) => {
+    setSettings(prev => {
+      const next = { ...prev };
+      delete next[label];
+      if (prev[label]?.hidden) {
+        next[label] = { hidden: true };
+      }
+      return next;
+    });
+  }, []);
+
+  const toggleHidden = useCallback((label) => {
+    setSettings(prev => ({ ...prev, [label]: { ...prev[label], hidden: !prev[label]?.hidden } }));
+  }, []);
+
+  const toggleIsolated = useCallback((label) => {
+    setIsolated(prev => (prev === label ? null : label));
+  }, []);
+
+  // Show exactly the given hidden labels and isolated label, e.g. from a saved view
+  const setVisibility = useCallback((hidden, isolatedLabel) => {
+    setSettings(prev => {
+      const next = {};
+      new Set([...Object.keys(prev), ...hidden]).forEach(label => {
+        next[label] = { ...prev[label], hidden: hidden.includes(label) };
+      });
+      return next;
+    });
+    setIsolated(isolatedLabel);
+  }, []);
+
+  const isNodeVisible = useCallback((node) => {
+    if (isolated) return node.labels.includes(isolated);
+    return !node.labels.some(label => hiddenLabels.has(label));
+  }, [isolated, hiddenLabels]);
+
+  const styleForLabel = useCallback((label) => {
+    return styles.get(label) || defaultLabelStyle(label);
+  }, [styles]);
+
+  const styleFor = useCallback((node) => {
+    const label = primaryLabel(node, styles);
+    return label ? styles.get(label) : UNLABELLED_STYLE;
+  }, [styles]);
+
+  return {
+    labelCounts,
+    styles,
+    hiddenLabels,
+    isolated,
+    updateLabel,
+    resetLabel,
+    toggleHidden,
+    toggleIsolated,
+    setVisibility,
+    isNodeVisible,
+    styleFor,
+    styleForLabel
+  };
+};
@@ -0,0 +1,97 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useGraphMetrics, METRICS } from '../metrics/useGraphMetrics';
+import {
+  CHANNELS,
+  applyChannel,
+  metricKey,
+  normalize,
+  numericPropertyNames,
+  propertyKey,
+  valueDomain
+} from '../metrics/metricBindings';
+import { loadJSON, saveJSON } from '../utils/storage';
+
+const STORAGE_KEY = 'starfield.metricBindings';
+
+// Star size, glow, pulse rate and color driven by a graph metric or a numeric
+// node property, layered over the label styles. Bindings are remembered in
+// the browser as { [channel]: { key, scale, ramp } }.
+export const useMetricBindings = (graph, baseStyleFor) => {
+  const [bindings, setBindings] = useState(() => loadJSON(STORAGE_KEY, {}));
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, bindings);
+  }, [bindings]);
+
+  const usesMetrics = Object.values(bindings).some(binding => binding?.key.startsWith('metric:'));
+  const { metrics, computing, error } = useGraphMetrics(graph, { enabled: usesMetrics });
+
+  const propertyNames = useMemo(() => numericPropertyNames(graph.nodes), [graph.nodes]);
+
+  // Everything a binding can use, for the menus
+  const sources = useMemo(() => [
+    ...METRICS.map(metric => ({ key: metricKey(metric.key), name: metric.name, group: 'Metrics' })),
+    ...propertyNames.map(name => ({ key: propertyKey(name), name, group: 'Properties' }))
+  ], [propertyNames]);
+
+  const setBinding = useCallback((channel, binding) => {
+    setBindings(prev => {
+      const next = { ...prev };
+      if (binding) next[channel] = { ...prev[channel], ...binding };
+      else delete next[channel];
+      return next;
+    });
+  }, []);
+
+  // Bound channels with their values per node and domain; a metric that is
+  // still being computed contributes nothing yet
+  const channels = useMemo(() => CHANNELS.flatMap(channel => {
+    const binding = bindings[channel.key];
+    if (!binding) return [];
+    const [kind, name] = binding.key.split(/:(.*)/s);
+    let values;
+    if (kind === 'metric') {
+      values = metrics?.values[name];
+      if (!values) return [];
+    } else {
+      values = new Map();
+      graph.nodes.forEach(node => {
+        const value = node.properties[name];
+        if (typeof value === 'number' && Number.isFinite(value)) values.set(node.id, value);
+      });
+    }
+    const domain = valueDomain(values);
+    if (!domain) return [];
+    return [{ channel, binding, values, domain }];
+  }), [bindings, metrics, graph.nodes]);
+
+  // Computed once per node object for each set of bindings
+  const styleFor = useMemo(() => {
+    if (channels.length === 0) return baseStyleFor;
+    const cache = new WeakMap();
+    return (node) => {
+      let style = cache.get(node);
+      if (!style) {
+        style = { ...baseStyleFor(node) };
+        channels.forEach(({ channel, binding, values, domain }) => {
+          const value = values.get(node.id);
+          if (value === undefined) return;
+          applyChannel(style, channel, normalize(value, domain, binding.scale), binding);
+        });
+        cache.set(node, style);
+      }
+      return style;
+    };
+  }, [baseStyleFor, channels]);
+
+  return {
+    bindings,
+    setBinding,
+    sources,
+    channels,
+    styleFor,
+    metricsSource: metrics?.source || null,
+    computing: usesMetrics && computing,
+    error: usesMetrics ? error : null
+  };
+};
@@ -0,0 +1,159 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { dataSource } from '../services/dataSource';
+import { exploreConfig } from '../config/explore.config';
+import { loadJSON, saveJSON } from '../utils/storage';
+import { mergeGraphs, removeNodes } from '../utils/graphDiff';
+import { EXIT_DURATION, startTransitions } from '../utils/transitions';
+
+const SETTINGS_STORAGE_KEY = 'starfield.expansion';
+
+// Grows the scene one neighbourhood at a time. Expanding a star fetches its
+// neighbours (breadth first, up to settings.hops away) and adds whatever is
+// not in the scene yet; collapsing it removes what that expansion brought in,
+// together with anything expanded from those stars in turn. New stars start
+// next to the star they came from and animate in; collapsed ones animate out.
+export const useNeighbourhood = (graph, setGraph, transitions) => {
+  const [settings, setSettings] = useState(() => ({
+    ...exploreConfig.expansion,
+    ...loadJSON(SETTINGS_STORAGE_KEY, {})
+  }));
+  // Star id -> { nodeIds, relationshipIds } added by expanding it
+  const [expansions, setExpansions] = useState(() => new Map());
+  const [expandingId, setExpandingId] = useState(null);
+  const [expandError, setExpandError] = useState(null);
+  const graphRef = useRef(graph);
+  graphRef.current = graph;
+  // Stars being fetched for, so a second toggle does not expand them twice
+  const inFlightRef = useRef(new Set());
+  // Collapsed stars still fading out: { timer, nodeIds } per collapse. A star
+  // found again before it has gone is taken out of nodeIds and stays.
+  const removalsRef = useRef(new Set());
+
+  const cancelRemovals = useCallback(() => {
+    removalsRef.current.forEach(removal => clearTimeout(removal.timer));
+    removalsRef.current.clear();
+  }, []);
+
+  useEffect(() => cancelRemovals, [cancelRemovals]);
+
+  useEffect(() => {
+    saveJSON(SETTINGS_STORAGE_KEY, settings);
+  }, [settings]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const expand = useCallback(async (id) => {
+    if (inFlightRef.current.has(id)) return;
+    inFlightRef.current.add(id);
+    setExpandingId(id);
+    setExpandError(null);
+    try {
+      // Stars fading out are as good as gone
+      const exiting = new Set();
+      removalsRef.current.forEach(removal => removal.nodeIds.forEach(nodeId => exiting.add(nodeId)));
+      const knownNodeIds = new Set(graphRef.current.nodes.map(node => node.id).filter(nodeId => !exiting.has(nodeId)));
+      const knownRelationshipIds = new Set(graphRef.current.relationships.map(rel => rel.id));
+      const nodes = [];
+      const relationships = [];
+      const options = { limit: settings.limit, types: settings.types, direction: settings.direction };
+
+      let frontier = [id];
+      for (let hop = 0; hop < settings.hops && frontier.length > 0; hop++) {
+        const next = [];
+        for (const parentId of frontier) {
+          const entries = await dataSource.getRelatedPapers(parentId, options);
+          entries.forEach(({ relationship, node }) => {
+            if (!knownRelationshipIds.has(relationship.id)) {
+              knownRelationshipIds.add(relationship.id);
+              relationships.push(relationship);
+            }
+            if (!knownNodeIds.has(node.id)) {
+              knownNodeIds.add(node.id);
+              nodes.push(node);
+              next.push(node.id);
+            }
+          });
+        }
+        frontier = next;
+      }
+
+      removalsRef.current.forEach(removal => nodes.forEach(node => removal.nodeIds.delete(node.id)));
+      startTransitions(transitions, nodes.map(node => node.id), 'enter');
+      setGraph(prev => mergeGraphs(prev, { nodes, relationships }));
+      setExpansions(prev => new Map(prev).set(id, {
+        nodeIds: new Set(nodes.map(node => node.id)),
+        relationshipIds: new Set(relationships.map(rel => rel.id))
+      }));
+    } catch (err) {
+      console.error('Error expanding neighbourhood:', err);
+      setExpandError(err.message);
+    } finally {
+      inFlightRef.current.delete(id);
+      setExpandingId(null);
+    }
+  }, [settings, setGraph, transitions]);
+
+  const collapse = useCallback((id) => {
+    const nodeIds = new Set();
+    const relationshipIds = new Set();
+    const collapsed = [];
+    const visit = (parentId) => {
+      const expansion = expansions.get(parentId);
+      if (!expansion) return;
+      collapsed.push(parentId);
+      expansion.relationshipIds.forEach(relId => relationshipIds.add(relId));
+      expansion.nodeIds.forEach(nodeId => {
+        if (nodeIds.has(nodeId)) return;
+        nodeIds.add(nodeId);
+        visit(nodeId);
+      });
+    };
+    visit(id);
+
+    setExpansions(prev => {
+      const next = new Map(prev);
+      collapsed.forEach(parentId => next.delete(parentId));
+      return next;
+    });
+
+    // Relationships go at once; stars stay until they have faded out
+    setGraph(prev => ({
+      nodes: prev.nodes,
+      relationships: prev.relationships.filter(rel => !relationshipIds.has(rel.id))
+    }));
+    startTransitions(transitions, nodeIds, 'exit');
+    const removal = { nodeIds, timer: null };
+    removal.timer = setTimeout(() => {
+      removalsRef.current.delete(removal);
+      nodeIds.forEach(nodeId => transitions.entries.delete(nodeId));
+      setGraph(prev => removeNodes(prev, nodeIds));
+    }, EXIT_DURATION * 1000);
+    removalsRef.current.add(removal);
+  }, [expansions, setGraph, transitions]);
+
+  // Expand a collapsed star, collapse an expanded one
+  const toggle = useCallback((id) => {
+    if (expansions.has(id)) collapse(id);
+    else expand(id);
+  }, [expansions, collapse, expand]);
+
+  // Forget all expansions, e.g. when the whole scene is replaced
+  const resetExpansions = useCallback(() => {
+    cancelRemovals();
+    setExpansions(new Map());
+  }, [cancelRemovals]);
+
+  return {
+    settings,
+    updateSettings,
+    expansions,
+    expandingId,
+    expandError,
+    expand,
+    collapse,
+    toggle,
+    resetExpansions
+  };
+};
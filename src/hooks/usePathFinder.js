@@ -0,0 +1,123 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { dataSource } from '../services/dataSource';
+import { pathConfig } from '../config/path.config';
+import { loadJSON, saveJSON } from '../utils/storage';
+import { mergeGraphs } from '../utils/graphDiff';
+import { startTransitions } from '../utils/transitions';
+
+const SETTINGS_STORAGE_KEY = 'starfield.pathFinder';
+
+// Finds routes between a source and a target star. Stars and relationships
+// on the routes are added to the scene when missing, so a route can be shown
+// even while only part of the database is loaded. routes is null until a
+// search has run and [] when it found nothing.
+export const usePathFinder = (graph, setGraph, transitions) => {
+  const [open, setOpen] = useState(false);
+  const [source, setSource] = useState(null);
+  const [target, setTarget] = useState(null);
+  const [settings, setSettings] = useState(() => ({
+    ...pathConfig.defaults,
+    ...loadJSON(SETTINGS_STORAGE_KEY, {})
+  }));
+  const [routes, setRoutes] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [finding, setFinding] = useState(false);
+  const [error, setError] = useState(null);
+  const graphRef = useRef(graph);
+  graphRef.current = graph;
+
+  useEffect(() => {
+    saveJSON(SETTINGS_STORAGE_KEY, settings);
+  }, [settings]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  // Changing either end makes earlier results meaningless
+  const chooseSource = useCallback((node) => {
+    setSource(node);
+    setRoutes(null);
+    setError(null);
+    setOpen(true);
+  }, []);
+
+  const chooseTarget = useCallback((node) => {
+    setTarget(node);
+    setRoutes(null);
+    setError(null);
+    setOpen(true);
+  }, []);
+
+  const swap = useCallback(() => {
+    setSource(target);
+    setTarget(source);
+    setRoutes(null);
+  }, [source, target]);
+
+  const find = useCallback(async () => {
+    if (!source || !target || source.id === target.id) return;
+    setFinding(true);
+    setError(null);
+    setRoutes(null);
+    try {
+      const found = await dataSource.findPaths(source.id, target.id, settings);
+      const knownIds = new Set(graphRef.current.nodes.map(node => node.id));
+      const addition = {
+        nodes: found.flatMap(route => route.nodes),
+        relationships: found.flatMap(route => route.relationships)
+      };
+      const newIds = new Set(addition.nodes.filter(node => !knownIds.has(node.id)).map(node => node.id));
+      if (newIds.size > 0) startTransitions(transitions, newIds, 'enter');
+      if (addition.nodes.length > 0) setGraph(prev => mergeGraphs(prev, addition));
+      setRoutes(found);
+      setActiveIndex(0);
+    } catch (err) {
+      console.error('Error finding routes:', err);
+      setError(err.message);
+    } finally {
+      setFinding(false);
+    }
+  }, [source, target, settings, setGraph, transitions]);
+
+  const clear = useCallback(() => {
+    setRoutes(null);
+    setError(null);
+  }, []);
+
+  const close = useCallback(() => {
+    setOpen(false);
+    setRoutes(null);
+    setError(null);
+  }, []);
+
+  const activeRoute = routes?.[activeIndex] || null;
+
+  // Ids on the shown route, for highlighting in the scene
+  const routeNodeIds = useMemo(
+    () => (activeRoute ? new Set(activeRoute.nodes.map(node => node.id)) : null),
+    [activeRoute]
+  );
+
+  return {
+    open,
+    setOpen,
+    source,
+    target,
+    settings,
+    updateSettings,
+    routes,
+    activeIndex,
+    setActiveIndex,
+    activeRoute,
+    routeNodeIds,
+    finding,
+    error,
+    chooseSource,
+    chooseTarget,
+    swap,
+    find,
+    clear,
+    close
+  };
+};
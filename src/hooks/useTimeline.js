@@ -0,0 +1,196 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { timelineConfig } from '../config/timeline.config';
+import { dateProperties, toTime } from '../utils/temporal';
+import { EXIT_DURATION, startTransitions } from '../utils/transitions';
+import { loadJSON, saveJSON } from '../utils/storage';
+
+const STORAGE_KEY = 'starfield.timeline';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  // Property holding the date a star or relationship comes into being
+  startProperty: null,
+  // Optional property holding the date it ends
+  endProperty: null,
+  // Without an end date, how long a star stays; null for for ever
+  fadeAfterDays: null,
+  // Whether stars without a date are shown throughout
+  showUndated: true
+};
+
+const isAlive = (span, time) => span.start <= time && (span.end === null || time < span.end);
+
+// A time dimension for graphs with date properties. While the timeline is
+// open, only stars and relationships that exist at the chosen moment are
+// shown: from their start date until their end date, or until they fade
+// after a set time. Stars are born and fade with the enter and exit
+// animations as the time moves, and playback sweeps the whole range.
+// Settings are remembered in the browser.
+export const useTimeline = (graph, transitions) => {
+  const [open, setOpen] = useState(false);
+  const [settings, setSettings] = useState(() => ({ ...DEFAULT_SETTINGS, ...loadJSON(STORAGE_KEY, {}) }));
+  // Chosen moment in ms; null for the end of the range
+  const [time, setTime] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  // Stars that have just stopped existing and are still fading out
+  const [fading, setFading] = useState(() => new Set());
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, settings);
+  }, [settings]);
+
+  const properties = useMemo(
+    () => dateProperties([...graph.nodes, ...graph.relationships]),
+    [graph.nodes, graph.relationships]
+  );
+  // A saved property this graph does not have falls back to the first one it does
+  const startProperty = properties.includes(settings.startProperty) ? settings.startProperty : properties[0] || null;
+  const endProperty = properties.includes(settings.endProperty) ? settings.endProperty : null;
+  const active = open && startProperty !== null;
+
+  // { start, end } in ms for every dated node and relationship
+  const lifetimes = useMemo(() => {
+    if (!active) return null;
+    const fadeAfter = settings.fadeAfterDays ? settings.fadeAfterDays * DAY : null;
+    const spansOf = (items) => {
+      const spans = new Map();
+      items.forEach(item => {
+        const start = toTime(item.properties[startProperty]);
+        if (start === null) return;
+        let end = endProperty ? toTime(item.properties[endProperty]) : null;
+        if (end === null && fadeAfter) end = start + fadeAfter;
+        spans.set(item.id, { start, end });
+      });
+      return spans;
+    };
+    return { nodes: spansOf(graph.nodes), relationships: spansOf(graph.relationships) };
+  }, [active, graph.nodes, graph.relationships, startProperty, endProperty, settings.fadeAfterDays]);
+
+  // Earliest and latest date, padded when they are the same
+  const domain = useMemo(() => {
+    if (!lifetimes) return null;
+    let min = Infinity;
+    let max = -Infinity;
+    [lifetimes.nodes, lifetimes.relationships].forEach(spans => spans.forEach(({ start, end }) => {
+      min = Math.min(min, start);
+      max = Math.max(max, end ?? start);
+    }));
+    if (min > max) return null;
+    return min === max ? [min - DAY, max + DAY] : [min, max];
+  }, [lifetimes]);
+
+  const clamp = useCallback((value) => (
+    domain ? Math.min(domain[1], Math.max(domain[0], value ?? domain[1])) : null
+  ), [domain]);
+  const currentTime = clamp(time);
+
+  // Birth dates of the dated stars, for the activity histogram
+  const births = useMemo(
+    () => (lifetimes ? [...lifetimes.nodes.values()].map(span => span.start) : []),
+    [lifetimes]
+  );
+
+  const aliveIds = useMemo(() => {
+    if (!lifetimes || currentTime === null) return null;
+    const alive = new Set();
+    graph.nodes.forEach(node => {
+      const span = lifetimes.nodes.get(node.id);
+      if (span ? isAlive(span, currentTime) : settings.showUndated) alive.add(node.id);
+    });
+    return alive;
+  }, [graph.nodes, lifetimes, currentTime, settings.showUndated]);
+
+  // Animate stars that were born or ended since the last moment shown
+  const previousAliveRef = useRef(null);
+  useEffect(() => {
+    const previous = previousAliveRef.current;
+    previousAliveRef.current = aliveIds;
+    if (!aliveIds || !previous) return;
+    const born = [...aliveIds].filter(id => !previous.has(id));
+    const ended = [...previous].filter(id => !aliveIds.has(id));
+    if (born.length + ended.length === 0 || born.length + ended.length > timelineConfig.maxAnimated) return;
+
+    startTransitions(transitions, born, 'enter');
+    if (ended.length === 0) return;
+    // Ended stars stay until they have faded out
+    startTransitions(transitions, ended, 'exit');
+    setFading(prev => new Set([...prev, ...ended]));
+    setTimeout(() => {
+      ended.forEach(id => {
+        if (transitions.entries.get(id)?.kind === 'exit') transitions.entries.delete(id);
+      });
+      setFading(prev => {
+        const next = new Set(prev);
+        ended.forEach(id => next.delete(id));
+        return next;
+      });
+    }, EXIT_DURATION * 1000);
+  }, [aliveIds, transitions]);
+
+  // Stars to show, or null while the timeline is off
+  const visibleIds = useMemo(() => {
+    if (!aliveIds) return null;
+    return fading.size === 0 ? aliveIds : new Set([...aliveIds, ...fading]);
+  }, [aliveIds, fading]);
+
+  // Undated relationships are shown whenever both their stars are
+  const isRelationshipVisible = useCallback((rel) => {
+    const span = lifetimes?.relationships.get(rel.id);
+    return !span || isAlive(span, currentTime);
+  }, [lifetimes, currentTime]);
+
+  // Playback moves the time on in steady ticks and stops at the end
+  useEffect(() => {
+    if (!playing || !domain) return undefined;
+    const ticks = (timelineConfig.playDuration * 1000) / timelineConfig.tickInterval;
+    const step = (domain[1] - domain[0]) / ticks;
+    const timer = setInterval(() => {
+      setTime(prev => clamp(clamp(prev) + step));
+    }, timelineConfig.tickInterval);
+    return () => clearInterval(timer);
+  }, [playing, domain, clamp]);
+
+  useEffect(() => {
+    if (playing && (!domain || currentTime >= domain[1])) setPlaying(false);
+  }, [playing, domain, currentTime]);
+
+  // Playing from the end starts over
+  const play = useCallback(() => {
+    if (!domain) return;
+    if (currentTime >= domain[1]) setTime(domain[0]);
+    setPlaying(true);
+  }, [domain, currentTime]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  const updateSettings = useCallback((patch) => {
+    setSettings(prev => ({ ...prev, ...patch }));
+  }, []);
+
+  const close = useCallback(() => {
+    setOpen(false);
+    setPlaying(false);
+    setFading(new Set());
+  }, []);
+
+  return {
+    open,
+    setOpen,
+    close,
+    properties,
+    settings: { ...settings, startProperty, endProperty },
+    updateSettings,
+    active,
+    domain,
+    time: currentTime,
+    setTime,
+    playing,
+    play,
+    pause,
+    births,
+    aliveCount: aliveIds ? aliveIds.size : graph.nodes.length,
+    visibleIds,
+    isRelationshipVisible
+  };
+};
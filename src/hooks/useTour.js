@@ -0,0 +1,155 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+// Plays a guided tour (see utils/tours): flies to each stop, shows its caption
+// and waits there for its dwell time before moving on. Playback can be paused
+// and stepped; stepping while paused flies to the stop and stays. onStop is
+// called as each stop is reached for, e.g. to select its star.
+//
+// Tours can also be authored: stops are added from the current view and the
+// result downloaded as JSON.
+export const useTour = ({ cameraApiRef, onStop }) => {
+  const [open, setOpen] = useState(false);
+  const [tour, setTour] = useState(null);
+  const [index, setIndex] = useState(-1);
+  const [playing, setPlaying] = useState(false);
+  // Set while dwelling at a stop that asks to be circled
+  const [orbiting, setOrbiting] = useState(false);
+  const playingRef = useRef(false);
+  const onStopRef = useRef(onStop);
+  onStopRef.current = onStop;
+  // Bumped on every move so a flight that was overtaken does nothing on arrival
+  const visitRef = useRef(0);
+  const arrivedRef = useRef(false);
+  const timerRef = useRef(null);
+
+  const setPlayingBoth = useCallback((value) => {
+    playingRef.current = value;
+    setPlaying(value);
+  }, []);
+
+  // Fly to a stop, and move on after its dwell time while playing; the last
+  // stop ends the tour unless it loops
+  const { visit, scheduleNext } = useMemo(() => {
+    const scheduleNext = (currentTour, i) => {
+      clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(() => {
+        const next = i + 1;
+        if (next < currentTour.stops.length) {
+          visit(currentTour, next);
+        } else if (currentTour.loop) {
+          visit(currentTour, 0);
+        } else {
+          setPlayingBoth(false);
+          setOrbiting(false);
+        }
+      }, currentTour.stops[i].dwell * 1000);
+    };
+
+    const visit = async (currentTour, i) => {
+      const visitId = ++visitRef.current;
+      clearTimeout(timerRef.current);
+      arrivedRef.current = false;
+      setIndex(i);
+      setOrbiting(false);
+
+      const stop = currentTour.stops[i];
+      onStopRef.current?.(stop);
+      const api = cameraApiRef.current;
+      if (api) {
+        if (stop.camera) await api.setView(stop.camera, stop.flight ?? undefined);
+        else await api.flyToNode(stop.node, stop.distance, stop.flight ?? undefined);
+      }
+      if (visitId !== visitRef.current) return;
+
+      arrivedRef.current = true;
+      setOrbiting(stop.orbit);
+      if (playingRef.current) scheduleNext(currentTour, i);
+    };
+
+    return { visit, scheduleNext };
+  }, [cameraApiRef, setPlayingBoth]);
+
+  const load = useCallback((nextTour, { autoplay = false } = {}) => {
+    visitRef.current += 1;
+    clearTimeout(timerRef.current);
+    setOpen(true);
+    setTour(nextTour);
+    setIndex(-1);
+    setOrbiting(false);
+    setPlayingBoth(false);
+    if (autoplay && nextTour.stops.length > 0) {
+      setPlayingBoth(true);
+      visit(nextTour, 0);
+    }
+  }, [visit, setPlayingBoth]);
+
+  const play = useCallback(() => {
+    if (!tour || tour.stops.length === 0) return;
+    setPlayingBoth(true);
+    if (index < 0 || (index === tour.stops.length - 1 && arrivedRef.current && !tour.loop)) {
+      visit(tour, 0);
+    } else if (arrivedRef.current) {
+      scheduleNext(tour, index);
+    }
+    // Otherwise the flight under way moves on when it arrives
+  }, [tour, index, visit, scheduleNext, setPlayingBoth]);
+
+  const pause = useCallback(() => {
+    clearTimeout(timerRef.current);
+    setPlayingBoth(false);
+  }, [setPlayingBoth]);
+
+  const step = useCallback((delta) => {
+    if (!tour || tour.stops.length === 0) return;
+    const count = tour.stops.length;
+    visit(tour, (Math.max(index, 0) + delta + count) % count);
+  }, [tour, index, visit]);
+
+  const close = useCallback(() => {
+    visitRef.current += 1;
+    clearTimeout(timerRef.current);
+    setOpen(false);
+    setTour(null);
+    setIndex(-1);
+    setOrbiting(false);
+    setPlayingBoth(false);
+  }, [setPlayingBoth]);
+
+  // Authoring: add a stop after the current one, or remove the current one
+  const addStop = useCallback((stop) => {
+    const at = index + 1;
+    setTour(prev => ({
+      ...(prev || { title: 'New tour', loop: false }),
+      stops: [...(prev?.stops || []).slice(0, at), stop, ...(prev?.stops || []).slice(at)]
+    }));
+    setIndex(at);
+  }, [index]);
+
+  const removeStop = useCallback(() => {
+    if (index < 0) return;
+    visitRef.current += 1;
+    clearTimeout(timerRef.current);
+    setTour(prev => ({ ...prev, stops: prev.stops.filter((_, i) => i !== index) }));
+    setIndex(prev => prev - 1);
+  }, [index]);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  return {
+    open,
+    setOpen,
+    tour,
+    index,
+    stop: tour && index >= 0 ? tour.stops[index] : null,
+    playing,
+    orbiting,
+    load,
+    play,
+    pause,
+    next: () => step(1),
+    previous: () => step(-1),
+    close,
+    addStop,
+    removeStop
+  };
+};
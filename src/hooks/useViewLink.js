@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { decodeView, encodeView } from '../utils/viewState';
+
+// Wait this long after the view last changed before rewriting the hash, in ms
+const WRITE_DELAY = 400;
+
+// Keeps the URL hash in step with the view, and applies views that arrive
+// through it: the one in the address the page was opened with (once the
+// scene is ready) and any pasted in later. The hash is replaced rather than
+// pushed, so moving around does not fill the browser history.
+//
+// state is the view without the camera; the camera pose is read from
+// cameraViewRef, and scheduleWrite should be called when it changes.
+export const useViewLink = ({ ready, state, cameraViewRef, applyView }) => {
+  const pendingRef = useRef(decodeView(window.location.hash));
+  const applyRef = useRef(applyView);
+  applyRef.current = applyView;
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  const timerRef = useRef(null);
+
+  // Open the linked view once the scene can show it
+  useEffect(() => {
+    if (!ready || !pendingRef.current) return;
+    const view = pendingRef.current;
+    pendingRef.current = null;
+    applyRef.current(view, { animate: false });
+  }, [ready]);
+
+  // Follow links pasted into the address bar
+  useEffect(() => {
+    const handleHashChange = () => {
+      const view = decodeView(window.location.hash);
+      if (!view) return;
+      if (ready) applyRef.current(view, { animate: true });
+      else pendingRef.current = view;
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [ready]);
+
+  const scheduleWrite = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => {
+      // Never overwrite a link that has not been opened yet
+      if (!ready || pendingRef.current) return;
+      const hash = `#${encodeView({ ...stateRef.current, camera: cameraViewRef.current })}`;
+      if (hash !== window.location.hash) {
+        window.history.replaceState(null, '', hash);
+      }
+    }, WRITE_DELAY);
+  }, [ready, cameraViewRef]);
+
+  useEffect(() => {
+    scheduleWrite();
+  }, [state, scheduleWrite]);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  return { scheduleWrite };
+};
@@ -0,0 +1,54 @@
+// CSV reading (RFC 4180: quoted fields may hold commas, quotes as "" and line
+// breaks). Every record keeps the line it starts on, for error messages.
+
+// Records of the text as { line, fields }; blank lines are skipped. Throws
+// with the line of a quote that is never closed.
+export const parseCSV = (text) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 0;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') records.push({ line: recordLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  // A byte order mark is not part of the first header
+  const start = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw Object.assign(new Error('Quoted field is never closed'), { line: quoteLine });
+  if (field !== '' || fields.length > 0) endRecord();
+  return records;
+};
@@ -0,0 +1,21 @@
+import { parseCSV } from './csv';
+
+test('keeps commas, doubled quotes and line breaks inside quoted fields', () => {
+  const records = parseCSV('id,name\n1,"Smith, ""Jo""\nJunior"\n2,Lee\n');
+  expect(records).toEqual([
+    { line: 1, fields: ['id', 'name'] },
+    { line: 2, fields: ['1', 'Smith, "Jo"\nJunior'] },
+    { line: 4, fields: ['2', 'Lee'] }
+  ]);
+});
+
+test('reads CRLF line ends, skips blank lines and drops a byte order mark', () => {
+  expect(parseCSV('\uFEFFid\r\n\r\n7\r\n')).toEqual([
+    { line: 1, fields: ['id'] },
+    { line: 3, fields: ['7'] }
+  ]);
+});
+
+test('reports the line of a quote that is never closed', () => {
+  expect(() => parseCSV('id,name\n1,ok\n2,"open\n')).toThrow(expect.objectContaining({ line: 3 }));
+});
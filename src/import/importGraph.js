@@ -0,0 +1,585 @@
+import { parseCSV } from './csv';
+import { normalizeGraph } from '../services/file.service';
+
+// Reading graph files dropped onto the starfield: JSON in the starfield shape
+// (or with d3-style links), GraphML, GEXF, and CSV (a nodes file, a
+// relationships file, or both; plain headers or neo4j-admin import headers).
+// Everything ends up in the shape the data sources produce. Problems are
+// gathered with the file and line they were found on; a file with problems
+// is not imported at all.
+
+// Stop collecting problems after this many; the rest are usually the same
+export const MAX_PROBLEMS = 50;
+
+const DEFAULT_TYPE = 'RELATED_TO';
+
+export const formatProblem = ({ file, line, message }) => `${file}${line ? ` line ${line}` : ''}: ${message}`;
+
+const importError = (problems) => {
+  const error = new Error(problems.length === 1
+    ? formatProblem(problems[0])
+    : `${problems.length}${problems.length >= MAX_PROBLEMS ? '+' : ''} problems in the dropped files`);
+  error.name = 'ImportError';
+  error.problems = problems;
+  return error;
+};
+
+const splitLabels = (text) => String(text).split(/[:;,]/).map(label => label.trim()).filter(Boolean);
+
+// Values from text: numbers and booleans as such, everything else as text.
+// Numbers with leading zeros are kept as text, since they are usually codes.
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?(e[+-]?\d+)?$/i;
+const inferValue = (text) => {
+  if (NUMBER.test(text)) return Number(text);
+  if (text === 'true' || text === 'false') return text === 'true';
+  return text;
+};
+
+const NUMBER_TYPES = ['int', 'integer', 'long', 'short', 'byte', 'float', 'double'];
+
+// Value of the declared type, or undefined when the text is not one
+const typedValue = (text, type) => {
+  const base = (type || '').toLowerCase();
+  if (base.endsWith('[]')) {
+    const items = text.split(';').map(item => typedValue(item, base.slice(0, -2)));
+    return items.includes(undefined) ? undefined : items;
+  }
+  if (NUMBER_TYPES.includes(base)) {
+    const value = Number(text);
+    return text.trim() !== '' && Number.isFinite(value) ? value : undefined;
+  }
+  if (base === 'boolean') {
+    const lower = text.trim().toLowerCase();
+    if (lower !== 'true' && lower !== 'false') return undefined;
+    return lower === 'true';
+  }
+  return base ? text : inferValue(text);
+};
+
+// Line of each <tag ...> in the source, in document order
+const tagLines = (text, tag) => {
+  const lines = [];
+  const pattern = new RegExp(`<${tag}[\\s/>]`, 'g');
+  let line = 1;
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    for (let i = last; i < match.index; i++) {
+      if (text.charCodeAt(i) === 10) line++;
+    }
+    last = match.index;
+    lines.push(line);
+  }
+  return lines;
+};
+
+const lineAt = (text, position) => text.slice(0, position).split('\n').length;
+
+// --- JSON ---
+
+// Position and description of the first syntax error in JSON text, for when
+// the browser's own error does not say where it is. onItem, when given, hears
+// where each item of an array held by a top-level property starts:
+// onItem(property, index, position).
+const scanJSON = (text, onItem) => {
+  let i = 0;
+  const found = () => (i >= text.length ? 'the end of the file' : JSON.stringify(text[i]));
+  const fail = (message) => {
+    throw Object.assign(new Error(message), { position: i });
+  };
+  const space = () => {
+    while (' \t\n\r'.includes(text[i]) && i < text.length) i++;
+  };
+  const string = () => {
+    i++;
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] < ' ') fail('line break or control character inside a string');
+      i += text[i] === '\\' ? 2 : 1;
+    }
+    if (i >= text.length) fail('string is never closed');
+    i++;
+  };
+  const items = (close, item) => {
+    i++;
+    space();
+    if (text[i] === close) {
+      i++;
+      return;
+    }
+    for (let index = 0; ; index++) {
+      item(index);
+      space();
+      if (text[i] === close) {
+        i++;
+        return;
+      }
+      if (text[i] !== ',') fail(`expected "," or "${close}" but found ${found()}`);
+      i++;
+      space();
+    }
+  };
+  // path holds the property names and indexes leading to this value
+  const value = (path) => {
+    space();
+    if (text[i] === '{') {
+      items('}', () => {
+        if (text[i] !== '"') fail(`expected a property name but found ${found()}`);
+        const start = i;
+        string();
+        const name = JSON.parse(text.slice(start, i));
+        space();
+        if (text[i] !== ':') fail(`expected ":" but found ${found()}`);
+        i++;
+        value([...path, name]);
+      });
+    } else if (text[i] === '[') {
+      items(']', (index) => {
+        if (path.length === 1 && onItem) onItem(path[0], index, i);
+        value([...path, index]);
+      });
+    } else if (text[i] === '"') {
+      string();
+    } else {
+      const literal = /^(-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?|true|false|null)/.exec(text.slice(i, i + 400));
+      if (!literal) fail(`unexpected ${found()}`);
+      i += literal[0].length;
+    }
+  };
+  try {
+    value([]);
+    space();
+    if (i < text.length) fail(`unexpected ${found()} after the end of the data`);
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+// Ids may be numbers in JSON; missing ones stay null
+const jsonId = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+const readJSON = (file, text, report) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    const located = scanJSON(text);
+    if (located) report(file, lineAt(text, located.position), `Not valid JSON: ${located.message}`);
+    else report(file, null, `Not valid JSON: ${error.message.split('\n')[0]}`);
+    return null;
+  }
+  if (!Array.isArray(data?.nodes)) {
+    report(file, null, 'Expected an object with a "nodes" array');
+    return null;
+  }
+  // Also take { nodes, links } and { nodes, edges } with source and target
+  const relationshipsKey = ['relationships', 'links', 'edges'].find(key => data[key]);
+  const relationships = relationshipsKey ? data[relationshipsKey] : [];
+  if (!Array.isArray(relationships)) {
+    report(file, null, `Expected "${relationshipsKey}" to be an array`);
+    return null;
+  }
+
+  // Line each node and relationship starts on; items come in document order
+  const lines = { nodes: [], relationships: [] };
+  let lineCount = 1;
+  let last = 0;
+  scanJSON(text, (key, index, position) => {
+    const list = key === 'nodes' ? lines.nodes : key === relationshipsKey && lines.relationships;
+    if (!list) return;
+    for (; last < position; last++) {
+      if (text.charCodeAt(last) === 10) lineCount++;
+    }
+    list[index] = lineCount;
+  });
+
+  const nodes = [];
+  data.nodes.forEach((node, index) => {
+    const line = lines.nodes[index];
+    if (!node || typeof node !== 'object') {
+      report(file, line, 'Node is not an object');
+      return;
+    }
+    nodes.push({
+      id: jsonId(node.id),
+      labels: Array.isArray(node.labels)
+        ? node.labels.map(String)
+        : splitLabels(typeof node.label === 'string' ? node.label : ''),
+      properties: node.properties || {},
+      line
+    });
+  });
+
+  const rels = [];
+  relationships.forEach((rel, index) => {
+    const line = lines.relationships[index];
+    if (!rel || typeof rel !== 'object') {
+      report(file, line, 'Relationship is not an object');
+      return;
+    }
+    rels.push({
+      id: jsonId(rel.id),
+      type: rel.type ? String(rel.type) : DEFAULT_TYPE,
+      startId: jsonId(rel.startId ?? (typeof rel.source === 'object' ? rel.source?.id : rel.source)),
+      endId: jsonId(rel.endId ?? (typeof rel.target === 'object' ? rel.target?.id : rel.target)),
+      properties: rel.properties || {},
+      line
+    });
+  });
+
+  return { nodes, relationships: rels };
+};
+
+// --- XML: GraphML and GEXF ---
+
+const readXML = (file, text, report) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const error = doc.getElementsByTagName('parsererror')[0];
+  if (!error) return doc;
+  const details = error.textContent.replace('This page contains the following errors:', '');
+  const lineMatch = /line(?: number)? (\d+)/i.exec(details) || /^\s*(\d+):\d+:/.exec(details);
+  const message = details.split(/\n|Below is a rendering/)[0]
+    .replace(/^\s*(error on line \d+ at column \d+:|\d+:\d+:)\s*/i, '')
+    .trim();
+  report(file, lineMatch ? Number(lineMatch[1]) : null, `Not valid XML: ${message || 'unreadable'}`);
+  return null;
+};
+
+// Nodes without a name property take their display label as one
+const withName = (properties, label) => (
+  label && properties.name === undefined ? { ...properties, name: label } : properties
+);
+
+const readGraphML = (file, text, report) => {
+  const doc = readXML(file, text, report);
+  if (!doc) return null;
+
+  // Attribute declarations: id -> { name, type, fallback }
+  const keys = new Map();
+  [...doc.getElementsByTagName('key')].forEach(key => {
+    const fallback = key.getElementsByTagName('default')[0]?.textContent;
+    keys.set(key.getAttribute('id'), {
+      name: key.getAttribute('attr.name') || key.getAttribute('id'),
+      type: key.getAttribute('attr.type') || 'string',
+      for: key.getAttribute('for') || 'all',
+      fallback
+    });
+  });
+
+  const readData = (element, kind, line) => {
+    const properties = {};
+    keys.forEach((key) => {
+      if ((key.for === kind || key.for === 'all') && key.fallback !== undefined) {
+        properties[key.name] = typedValue(key.fallback, key.type);
+      }
+    });
+    [...element.children].filter(child => child.localName === 'data').forEach(data => {
+      const key = keys.get(data.getAttribute('key'));
+      const name = key?.name || data.getAttribute('key');
+      const value = typedValue(data.textContent, key?.type);
+      if (value === undefined) {
+        report(file, line, `"${data.textContent}" is not a valid ${key.type} for ${name}`);
+        return;
+      }
+      properties[name] = value;
+    });
+    return properties;
+  };
+
+  const nodeLines = tagLines(text, 'node');
+  const nodes = [...doc.getElementsByTagName('node')].map((element, i) => {
+    const line = nodeLines[i];
+    const { labels, label, ...properties } = readData(element, 'node', line);
+    return {
+      id: element.getAttribute('id'),
+      labels: splitLabels(element.getAttribute('labels') || labels || ''),
+      properties: withName(properties, label),
+      line
+    };
+  });
+
+  const edgeLines = tagLines(text, 'edge');
+  const relationships = [...doc.getElementsByTagName('edge')].map((element, i) => {
+    const line = edgeLines[i];
+    const { label, type, ...properties } = readData(element, 'edge', line);
+    return {
+      id: element.getAttribute('id'),
+      type: element.getAttribute('label') || label || type || DEFAULT_TYPE,
+      startId: element.getAttribute('source'),
+      endId: element.getAttribute('target'),
+      properties,
+      line
+    };
+  });
+
+  return { nodes, relationships };
+};
+
+const readGEXF = (file, text, report) => {
+  const doc = readXML(file, text, report);
+  if (!doc) return null;
+
+  // Attribute declarations per class: id -> { title, type, fallback }
+  const attributes = { node: new Map(), edge: new Map() };
+  [...doc.getElementsByTagName('attributes')].forEach(group => {
+    const declared = attributes[group.getAttribute('class')];
+    if (!declared) return;
+    [...group.getElementsByTagName('attribute')].forEach(attribute => {
+      declared.set(attribute.getAttribute('id'), {
+        title: attribute.getAttribute('title') || attribute.getAttribute('id'),
+        type: attribute.getAttribute('type') || 'string',
+        fallback: attribute.getElementsByTagName('default')[0]?.textContent
+      });
+    });
+  });
+
+  const readValues = (element, kind, line) => {
+    const properties = {};
+    attributes[kind].forEach(attribute => {
+      if (attribute.fallback !== undefined) {
+        properties[attribute.title] = typedValue(attribute.fallback, attribute.type);
+      }
+    });
+    [...element.getElementsByTagName('attvalue')].forEach(attvalue => {
+      const id = attvalue.getAttribute('for') ?? attvalue.getAttribute('id');
+      const attribute = attributes[kind].get(id);
+      const name = attribute?.title || id;
+      // GEXF list types are written as [a, b] or a|b
+      const type = attribute?.type?.startsWith('list') ? 'string' : attribute?.type;
+      const raw = attvalue.getAttribute('value') ?? '';
+      const value = typedValue(raw, type);
+      if (value === undefined) {
+        report(file, line, `"${raw}" is not a valid ${attribute.type} for ${name}`);
+        return;
+      }
+      properties[name] = value;
+    });
+    return properties;
+  };
+
+  const nodeLines = tagLines(text, 'node');
+  const nodes = [...doc.getElementsByTagName('node')].map((element, i) => {
+    const line = nodeLines[i];
+    const { labels, ...properties } = readValues(element, 'node', line);
+    return {
+      id: element.getAttribute('id'),
+      labels: splitLabels(labels || ''),
+      properties: withName(properties, element.getAttribute('label')),
+      line
+    };
+  });
+
+  const edgeLines = tagLines(text, 'edge');
+  const relationships = [...doc.getElementsByTagName('edge')].map((element, i) => {
+    const line = edgeLines[i];
+    const { type, ...properties } = readValues(element, 'edge', line);
+    const weight = element.getAttribute('weight');
+    if (weight !== null && properties.weight === undefined) properties.weight = Number(weight);
+    return {
+      id: element.getAttribute('id'),
+      type: element.getAttribute('label') || type || DEFAULT_TYPE,
+      startId: element.getAttribute('source'),
+      endId: element.getAttribute('target'),
+      properties,
+      line
+    };
+  });
+
+  return { nodes, relationships };
+};
+
+// --- CSV ---
+
+const SOURCE_COLUMNS = ['source', 'startid', 'start', 'from'];
+const TARGET_COLUMNS = ['target', 'endid', 'end', 'to'];
+
+// Column roles from the header. neo4j-admin headers such as
+// "personId:ID(Person)", ":LABEL", ":START_ID(Person)" and "age:int" work too;
+// ids in a named ID space are kept apart by prefixing them with it.
+const readHeader = (fields) => fields.map(field => {
+  const [, name, type, space] = /^([^:]*)(?::([A-Za-z_]+(?:\[\])?)(?:\(([^)]*)\))?)?$/.exec(field.trim()) || [null, field.trim()];
+  const upper = (type || '').toUpperCase();
+  const lower = name.toLowerCase();
+  let role = 'property';
+  if (upper === 'ID' || (!type && lower === 'id')) role = 'id';
+  else if (upper === 'LABEL' || (!type && lower === 'labels')) role = 'labels';
+  else if (upper === 'START_ID' || (!type && SOURCE_COLUMNS.includes(lower))) role = 'source';
+  else if (upper === 'END_ID' || (!type && TARGET_COLUMNS.includes(lower))) role = 'target';
+  else if (upper === 'TYPE' || (!type && lower === 'type')) role = 'type';
+  else if (upper === 'IGNORE') role = 'ignore';
+  return { name, type: role === 'property' ? type : null, space: space || null, role };
+});
+
+const spaced = (column, value) => (column.space ? `${column.space}:${value}` : value);
+
+const readCSV = (file, text, report) => {
+  let records;
+  try {
+    records = parseCSV(text);
+  } catch (error) {
+    report(file, error.line, error.message);
+    return null;
+  }
+  if (records.length === 0) {
+    report(file, null, 'File is empty');
+    return null;
+  }
+
+  const columns = readHeader(records[0].fields);
+  const has = (role) => columns.some(column => column.role === role);
+  const isRelationships = has('source') && has('target');
+  if (!isRelationships && !has('id')) {
+    report(file, records[0].line, 'Header needs an "id" column for nodes, or "source" and "target" columns for relationships');
+    return null;
+  }
+
+  const nodes = [];
+  const relationships = [];
+  records.slice(1).forEach(({ line, fields }) => {
+    if (fields.length !== columns.length) {
+      report(file, line, `${fields.length} fields, expected ${columns.length} as in the header`);
+      return;
+    }
+    const item = { labels: [], properties: {}, line };
+    columns.forEach((column, i) => {
+      const text = fields[i];
+      switch (column.role) {
+        case 'id':
+          item.id = text === '' ? null : spaced(column, text);
+          // neo4j-admin keeps a named id column as a property too
+          if (column.name && column.name.toLowerCase() !== 'id' && text !== '') item.properties[column.name] = inferValue(text);
+          break;
+        case 'labels':
+          item.labels = splitLabels(text);
+          break;
+        case 'source':
+          item.startId = text === '' ? null : spaced(column, text);
+          break;
+        case 'target':
+          item.endId = text === '' ? null : spaced(column, text);
+          break;
+        case 'type':
+          item.type = text || DEFAULT_TYPE;
+          break;
+        case 'property': {
+          if (text === '') break;
+          const value = typedValue(text, column.type);
+          if (value === undefined) report(file, line, `"${text}" is not a valid ${column.type} for ${column.name}`);
+          else item.properties[column.name] = value;
+          break;
+        }
+        default:
+          break;
+      }
+    });
+    if (isRelationships) {
+      if (!item.startId || !item.endId) {
+        report(file, line, 'Relationship needs both a source and a target');
+        return;
+      }
+      relationships.push({ type: DEFAULT_TYPE, ...item });
+    } else {
+      if (!item.id) {
+        report(file, line, 'Node has no id');
+        return;
+      }
+      nodes.push(item);
+    }
+  });
+
+  return { nodes, relationships, onlyRelationships: isRelationships };
+};
+
+// --- Putting files together ---
+
+const READERS = {
+  json: readJSON,
+  graphml: readGraphML,
+  gexf: readGEXF,
+  csv: readCSV
+};
+
+// Format from the extension; .xml files are told apart by their root element
+const formatOf = (file, text) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (extension === 'xml') {
+    if (/<gexf[\s>]/.test(text)) return 'gexf';
+    if (/<graphml[\s>]/.test(text)) return 'graphml';
+  }
+  return READERS[extension] ? extension : null;
+};
+
+// Parse dropped files into one graph: { name, graph }. Throws an error with
+// a problems list ([{ file, line, message }]) when anything is wrong.
+export const importGraphFiles = async (files) => {
+  const problems = [];
+  const report = (file, line, message) => {
+    if (problems.length < MAX_PROBLEMS) problems.push({ file, line, message });
+  };
+
+  const parts = [];
+  for (const file of files) {
+    const text = (await file.text()).replace(/^\uFEFF/, '');
+    const format = formatOf(file, text);
+    if (!format) {
+      report(file.name, null, 'Unsupported file type; expected .json, .csv, .graphml or .gexf');
+    } else {
+      const part = READERS[format](file.name, text, report);
+      if (part) parts.push({ file: file.name, ...part });
+    }
+  }
+  if (problems.length > 0) throw importError(problems);
+
+  // Node ids must be unique across files; the first place each is defined wins
+  const nodes = new Map();
+  parts.forEach(part => part.nodes.forEach(node => {
+    if (!node.id) {
+      report(part.file, node.line, 'Node has no id');
+      return;
+    }
+    const first = nodes.get(node.id);
+    if (first) {
+      report(part.file, node.line, `Duplicate node id "${node.id}" (first defined in ${first.file}${first.line ? ` line ${first.line}` : ''})`);
+      return;
+    }
+    nodes.set(node.id, { ...node, file: part.file });
+  }));
+
+  // With only relationship files, their ends become the nodes
+  const synthesize = parts.every(part => part.onlyRelationships);
+  let counter = 0;
+  const relationships = [];
+  const relationshipIds = new Set();
+  parts.forEach(part => part.relationships.forEach(rel => {
+    [rel.startId, rel.endId].forEach(id => {
+      if (!id) return;
+      if (synthesize && !nodes.has(id)) nodes.set(id, { id, labels: [], properties: { name: id } });
+    });
+    if (!rel.startId || !rel.endId) {
+      report(part.file, rel.line, 'Relationship needs both a source and a target');
+      return;
+    }
+    const missing = [rel.startId, rel.endId].filter(id => !nodes.has(id));
+    if (missing.length > 0) {
+      report(part.file, rel.line, `Relationship refers to unknown node ${missing.map(id => `"${id}"`).join(' and ')}`);
+      return;
+    }
+    // Keep ids unique even when several files number their relationships alike
+    let id = rel.id || `r${counter}`;
+    while (relationshipIds.has(id)) id = `r${++counter}`;
+    counter++;
+    relationshipIds.add(id);
+    relationships.push({ id, type: rel.type, startId: rel.startId, endId: rel.endId, properties: rel.properties });
+  }));
+
+  if (problems.length > 0) throw importError(problems);
+  if (nodes.size === 0) throw importError([{ file: files.map(file => file.name).join(', '), line: null, message: 'No nodes found' }]);
+
+  return {
+    name: files.map(file => file.name).join(' + '),
+    graph: normalizeGraph({
+      nodes: [...nodes.values()].map(({ id, labels, properties }) => ({ id, labels, properties })),
+      relationships
+    })
+  };
+};
@@ -0,0 +1,124 @@
+import { importGraphFiles } from './importGraph';
+
+const file = (name, text) => ({ name, text: async () => text });
+
+// Problems of a failed import, as "file line: message" pairs
+const problemsOf = async (files) => {
+  try {
+    await importGraphFiles(files);
+  } catch (error) {
+    expect(error.name).toBe('ImportError');
+    return error.problems;
+  }
+  throw new Error('Import did not fail');
+};
+
+test('reads neo4j-admin headers and keeps id spaces apart', async () => {
+  const { graph } = await importGraphFiles([
+    file('people.csv', 'personId:ID(Person),name,age:int,:LABEL\n1,Ada,36,Person\n'),
+    file('papers.csv', 'paperId:ID(Paper),title,:LABEL\n1,Notes,Paper;Draft\n'),
+    file('wrote.csv', ':START_ID(Person),:END_ID(Paper),:TYPE,year:int\n1,1,WROTE,1843\n')
+  ]);
+
+  expect(graph.nodes).toEqual(expect.arrayContaining([
+    expect.objectContaining({ id: 'Person:1', labels: ['Person'], properties: { personId: 1, name: 'Ada', age: 36 } }),
+    expect.objectContaining({ id: 'Paper:1', labels: ['Paper', 'Draft'] })
+  ]));
+  expect(graph.relationships).toEqual([
+    expect.objectContaining({ type: 'WROTE', startId: 'Person:1', endId: 'Paper:1', properties: { year: 1843 } })
+  ]);
+});
+
+test('reports values that do not match their declared type', async () => {
+  expect(await problemsOf([file('people.csv', 'id:ID,age:int\n1,old\n')])).toEqual([
+    { file: 'people.csv', line: 2, message: '"old" is not a valid int for age' }
+  ]);
+});
+
+test('counts lines of quoted line breaks when reporting CSV problems', async () => {
+  const problems = await problemsOf([file('nodes.csv', 'id,name\n1,"two\nlines"\n2\n')]);
+  expect(problems).toEqual([{ file: 'nodes.csv', line: 4, message: '1 fields, expected 2 as in the header' }]);
+});
+
+test('reports the line of a JSON syntax error', async () => {
+  const text = '{\n  "nodes": [\n    { "id": "a", "labels": [] }\n    { "id": "b" }\n  ]\n}\n';
+  const [problem] = await problemsOf([file('graph.json', text)]);
+  expect(problem.file).toBe('graph.json');
+  expect(problem.line).toBe(4);
+  expect(problem.message).toMatch(/^Not valid JSON/);
+});
+
+test('reports the line of each bad node and relationship in JSON', async () => {
+  const text = [
+    '{',
+    '  "nodes": [',
+    '    { "id": 1, "label": "Paper" },',
+    '    { "labels": ["Paper"] },',
+    '    { "id": "1" }',
+    '  ],',
+    '  "links": [',
+    '    { "source": 1, "target": 2 }',
+    '  ]',
+    '}'
+  ].join('\n');
+  expect(await problemsOf([file('graph.json', text)])).toEqual([
+    { file: 'graph.json', line: 4, message: 'Node has no id' },
+    { file: 'graph.json', line: 5, message: 'Duplicate node id "1" (first defined in graph.json line 3)' },
+    { file: 'graph.json', line: 8, message: 'Relationship refers to unknown node "2"' }
+  ]);
+});
+
+test('reads JSON with numeric ids and d3-style links', async () => {
+  const { graph } = await importGraphFiles([file('graph.json', JSON.stringify({
+    nodes: [{ id: 0, label: 'Paper' }, { id: 1 }],
+    links: [{ source: 0, target: 1 }]
+  }))]);
+  expect(graph.nodes[0]).toEqual({ id: '0', labels: ['Paper'], properties: {} });
+  expect(graph.relationships).toEqual([
+    expect.objectContaining({ type: 'RELATED_TO', startId: '0', endId: '1' })
+  ]);
+});
+
+test('reports node ids defined in more than one file', async () => {
+  const problems = await problemsOf([
+    file('a.csv', 'id,name\nx,First\n'),
+    file('b.csv', 'id,name\ny,Other\nx,Second\n')
+  ]);
+  expect(problems).toEqual([
+    { file: 'b.csv', line: 3, message: 'Duplicate node id "x" (first defined in a.csv line 2)' }
+  ]);
+});
+
+test('reports relationships to unknown nodes', async () => {
+  const problems = await problemsOf([
+    file('nodes.csv', 'id\na\n'),
+    file('rels.csv', 'source,target\na,b\n')
+  ]);
+  expect(problems).toEqual([
+    { file: 'rels.csv', line: 2, message: 'Relationship refers to unknown node "b"' }
+  ]);
+});
+
+test('makes nodes from the ends of relationship-only files', async () => {
+  const { graph } = await importGraphFiles([file('edges.csv', 'from,to,type\na,b,KNOWS\nb,c,\n')]);
+  expect(graph.nodes.map(node => node.id).sort()).toEqual(['a', 'b', 'c']);
+  expect(graph.relationships.map(rel => rel.type)).toEqual(['KNOWS', 'RELATED_TO']);
+});
+
+test('reads GraphML with keyed data and the line of each problem', async () => {
+  const text = [
+    '<?xml version="1.0"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="n" for="node" attr.name="name" attr.type="string"/>',
+    '  <graph edgedefault="directed">',
+    '    <node id="a"><data key="n">Ada</data></node>',
+    '    <node id="b"/>',
+    '    <edge source="a" target="b"/>',
+    '    <edge source="a" target="z"/>',
+    '  </graph>',
+    '</graphml>'
+  ].join('\n');
+  expect(await problemsOf([file('graph.graphml', text)])).toEqual([
+    expect.objectContaining({ file: 'graph.graphml', line: 8 })
+  ]);
+});
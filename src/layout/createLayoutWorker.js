@@ -0,0 +1,3 @@
+// The layout worker lives behind this module so tests can mock it: Jest
+// cannot parse the import.meta that webpack needs to bundle it
+export const createLayoutWorker = () => new Worker(new URL('./forceLayout.worker.js', import.meta.url));
@@ -0,0 +1,210 @@
+/* eslint-disable no-restricted-globals */
+// d3-force-3d rather than the d3-force bundled with d3: same API, but d3's
+// simulation only has x and y, and stars need a z axis (forceZ, and
+// numDimensions 3 in forceSimulation)
+import {
+  forceSimulation,
+  forceLink,
+  forceManyBody,
+  forceCenter,
+  forceX,
+  forceY,
+  forceZ
+} from 'd3-force-3d';
+
+// Minimum time between position updates sent to the main thread
+const FRAME_INTERVAL = 16;
+
+// Alpha used to wake the simulation up after a node is pinned or moved
+const REHEAT_ALPHA = 0.3;
+
+let simulation = null;
+let nodes = [];
+let nodeIndex = new Map();
+let generation = 0;
+let timer = null;
+// Galaxy of each node id ({ groups, spacing, pull }) while stars are grouped
+// into galaxies; null otherwise
+let galaxies = null;
+
+// Copy node coordinates into a flat buffer the main thread can read
+const postPositions = () => {
+  const positions = new Float32Array(nodes.length * 3);
+  nodes.forEach((node, i) => {
+    positions[i * 3] = node.x;
+    positions[i * 3 + 1] = node.y;
+    positions[i * 3 + 2] = node.z;
+  });
+  self.postMessage(
+    { type: 'tick', generation, positions, alpha: simulation.alpha() },
+    [positions.buffer]
+  );
+};
+
+// Advance the simulation one tick at a time so the scene settles visibly
+const step = () => {
+  timer = null;
+  if (!simulation) return;
+
+  simulation.tick();
+  postPositions();
+
+  if (simulation.alpha() > simulation.alphaMin()) {
+    timer = setTimeout(step, FRAME_INTERVAL);
+  } else {
+    self.postMessage({ type: 'end', generation });
+  }
+};
+
+const run = () => {
+  if (timer === null) {
+    timer = setTimeout(step, 0);
+  }
+};
+
+const reheat = (alpha = REHEAT_ALPHA) => {
+  simulation.alpha(Math.max(simulation.alpha(), alpha));
+  run();
+};
+
+// Evenly spread point i of count on a sphere (Fibonacci lattice)
+const spherePoint = (i, count, radius) => {
+  if (count === 1) return [0, 0, 0];
+  const y = 1 - ((i + 0.5) * 2) / count;
+  const ring = Math.sqrt(1 - y * y);
+  const theta = i * Math.PI * (3 - Math.sqrt(5));
+  return [Math.cos(theta) * ring * radius, y * radius, Math.sin(theta) * ring * radius];
+};
+
+// Pull each star towards the centre of its galaxy. Centres sit on a sphere
+// that grows with the number of galaxies, the largest galaxy first.
+const applyGalaxies = () => {
+  if (!galaxies) {
+    simulation.force('galaxyX', null).force('galaxyY', null).force('galaxyZ', null);
+    return;
+  }
+  const sizes = new Map();
+  nodes.forEach(node => {
+    node.group = galaxies.groups[node.id] ?? null;
+    if (node.group !== null) sizes.set(node.group, (sizes.get(node.group) || 0) + 1);
+  });
+  const ordered = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a));
+  const radius = galaxies.spacing * Math.cbrt(ordered.length);
+  const centers = new Map(ordered.map((group, i) => [group, spherePoint(i, ordered.length, radius)]));
+
+  const target = (axis) => (node) => (node.group === null ? 0 : centers.get(node.group)[axis]);
+  const strength = (node) => (node.group === null ? 0 : galaxies.pull);
+  simulation
+    .force('galaxyX', forceX(target(0)).strength(strength))
+    .force('galaxyY', forceY(target(1)).strength(strength))
+    .force('galaxyZ', forceZ(target(2)).strength(strength));
+};
+
+const init = (data) => {
+  generation = data.generation;
+  // Pinned and anchored nodes are fixed; anchors keep existing stars still
+  // while newly added ones settle around them
+  nodes = data.nodes.map(node => {
+    const fixed = node.pinned || node.anchored;
+    return {
+      id: node.id,
+      x: node.x,
+      y: node.y,
+      z: node.z,
+      pinned: node.pinned,
+      anchored: node.anchored,
+      fx: fixed ? node.x : undefined,
+      fy: fixed ? node.y : undefined,
+      fz: fixed ? node.z : undefined
+    };
+  });
+  nodeIndex = new Map(nodes.map((node, i) => [node.id, i]));
+
+  // Links pointing at nodes outside the loaded set are ignored
+  const links = data.links
+    .filter(link => nodeIndex.has(link.source) && nodeIndex.has(link.target))
+    .map(link => ({ source: link.source, target: link.target }));
+
+  if (simulation) simulation.stop();
+  simulation = forceSimulation(nodes, 3)
+    .force('link', forceLink(links).id(node => node.id).distance(30))
+    .force('charge', forceManyBody().strength(-60).distanceMax(500))
+    .force('center', forceCenter(0, 0, 0))
+    .stop();
+  applyGalaxies();
+
+  simulation.alpha(data.alpha ?? 1);
+  postPositions();
+  if (simulation.alpha() > simulation.alphaMin()) {
+    run();
+  } else {
+    // Nothing to settle: every star already has its place
+    self.postMessage({ type: 'end', generation, idle: true });
+  }
+};
+
+const pin = ({ id, position }) => {
+  const node = nodes[nodeIndex.get(id)];
+  if (!node) return;
+  node.pinned = true;
+  [node.fx, node.fy, node.fz] = position;
+  [node.x, node.y, node.z] = position;
+  reheat();
+};
+
+// Released stars that are anchored stay where they are now
+const unpin = ({ id }) => {
+  const node = nodes[nodeIndex.get(id)];
+  if (!node) return;
+  node.pinned = false;
+  if (!node.anchored) node.fx = node.fy = node.fz = undefined;
+  reheat();
+};
+
+// anchors frees anchored stars too, for a layout that starts over
+const unpinAll = ({ alpha, anchors }) => {
+  nodes.forEach(node => {
+    node.pinned = false;
+    if (anchors) node.anchored = false;
+    if (!node.anchored) node.fx = node.fy = node.fz = undefined;
+  });
+  reheat(alpha);
+};
+
+// Regroup: every star that is not pinned is free to move to its new galaxy
+const setGalaxies = (data) => {
+  galaxies = data.groups ? { groups: data.groups, spacing: data.spacing, pull: data.pull } : null;
+  if (!simulation) return;
+  nodes.forEach(node => {
+    node.anchored = false;
+    if (!node.pinned) node.fx = node.fy = node.fz = undefined;
+  });
+  applyGalaxies();
+  reheat(data.alpha);
+};
+
+self.onmessage = (event) => {
+  const data = event.data;
+  switch (data.type) {
+    case 'init':
+      init(data);
+      break;
+    case 'pin':
+      pin(data);
+      break;
+    case 'unpin':
+      unpin(data);
+      break;
+    case 'unpin-all':
+      unpinAll(data);
+      break;
+    case 'galaxies':
+      setGalaxies(data);
+      break;
+    case 'reheat':
+      reheat(data.alpha);
+      break;
+    default:
+      console.warn('Unknown layout message:', data.type);
+  }
+};
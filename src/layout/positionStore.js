@@ -0,0 +1,57 @@
+import { seededRandom } from '../utils/random';
+import { layoutConfig } from '../config/layout.config';
+import { loadJSON, saveJSON, removeKey } from '../utils/storage';
+
+const STORAGE_PREFIX = 'starfield.layout.';
+
+// Deterministic starting point for a node, uniformly inside a sphere
+export const seededPosition = (id, radius = layoutConfig.seedRadius) => {
+  const random = seededRandom(`position:${id}`);
+  const r = radius * Math.cbrt(random());
+  const theta = random() * Math.PI * 2;
+  const phi = Math.acos(random() * 2 - 1);
+  return [
+    r * Math.sin(phi) * Math.cos(theta),
+    r * Math.sin(phi) * Math.sin(theta),
+    r * Math.cos(phi)
+  ];
+};
+
+// Position stored on the node itself, if it carries a valid one
+export const propertyPosition = (node) => {
+  const value = node.properties?.[layoutConfig.positionProperty];
+  if (Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)) {
+    return value;
+  }
+  return null;
+};
+
+// Read a saved layout ({ positions: { id: [x, y, z] }, pinned: [id] }) from the browser
+export const loadSavedLayout = (storageKey) => {
+  const saved = loadJSON(STORAGE_PREFIX + storageKey, {});
+  return { positions: saved.positions || {}, pinned: saved.pinned || [] };
+};
+
+// Save the current layout, merged over what was stored before so nodes
+// that are not loaded right now keep their remembered place
+export const saveLayout = (storageKey, layout) => {
+  const saved = loadSavedLayout(storageKey);
+  const positions = saved.positions;
+  layout.indexById.forEach((index, id) => {
+    positions[id] = [
+      Math.round(layout.positions[index * 3] * 10) / 10,
+      Math.round(layout.positions[index * 3 + 1] * 10) / 10,
+      Math.round(layout.positions[index * 3 + 2] * 10) / 10
+    ];
+  });
+  const pinned = [
+    ...saved.pinned.filter(id => !layout.indexById.has(id)),
+    ...layout.pinned
+  ];
+
+  saveJSON(STORAGE_PREFIX + storageKey, { positions, pinned });
+};
+
+export const clearSavedLayout = (storageKey) => {
+  removeKey(STORAGE_PREFIX + storageKey);
+};
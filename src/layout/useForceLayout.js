@@ -0,0 +1,235 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { layoutConfig } from '../config/layout.config';
+import { seededRandom } from '../utils/random';
+import {
+  seededPosition,
+  propertyPosition,
+  loadSavedLayout,
+  saveLayout,
+  clearSavedLayout
+} from './positionStore';
+import { createLayoutWorker } from './createLayoutWorker';
+
+// Place a new node at the centroid of its already-placed neighbours,
+// with a small deterministic offset so siblings do not overlap
+const placeNearNeighbours = (id, neighbourIds, known) => {
+  const placed = (neighbourIds || []).map(neighbourId => known.get(neighbourId)).filter(Boolean);
+  if (placed.length === 0) return null;
+
+  const random = seededRandom(`jitter:${id}`);
+  return [0, 1, 2].map(axis => {
+    const mean = placed.reduce((sum, position) => sum + position[axis], 0) / placed.length;
+    return mean + (random() - 0.5) * 2 * layoutConfig.neighbourJitter;
+  });
+};
+
+// Runs the 3D force simulation in a Web Worker and exposes the latest positions
+// through a mutable store, so the scene can read them every frame without
+// re-rendering React components on each tick.
+//
+// Starting positions are deterministic: a node goes where it was last seen in
+// this session, else where the saved layout (or its position property) puts
+// it, else next to its placed neighbours, else at a point seeded by its id.
+// Settled layouts are saved under storageKey.
+//
+// groups, when given, maps node ids to a galaxy; stars of a galaxy are drawn
+// together around its own centre.
+//
+// Stars whose place is already settled (saved, stored on the node, or shown
+// in a layout that finished settling or started out settled) are anchored so newcomers do not push
+// them around. Stars from a layout that is still settling, such as earlier
+// batches of a graph that is loading, keep moving freely.
+export const useForceLayout = (nodes, relationships, { storageKey, onSettled, groups, galaxySpacing, galaxyPull } = {}) => {
+  const layoutRef = useRef(null);
+  if (layoutRef.current === null) {
+    layoutRef.current = {
+      positions: new Float32Array(0),
+      indexById: new Map(),
+      pinned: new Set(),
+      alpha: 0,
+      settled: false,
+      version: 0
+    };
+  }
+  const layout = layoutRef.current;
+
+  const workerRef = useRef(null);
+  const generationRef = useRef(0);
+  const storageKeyRef = useRef(storageKey);
+  const onSettledRef = useRef(onSettled);
+  storageKeyRef.current = storageKey;
+  onSettledRef.current = onSettled;
+
+  useEffect(() => {
+    const worker = createLayoutWorker();
+    worker.onmessage = (event) => {
+      const { type, generation, positions, alpha, idle } = event.data;
+      // Ignore messages computed for a node set that has since been replaced
+      if (generation !== generationRef.current) return;
+
+      if (type === 'tick') {
+        layout.positions = positions;
+        layout.alpha = alpha;
+        layout.settled = false;
+        layout.version += 1;
+      } else if (type === 'end') {
+        layout.settled = true;
+        // A layout that started out settled has nothing new to save
+        if (idle) return;
+        if (storageKeyRef.current) {
+          saveLayout(storageKeyRef.current, layout);
+        }
+        onSettledRef.current?.(layout);
+      }
+    };
+    worker.onerror = (error) => {
+      console.error('Force layout worker failed:', error);
+    };
+    workerRef.current = worker;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, [layout]);
+
+  useEffect(() => {
+    const previousPositions = layout.positions;
+    const previousIndex = layout.indexById;
+    const saved = storageKeyRef.current
+      ? loadSavedLayout(storageKeyRef.current)
+      : { positions: {}, pinned: [] };
+
+    const indexById = new Map(nodes.map((node, index) => [node.id, index]));
+    const positions = new Float32Array(nodes.length * 3);
+
+    // Positions we already know, in order of preference, and which of them
+    // are settled enough to anchor
+    const known = new Map();
+    const anchored = new Set();
+    nodes.forEach(node => {
+      const previous = previousIndex.get(node.id);
+      if (previous !== undefined) {
+        known.set(node.id, Array.from(previousPositions.subarray(previous * 3, previous * 3 + 3)));
+        if (layout.settled || saved.positions[node.id]) anchored.add(node.id);
+      } else if (saved.positions[node.id]) {
+        known.set(node.id, saved.positions[node.id]);
+        anchored.add(node.id);
+      } else if (propertyPosition(node)) {
+        known.set(node.id, propertyPosition(node));
+        anchored.add(node.id);
+      }
+    });
+
+    const neighbours = new Map();
+    relationships.forEach(rel => {
+      if (!neighbours.has(rel.startId)) neighbours.set(rel.startId, []);
+      if (!neighbours.has(rel.endId)) neighbours.set(rel.endId, []);
+      neighbours.get(rel.startId).push(rel.endId);
+      neighbours.get(rel.endId).push(rel.startId);
+    });
+
+    const pinned = new Set([...layout.pinned, ...saved.pinned].filter(id => indexById.has(id)));
+    const freeCount = nodes.length - anchored.size;
+
+    // Known stars stay where they are while new ones settle around them.
+    // A new star placed next to its neighbours can place the ones after it,
+    // so stars found several hops out still start near where they came from.
+    const placed = new Map(known);
+    const workerNodes = nodes.map((node, index) => {
+      let position = known.get(node.id);
+      if (!position) {
+        position = placeNearNeighbours(node.id, neighbours.get(node.id), placed);
+        if (position) placed.set(node.id, position);
+        else position = seededPosition(node.id);
+      }
+      positions.set(position, index * 3);
+      return {
+        id: node.id,
+        x: position[0],
+        y: position[1],
+        z: position[2],
+        pinned: pinned.has(node.id),
+        anchored: anchored.has(node.id)
+      };
+    });
+
+    // Settle fully for a fresh layout, keep going for one still settling,
+    // gently when only adding nodes, and not at all when every star
+    // already has its place
+    let alpha = 0;
+    if (known.size === 0) {
+      alpha = 1;
+    } else if (anchored.size === 0) {
+      alpha = Math.max(layout.alpha, 0.5);
+    } else if (freeCount > 0) {
+      alpha = 0.5;
+    }
+
+    layout.pinned = pinned;
+    layout.indexById = indexById;
+    layout.positions = positions;
+    layout.version += 1;
+
+    generationRef.current += 1;
+    workerRef.current?.postMessage({
+      type: 'init',
+      generation: generationRef.current,
+      nodes: workerNodes,
+      links: relationships.map(rel => ({ source: rel.startId, target: rel.endId })),
+      alpha
+    });
+  }, [layout, nodes, relationships]);
+
+  // Regroup the stars whenever the galaxies change
+  useEffect(() => {
+    workerRef.current?.postMessage({
+      type: 'galaxies',
+      groups: groups ? Object.fromEntries(groups) : null,
+      spacing: galaxySpacing,
+      pull: galaxyPull,
+      alpha: groups ? 0.8 : 0.3
+    });
+  }, [groups, galaxySpacing, galaxyPull]);
+
+  // Fix a node at a position; it stays there until released
+  const pin = useCallback((id, position) => {
+    const index = layout.indexById.get(id);
+    if (index === undefined) return;
+    layout.positions.set(position, index * 3);
+    layout.pinned.add(id);
+    layout.version += 1;
+    workerRef.current?.postMessage({ type: 'pin', id, position });
+  }, [layout]);
+
+  const unpin = useCallback((id) => {
+    layout.pinned.delete(id);
+    workerRef.current?.postMessage({ type: 'unpin', id });
+  }, [layout]);
+
+  const unpinAll = useCallback(() => {
+    layout.pinned.clear();
+    workerRef.current?.postMessage({ type: 'unpin-all' });
+  }, [layout]);
+
+  // Forget the saved layout and let every star settle again
+  const resetLayout = useCallback(() => {
+    if (storageKeyRef.current) {
+      clearSavedLayout(storageKeyRef.current);
+    }
+    layout.pinned.clear();
+    workerRef.current?.postMessage({ type: 'unpin-all', alpha: 1, anchors: true });
+  }, [layout]);
+
+  return { layout, pin, unpin, unpinAll, resetLayout };
+};
+
+// Read a node's current position from the layout store
+export const getNodePosition = (layout, id, target = []) => {
+  const index = layout.indexById.get(id);
+  if (index === undefined) return null;
+  target[0] = layout.positions[index * 3];
+  target[1] = layout.positions[index * 3 + 1];
+  target[2] = layout.positions[index * 3 + 2];
+  return target;
+};
@@ -0,0 +1,115 @@
+import { seededRandom } from '../utils/random';
+
+// Community detection with the Louvain method over the adjacency built by
+// buildAdjacency (graphMetrics.js). Parallel relationships add weight.
+// Nodes are visited in a seeded order, so the same graph always gives the
+// same communities.
+
+// Sweeps over all nodes per level, in case moves keep trading places
+const MAX_SWEEPS = 50;
+
+// Move nodes between communities while modularity improves; returns the
+// community index of every node and whether anything moved
+const localMoves = (neighbours, random) => {
+  const count = neighbours.length;
+  const strength = Float64Array.from(neighbours, weights => {
+    let sum = 0;
+    weights.forEach(weight => {
+      sum += weight;
+    });
+    return sum;
+  });
+  const total = strength.reduce((sum, value) => sum + value, 0);
+
+  const community = Int32Array.from({ length: count }, (_, i) => i);
+  const communityStrength = Float64Array.from(strength);
+  if (total === 0) return { community, moved: false };
+
+  const order = Array.from({ length: count }, (_, i) => i);
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  let moved = false;
+  let improved = true;
+  for (let sweep = 0; improved && sweep < MAX_SWEEPS; sweep++) {
+    improved = false;
+    for (const node of order) {
+      const current = community[node];
+      communityStrength[current] -= strength[node];
+
+      // Weight from this node into each neighbouring community
+      const links = new Map();
+      neighbours[node].forEach((weight, other) => {
+        if (other === node) return;
+        links.set(community[other], (links.get(community[other]) || 0) + weight);
+      });
+
+      let best = current;
+      let bestGain = (links.get(current) || 0) - (communityStrength[current] * strength[node]) / total;
+      links.forEach((weight, candidate) => {
+        const gain = weight - (communityStrength[candidate] * strength[node]) / total;
+        if (gain > bestGain + 1e-12) {
+          best = candidate;
+          bestGain = gain;
+        }
+      });
+
+      communityStrength[best] += strength[node];
+      if (best !== current) {
+        community[node] = best;
+        improved = true;
+        moved = true;
+      }
+    }
+  }
+  return { community, moved };
+};
+
+// Collapse each community into one node; weights inside it become a self-loop
+const aggregate = (neighbours, community) => {
+  const renumber = new Map();
+  community.forEach(c => {
+    if (!renumber.has(c)) renumber.set(c, renumber.size);
+  });
+  const merged = Array.from({ length: renumber.size }, () => new Map());
+  neighbours.forEach((weights, node) => {
+    const from = renumber.get(community[node]);
+    weights.forEach((weight, other) => {
+      const to = renumber.get(community[other]);
+      merged[from].set(to, (merged[from].get(to) || 0) + weight);
+    });
+  });
+  return { merged, renumbered: Int32Array.from(community, c => renumber.get(c)) };
+};
+
+// Community index for every node; 0 is the largest community
+export const louvain = ({ count, offsets, targets }, { maxLevels = 10 } = {}) => {
+  const random = seededRandom('louvain');
+  let neighbours = Array.from({ length: count }, (_, i) => {
+    const weights = new Map();
+    for (let k = offsets[i]; k < offsets[i + 1]; k++) {
+      weights.set(targets[k], (weights.get(targets[k]) || 0) + 1);
+    }
+    return weights;
+  });
+
+  // Community of each original node at the current level
+  let membership = Int32Array.from({ length: count }, (_, i) => i);
+  for (let level = 0; level < maxLevels; level++) {
+    const { community, moved } = localMoves(neighbours, random);
+    if (!moved) break;
+    const { merged, renumbered } = aggregate(neighbours, community);
+    membership = membership.map(node => renumbered[node]);
+    neighbours = merged;
+  }
+
+  // Number communities by size, largest first
+  const sizes = new Map();
+  membership.forEach(c => sizes.set(c, (sizes.get(c) || 0) + 1));
+  const rank = new Map([...sizes.keys()]
+    .sort((a, b) => sizes.get(b) - sizes.get(a) || a - b)
+    .map((c, index) => [c, index]));
+  return Int32Array.from(membership, c => rank.get(c));
+};
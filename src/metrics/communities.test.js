@@ -0,0 +1,20 @@
+import { buildAdjacency } from './graphMetrics';
+import { louvain } from './communities';
+
+// Two cliques of four joined by a single relationship, plus a lone star
+const clique = (nodes) => nodes.flatMap((a, i) => nodes.slice(i + 1).flatMap(b => [a, b]));
+const edges = Int32Array.from([...clique([0, 1, 2, 3]), ...clique([4, 5, 6, 7]), 3, 4]);
+
+test('puts each clique in its own community', () => {
+  const community = louvain(buildAdjacency(9, edges));
+  expect(new Set(community.slice(0, 4)).size).toBe(1);
+  expect(new Set(community.slice(4, 8)).size).toBe(1);
+  expect(community[0]).not.toBe(community[4]);
+  // The lone star is a community of its own, the smallest
+  expect(community[8]).toBe(2);
+});
+
+test('gives the same communities every time', () => {
+  const adjacency = buildAdjacency(9, edges);
+  expect([...louvain(adjacency)]).toEqual([...louvain(adjacency)]);
+});
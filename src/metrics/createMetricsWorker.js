@@ -0,0 +1,3 @@
+// The metrics worker lives behind this module so tests can mock it: Jest
+// cannot parse the import.meta that webpack needs to bundle it
+export const createMetricsWorker = () => new Worker(new URL('./metrics.worker.js', import.meta.url));
@@ -0,0 +1,132 @@
+import { seededRandom } from '../utils/random';
+
+// Centrality measures over the loaded graph. Nodes are addressed by index and
+// relationships given as a flat [start0, end0, start1, end1, ...] array of
+// indexes. Relationships count in both directions, the same as the GDS
+// projection in the Neo4j service.
+
+// Compressed adjacency lists: the neighbours of node i are
+// targets[offsets[i]] .. targets[offsets[i + 1] - 1]. Self-loops are left out.
+export const buildAdjacency = (count, edges) => {
+  const offsets = new Int32Array(count + 1);
+  for (let i = 0; i < edges.length; i += 2) {
+    if (edges[i] === edges[i + 1]) continue;
+    offsets[edges[i] + 1] += 1;
+    offsets[edges[i + 1] + 1] += 1;
+  }
+  for (let i = 0; i < count; i++) offsets[i + 1] += offsets[i];
+
+  const targets = new Int32Array(offsets[count]);
+  const fill = offsets.slice(0, count);
+  for (let i = 0; i < edges.length; i += 2) {
+    const start = edges[i];
+    const end = edges[i + 1];
+    if (start === end) continue;
+    targets[fill[start]++] = end;
+    targets[fill[end]++] = start;
+  }
+  return { count, offsets, targets };
+};
+
+// Relationships touching each node; a self-loop counts once
+export const degree = (count, edges) => {
+  const result = new Float64Array(count);
+  for (let i = 0; i < edges.length; i += 2) {
+    result[edges[i]] += 1;
+    if (edges[i + 1] !== edges[i]) result[edges[i + 1]] += 1;
+  }
+  return result;
+};
+
+// Power iteration; rank of isolated nodes is spread evenly over the graph
+export const pageRank = ({ count, offsets, targets }, { damping, maxIterations, tolerance }) => {
+  let rank = new Float64Array(count).fill(1 / count);
+  let next = new Float64Array(count);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let dangling = 0;
+    for (let i = 0; i < count; i++) {
+      if (offsets[i + 1] === offsets[i]) dangling += rank[i];
+    }
+    const base = (1 - damping) / count + (damping * dangling) / count;
+    next.fill(base);
+    for (let i = 0; i < count; i++) {
+      const neighbours = offsets[i + 1] - offsets[i];
+      if (neighbours === 0) continue;
+      const share = (damping * rank[i]) / neighbours;
+      for (let k = offsets[i]; k < offsets[i + 1]; k++) next[targets[k]] += share;
+    }
+
+    let change = 0;
+    for (let i = 0; i < count; i++) change += Math.abs(next[i] - rank[i]);
+    [rank, next] = [next, rank];
+    if (change < tolerance) break;
+  }
+  return rank;
+};
+
+// Brandes' algorithm for unweighted graphs. With samples set, only that many
+// seeded source nodes are used and the result is scaled up to estimate the
+// full value.
+export const betweenness = ({ count, offsets, targets }, { samples } = {}) => {
+  const result = new Float64Array(count);
+  if (count === 0) return result;
+
+  let sources = null;
+  if (samples && samples < count) {
+    const random = seededRandom('betweenness');
+    const chosen = new Set();
+    while (chosen.size < samples) chosen.add(Math.floor(random() * count));
+    sources = [...chosen];
+  }
+  const sourceCount = sources ? sources.length : count;
+
+  const sigma = new Float64Array(count);
+  const distance = new Int32Array(count);
+  const delta = new Float64Array(count);
+  const stack = new Int32Array(count);
+  const queue = new Int32Array(count);
+
+  for (let s = 0; s < sourceCount; s++) {
+    const source = sources ? sources[s] : s;
+    sigma.fill(0);
+    distance.fill(-1);
+    delta.fill(0);
+    sigma[source] = 1;
+    distance[source] = 0;
+
+    let head = 0;
+    let tail = 0;
+    let top = 0;
+    queue[tail++] = source;
+    while (head < tail) {
+      const v = queue[head++];
+      stack[top++] = v;
+      for (let k = offsets[v]; k < offsets[v + 1]; k++) {
+        const w = targets[k];
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          queue[tail++] = w;
+        }
+        if (distance[w] === distance[v] + 1) sigma[w] += sigma[v];
+      }
+    }
+
+    // Walk back from the farthest nodes, handing dependency to predecessors
+    while (top > 0) {
+      const w = stack[--top];
+      for (let k = offsets[w]; k < offsets[w + 1]; k++) {
+        const v = targets[k];
+        if (distance[v] === distance[w] - 1) {
+          delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+        }
+      }
+      if (w !== source) result[w] += delta[w];
+    }
+  }
+
+  // Every pair is counted from both ends in an undirected graph
+  const scale = (count / sourceCount) / 2;
+  for (let i = 0; i < count; i++) result[i] *= scale;
+  return result;
+};
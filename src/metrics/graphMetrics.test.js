@@ -0,0 +1,48 @@
+import { betweenness, buildAdjacency, degree, pageRank } from './graphMetrics';
+
+const PAGE_RANK = { damping: 0.85, maxIterations: 100, tolerance: 1e-9 };
+
+// A path 0 - 1 - 2 - 3 with a self-loop on 3
+const edges = Int32Array.from([0, 1, 1, 2, 2, 3, 3, 3]);
+
+test('builds adjacency in both directions without self-loops', () => {
+  const { offsets, targets } = buildAdjacency(4, edges);
+  const neighboursOf = (i) => [...targets.slice(offsets[i], offsets[i + 1])].sort();
+  expect([0, 1, 2, 3].map(neighboursOf)).toEqual([[1], [0, 2], [1, 3], [2]]);
+});
+
+test('counts a self-loop once towards degree', () => {
+  expect([...degree(4, edges)]).toEqual([1, 2, 2, 2]);
+});
+
+test('gives PageRank that sums to one and favours the middle of a path', () => {
+  const rank = pageRank(buildAdjacency(4, edges), PAGE_RANK);
+  expect(rank.reduce((sum, value) => sum + value, 0)).toBeCloseTo(1);
+  expect(rank[1]).toBeGreaterThan(rank[0]);
+  expect(rank[1]).toBeCloseTo(rank[2]);
+});
+
+test('spreads the rank of isolated stars evenly', () => {
+  const rank = pageRank(buildAdjacency(3, Int32Array.from([0, 1])), PAGE_RANK);
+  expect(rank.reduce((sum, value) => sum + value, 0)).toBeCloseTo(1);
+  expect(rank[0]).toBeCloseTo(rank[1]);
+});
+
+test('finds betweenness only on stars that routes pass through', () => {
+  const result = betweenness(buildAdjacency(4, edges));
+  expect(result[0]).toBe(0);
+  expect(result[3]).toBe(0);
+  expect(result[1]).toBeGreaterThan(0);
+  expect(result[1]).toBeCloseTo(result[2]);
+});
+
+test('estimates betweenness from samples on the same scale', () => {
+  // A star: every route between two leaves passes the centre
+  const star = Int32Array.from([0, 1, 0, 2, 0, 3, 0, 4, 0, 5, 0, 6]);
+  const adjacency = buildAdjacency(7, star);
+  const exact = betweenness(adjacency);
+  const sampled = betweenness(adjacency, { samples: 6 });
+  expect(exact.slice(1).every(value => value === 0)).toBe(true);
+  expect(sampled[0]).toBeGreaterThan(exact[0] / 2);
+  expect(sampled[0]).toBeLessThan(exact[0] * 2);
+});
@@ -0,0 +1,78 @@
+import {
+  color as parseColor,
+  interpolateCool,
+  interpolateInferno,
+  interpolatePlasma,
+  interpolateTurbo,
+  interpolateViridis,
+  interpolateWarm
+} from 'd3';
+
+// Visual channels a value can drive. Numeric channels map the lowest value to
+// min and the highest to max; size and glow scale the label's own setting,
+// pulse sets the pulse rate outright.
+export const CHANNELS = [
+  { key: 'size', name: 'Size', min: 0.5, max: 3, relative: true },
+  { key: 'glow', name: 'Glow', min: 0.2, max: 2.5, relative: true },
+  { key: 'pulse', name: 'Pulse rate', min: 0.2, max: 3, relative: false },
+  { key: 'color', name: 'Color' }
+];
+
+export const COLOR_RAMPS = {
+  viridis: interpolateViridis,
+  plasma: interpolatePlasma,
+  inferno: interpolateInferno,
+  turbo: interpolateTurbo,
+  cool: interpolateCool,
+  warm: interpolateWarm
+};
+
+export const DEFAULT_RAMP = 'viridis';
+
+// Binding keys name what drives a channel: 'metric:<name>' or 'property:<name>'
+export const metricKey = (name) => `metric:${name}`;
+export const propertyKey = (name) => `property:${name}`;
+
+// Property names that hold a number on at least one node
+export const numericPropertyNames = (nodes) => {
+  const names = new Set();
+  nodes.forEach(node => {
+    Object.entries(node.properties).forEach(([name, value]) => {
+      if (typeof value === 'number' && Number.isFinite(value)) names.add(name);
+    });
+  });
+  return [...names].sort();
+};
+
+// Lowest and highest of the finite values
+export const valueDomain = (values) => {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  return min <= max ? [min, max] : null;
+};
+
+// Position of a value within the domain, 0 to 1. The log scale spreads out
+// the low end of long-tailed values such as degree or betweenness.
+export const normalize = (value, [min, max], scale) => {
+  if (max === min) return 0.5;
+  if (scale === 'log') return Math.log1p(value - min) / Math.log1p(max - min);
+  return (value - min) / (max - min);
+};
+
+// Style of a star with one bound channel applied; t is the normalized value
+export const applyChannel = (style, channel, t, binding) => {
+  if (channel.key === 'color') {
+    const ramp = COLOR_RAMPS[binding.ramp] || COLOR_RAMPS[DEFAULT_RAMP];
+    // Some ramps return rgb() strings; label colors are hex
+    style.color = parseColor(ramp(t)).formatHex();
+    return style;
+  }
+  const amount = channel.min + (channel.max - channel.min) * t;
+  const base = channel.key === 'pulse' ? 1 : (style[channel.key] ?? 1);
+  style[channel.key] = channel.relative ? base * amount : amount;
+  return style;
+};
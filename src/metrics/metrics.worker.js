@@ -0,0 +1,37 @@
+/* eslint-disable no-restricted-globals */
+import { buildAdjacency, degree, pageRank, betweenness } from './graphMetrics';
+import { louvain } from './communities';
+
+// Computes centrality metrics or communities for one snapshot of the graph
+// off the main thread. Results are indexed like the node list the request
+// was built from.
+const computeMetrics = ({ count, edges, options }) => {
+  const adjacency = buildAdjacency(count, edges);
+  return {
+    degree: degree(count, edges),
+    pagerank: pageRank(adjacency, options.pageRank),
+    betweenness: betweenness(adjacency, { samples: options.betweennessSamples })
+  };
+};
+
+const computeCommunities = ({ count, edges }) => ({
+  community: louvain(buildAdjacency(count, edges))
+});
+
+const TASKS = {
+  metrics: computeMetrics,
+  communities: computeCommunities
+};
+
+self.onmessage = (event) => {
+  const { task = 'metrics', generation } = event.data;
+  try {
+    const result = TASKS[task](event.data);
+    self.postMessage(
+      { type: 'result', generation, metrics: result },
+      Object.values(result).map(values => values.buffer)
+    );
+  } catch (error) {
+    self.postMessage({ type: 'error', generation, message: error.message });
+  }
+};
@@ -0,0 +1,136 @@
+import { useEffect, useRef, useState } from 'react';
+import { dataSource } from '../services/dataSource';
+import { metricsConfig } from '../config/metrics.config';
+import { communityConfig } from '../config/community.config';
+import { colorForKey } from '../utils/colors';
+import { indexGraph } from './useGraphMetrics';
+import { createMetricsWorker } from './createMetricsWorker';
+
+// Group members by community, number communities by size (0 is the largest)
+// and summarise each one
+const summarise = (graph, communityOf) => {
+  const byCommunity = new Map();
+  graph.nodes.forEach(node => {
+    const key = communityOf(node.id);
+    if (key === undefined) return;
+    if (!byCommunity.has(key)) byCommunity.set(key, []);
+    byCommunity.get(key).push(node);
+  });
+
+  const list = [...byCommunity.values()]
+    .sort((a, b) => b.length - a.length)
+    .map((members, index) => {
+      const labelCounts = new Map();
+      members.forEach(node => node.labels.forEach(label => {
+        labelCounts.set(label, (labelCounts.get(label) || 0) + 1);
+      }));
+      return {
+        index,
+        size: members.length,
+        nodeIds: members.map(node => node.id),
+        topLabels: [...labelCounts.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, communityConfig.topLabels)
+          .map(([label]) => label),
+        color: colorForKey(`community:${index}`)
+      };
+    });
+
+  const membership = new Map();
+  list.forEach(community => community.nodeIds.forEach(id => membership.set(id, community.index)));
+  return { membership, list };
+};
+
+// Louvain communities of the loaded graph, recomputed a moment after it stops
+// changing: through Graph Data Science when the database has it, in a worker
+// otherwise. Nothing is computed while enabled is false.
+//
+// communities is null until the first result, then { membership (Map from
+// node id to community index), list: [{ index, size, nodeIds, topLabels,
+// color }], source }.
+export const useCommunities = (graph, { enabled }) => {
+  const [communities, setCommunities] = useState(null);
+  const [computing, setComputing] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const generationRef = useRef(0);
+  const pendingRef = useRef(null);
+
+  useEffect(() => {
+    const worker = createMetricsWorker();
+    worker.onmessage = (event) => {
+      const { type, generation, metrics: result, message } = event.data;
+      // Ignore results for a graph that has since changed
+      if (generation !== generationRef.current || !pendingRef.current) return;
+      const { graph: computedFor, indexById } = pendingRef.current;
+      pendingRef.current = null;
+      setComputing(false);
+      if (type === 'error') {
+        setError(message);
+        return;
+      }
+      setError(null);
+      setCommunities({
+        ...summarise(computedFor, id => result.community[indexById.get(id)]),
+        source: 'browser'
+      });
+    };
+    worker.onerror = (event) => {
+      console.error('Community worker failed:', event);
+    };
+    workerRef.current = worker;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) {
+      // Drop any result still being computed, so galaxies do not come back
+      generationRef.current += 1;
+      pendingRef.current = null;
+      setComputing(false);
+      setCommunities(null);
+      return undefined;
+    }
+    if (graph.nodes.length === 0) return undefined;
+
+    const timer = setTimeout(async () => {
+      generationRef.current += 1;
+      const generation = generationRef.current;
+      const { ids, edges } = indexGraph(graph);
+      setComputing(true);
+
+      if (metricsConfig.source !== 'client' && dataSource.computeCommunities) {
+        try {
+          if (await dataSource.hasGds()) {
+            const result = await dataSource.computeCommunities(ids);
+            if (generation !== generationRef.current) return;
+            setCommunities({ ...summarise(graph, id => result.get(id)), source: 'Neo4j GDS' });
+            setError(null);
+            setComputing(false);
+            return;
+          }
+        } catch (err) {
+          // Fall back to the browser below
+          console.warn('Detecting communities in the browser instead:', err.message);
+        }
+        if (generation !== generationRef.current) return;
+      }
+
+      pendingRef.current = { graph, indexById: new Map(ids.map((id, index) => [id, index])) };
+      workerRef.current?.postMessage({
+        task: 'communities',
+        generation,
+        count: ids.length,
+        edges
+      }, [edges.buffer]);
+    }, metricsConfig.debounce);
+
+    return () => clearTimeout(timer);
+  }, [graph, enabled]);
+
+  return { communities, computing: enabled && computing, error: enabled ? error : null };
+};
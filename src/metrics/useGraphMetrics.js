@@ -0,0 +1,118 @@
+import { useEffect, useRef, useState } from 'react';
+import { dataSource } from '../services/dataSource';
+import { metricsConfig } from '../config/metrics.config';
+import { degree } from './graphMetrics';
+import { createMetricsWorker } from './createMetricsWorker';
+
+// Metrics offered for binding, in menu order
+export const METRICS = [
+  { key: 'degree', name: 'Degree' },
+  { key: 'pagerank', name: 'PageRank' },
+  { key: 'betweenness', name: 'Betweenness' }
+];
+
+// Node indexes and the flat relationship index array the algorithms take
+export const indexGraph = (graph) => {
+  const indexById = new Map(graph.nodes.map((node, index) => [node.id, index]));
+  const edges = [];
+  graph.relationships.forEach(rel => {
+    const start = indexById.get(rel.startId);
+    const end = indexById.get(rel.endId);
+    if (start !== undefined && end !== undefined) edges.push(start, end);
+  });
+  return { ids: graph.nodes.map(node => node.id), edges: Int32Array.from(edges) };
+};
+
+const toMap = (ids, values) => new Map(ids.map((id, index) => [id, values[index]]));
+
+// Degree, PageRank and betweenness for the loaded graph, recomputed a moment
+// after it stops changing. With Graph Data Science on the database the two
+// expensive ones come from there; otherwise a worker computes everything.
+// Nothing is computed while enabled is false.
+//
+// metrics is null until the first result, then
+// { values: { degree, pagerank, betweenness } (Maps from node id), source }.
+export const useGraphMetrics = (graph, { enabled }) => {
+  const [metrics, setMetrics] = useState(null);
+  const [computing, setComputing] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const generationRef = useRef(0);
+  const pendingRef = useRef(null);
+
+  useEffect(() => {
+    const worker = createMetricsWorker();
+    worker.onmessage = (event) => {
+      const { type, generation, metrics: result, message } = event.data;
+      // Ignore results for a graph that has since changed
+      if (generation !== generationRef.current || !pendingRef.current) return;
+      const { ids } = pendingRef.current;
+      pendingRef.current = null;
+      setComputing(false);
+      if (type === 'error') {
+        setError(message);
+        return;
+      }
+      setError(null);
+      setMetrics({
+        values: Object.fromEntries(Object.entries(result).map(([key, values]) => [key, toMap(ids, values)])),
+        source: 'browser'
+      });
+    };
+    worker.onerror = (event) => {
+      console.error('Metrics worker failed:', event);
+    };
+    workerRef.current = worker;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!enabled || graph.nodes.length === 0) return undefined;
+
+    const timer = setTimeout(async () => {
+      generationRef.current += 1;
+      const generation = generationRef.current;
+      const { ids, edges } = indexGraph(graph);
+      const sampled = ids.length > metricsConfig.exactBetweennessLimit;
+      const betweennessSamples = sampled ? metricsConfig.betweennessSamples : null;
+      setComputing(true);
+
+      if (metricsConfig.source !== 'client' && dataSource.computeMetrics) {
+        try {
+          if (await dataSource.hasGds()) {
+            const result = await dataSource.computeMetrics(ids, { betweennessSamples });
+            if (generation !== generationRef.current) return;
+            setMetrics({
+              values: { degree: toMap(ids, degree(ids.length, edges)), ...result },
+              source: 'Neo4j GDS'
+            });
+            setError(null);
+            setComputing(false);
+            return;
+          }
+        } catch (err) {
+          // Fall back to the browser below
+          console.warn('Computing metrics in the browser instead:', err.message);
+        }
+        if (generation !== generationRef.current) return;
+      }
+
+      pendingRef.current = { ids };
+      workerRef.current?.postMessage({
+        task: 'metrics',
+        generation,
+        count: ids.length,
+        edges,
+        options: { pageRank: metricsConfig.pageRank, betweennessSamples }
+      }, [edges.buffer]);
+    }, metricsConfig.debounce);
+
+    return () => clearTimeout(timer);
+  }, [graph, enabled]);
+
+  return { metrics, computing, error };
+};
@@ -0,0 +1,77 @@
+import { BUILT_IN_PROFILES, NEO4J_SCHEMES, neo4jConfig } from '../config/neo4j.config';
+import { loadJSON, saveJSON, removeKey } from '../utils/storage';
+
+const STORAGE_KEY = 'starfield.connection';
+
+// Connection settings: { profiles, activeId, remember, rememberPassword }.
+// A profile is { id, name, uri, user, password, database, builtIn }.
+// Remembered settings live in localStorage; passwords are left out unless
+// rememberPassword is set.
+export const loadConnectionSettings = () => {
+  const saved = loadJSON(STORAGE_KEY, null);
+  const profiles = BUILT_IN_PROFILES.map(profile => ({ ...profile }));
+
+  (saved?.profiles || []).forEach(savedProfile => {
+    const index = profiles.findIndex(profile => profile.id === savedProfile.id);
+    if (index === -1) {
+      profiles.push({ password: '', ...savedProfile, builtIn: false });
+    } else {
+      // Saved edits override the build defaults, except a password that was not saved
+      profiles[index] = {
+        ...profiles[index],
+        ...savedProfile,
+        password: savedProfile.password ?? profiles[index].password,
+        builtIn: true
+      };
+    }
+  });
+
+  const wanted = saved?.activeId || neo4jConfig.defaultProfileId;
+  const activeId = profiles.some(profile => profile.id === wanted) ? wanted : profiles[0].id;
+
+  return {
+    profiles,
+    activeId,
+    remember: Boolean(saved),
+    rememberPassword: Boolean(saved?.rememberPassword)
+  };
+};
+
+export const saveConnectionSettings = ({ profiles, activeId, remember, rememberPassword }) => {
+  if (!remember) {
+    removeKey(STORAGE_KEY);
+    return;
+  }
+  saveJSON(STORAGE_KEY, {
+    activeId,
+    rememberPassword,
+    profiles: profiles.map(({ builtIn, password, ...profile }) => (
+      rememberPassword ? { ...profile, password } : profile
+    ))
+  });
+};
+
+export const activeProfile = (settings) => (
+  settings.profiles.find(profile => profile.id === settings.activeId) || settings.profiles[0]
+);
+
+// Scheme part of a connection URI, e.g. 'neo4j+s'
+export const uriScheme = (uri) => {
+  const match = /^([a-z0-9+]+):\/\//i.exec(uri || '');
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Whether the scheme asks for TLS ('+s' or '+ssc')
+export const isSecureUri = (uri) => (uriScheme(uri) || '').includes('+');
+
+// First problem with a profile, or null when it can be used
+export const validateProfile = (profile) => {
+  if (!profile.name?.trim()) return 'Give the profile a name';
+  const scheme = uriScheme(profile.uri);
+  if (!scheme || !NEO4J_SCHEMES.includes(scheme)) {
+    return `The URI must start with ${NEO4J_SCHEMES.map(name => `${name}://`).join(', ')}`;
+  }
+  if (!profile.uri.slice(scheme.length + 3).trim()) return 'The URI needs a host';
+  if (!profile.database?.trim()) return 'Enter a database name';
+  return null;
+};
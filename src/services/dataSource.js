@@ -0,0 +1,76 @@
+import { dataSourceConfig } from '../config/dataSource.config';
+import { neo4jService } from './neo4j.service';
+import { mockService } from './mock.service';
+import { fileService } from './file.service';
+
+// Every backend answers the same calls with graphs in the starfield shape
+// ({ nodes: [{ id, labels, properties }], relationships: [{ id, type, startId, endId, properties }] }):
+//
+//   name                                         what to call the source in the UI
+//   key                                          identifies the graph, e.g. for saved layouts
+//   verifyConnection()                           resolves true, or throws with the reason
+//   loadGraph({ batchSize, onBatch, onProgress, signal })
+//   getGraph()                                   the whole graph in one go
+//   getPaperDetails(id)                          the node plus its degree, or null
+//   getRelatedPapers(id, { skip, limit, types, direction })
+//                                                [{ relationship, direction, node }]
+//   findPaths(sourceId, targetId, { k, maxHops, types })
+//                                                up to k routes, shortest first, each
+//                                                { nodes, relationships } in route order
+//   close()
+//
+// Backends may also offer searchNodes(query, { limit }) for searching stars
+// that are not loaded, runCypher(query, params) for the Cypher console,
+// getGraphChanges() for incremental sync, savePositions() for writing the
+// layout back, and computeMetrics(nodeIds, { betweennessSamples }) and
+// computeCommunities(nodeIds) for database-side analytics; callers check
+// before using them.
+//
+// Backends that can write also offer createNode({ labels, properties }),
+// updateNode(id, { expected, properties }), deleteNode(id, { expected }),
+// createRelationship({ type, startId, endId, properties }) and
+// deleteRelationship(id, { expected }). expected is the element's properties
+// as last read; when it has changed since, nothing is written and the error
+// is named 'ConflictError' and carries the element as it is now in current.
+// deleteNode resolves to { node, relationships } as they were deleted.
+//
+// The configured source can be swapped for another at run time, e.g. for a
+// dropped file: switchDataSource(source) and restoreDataSource() change what
+// dataSource answers with, so callers keep importing dataSource as before.
+const DATA_SOURCES = {
+  neo4j: neo4jService,
+  mock: mockService,
+  file: fileService
+};
+
+const selectDataSource = (type) => {
+  const source = DATA_SOURCES[type];
+  if (!source) {
+    console.error(`Unknown data source "${type}", falling back to Neo4j`);
+    return neo4jService;
+  }
+  return source;
+};
+
+const configuredSource = selectDataSource(dataSourceConfig.type);
+let activeSource = configuredSource;
+
+export const dataSource = new Proxy({}, {
+  get: (_, property) => {
+    const value = activeSource[property];
+    return typeof value === 'function' ? value.bind(activeSource) : value;
+  },
+  has: (_, property) => property in activeSource
+});
+
+export const switchDataSource = (source) => {
+  activeSource = source;
+};
+
+export const restoreDataSource = () => {
+  activeSource = configuredSource;
+};
+
+export const isConfiguredDataSource = () => activeSource === configuredSource;
+
+export const configuredDataSourceName = () => configuredSource.name;
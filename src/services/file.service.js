@@ -0,0 +1,73 @@
+import { dataSourceConfig } from '../config/dataSource.config';
+import { InMemoryService } from './memory.service';
+
+// Bring a parsed file into the starfield shape, rejecting anything that
+// would break the scene: missing ids, duplicates and dangling relationships
+export const normalizeGraph = (data) => {
+  if (!data || !Array.isArray(data.nodes)) {
+    throw new Error('Expected an object with a "nodes" array');
+  }
+
+  const nodes = data.nodes.map((node, index) => {
+    if (node?.id === undefined || node.id === null) {
+      throw new Error(`Node ${index} has no id`);
+    }
+    return {
+      id: String(node.id),
+      labels: Array.isArray(node.labels) ? node.labels.map(String) : [],
+      properties: node.properties || {}
+    };
+  });
+  const nodeIds = new Set();
+  nodes.forEach(node => {
+    if (nodeIds.has(node.id)) throw new Error(`Duplicate node id ${node.id}`);
+    nodeIds.add(node.id);
+  });
+
+  const relationships = (data.relationships || []).map((rel, index) => {
+    const startId = String(rel?.startId);
+    const endId = String(rel?.endId);
+    if (!nodeIds.has(startId) || !nodeIds.has(endId)) {
+      throw new Error(`Relationship ${index} connects unknown nodes ${startId} and ${endId}`);
+    }
+    return {
+      id: rel.id === undefined || rel.id === null ? `r${index}` : String(rel.id),
+      type: rel.type ? String(rel.type) : 'RELATED_TO',
+      startId,
+      endId,
+      properties: rel.properties || {}
+    };
+  });
+
+  return { nodes, relationships };
+};
+
+// Backend that reads a static JSON file of the form
+// { nodes: [{ id, labels, properties }], relationships: [{ id, type, startId, endId, properties }] }.
+// The file is fetched again on every full reload, so edits show up on the next sync.
+class FileService extends InMemoryService {
+  constructor(url) {
+    super(`file ${url}`, url);
+    this.url = url;
+  }
+
+  async fetchGraph() {
+    const response = await fetch(this.url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Could not read ${this.url}: ${response.status} ${response.statusText}`);
+    }
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      throw new Error(`${this.url} is not valid JSON: ${error.message}`);
+    }
+    try {
+      return normalizeGraph(data);
+    } catch (error) {
+      throw new Error(`${this.url} is not a graph file: ${error.message}`);
+    }
+  }
+}
+
+export const fileService = new FileService(dataSourceConfig.fileUrl);
@@ -0,0 +1,26 @@
+import { InMemoryService } from './memory.service';
+
+// Backend for a graph read from files dropped onto the starfield (see
+// import/importGraph). It holds the parsed graph until another one is dropped.
+class ImportService extends InMemoryService {
+  constructor() {
+    super('dropped file', 'import:');
+    this.importedGraph = null;
+  }
+
+  setImport(name, graph) {
+    this.name = name;
+    this.key = `import:${name}`;
+    this.importedGraph = graph;
+    this.graph = null;
+  }
+
+  async fetchGraph() {
+    if (!this.importedGraph) {
+      throw new Error('No file has been imported');
+    }
+    return this.importedGraph;
+  }
+}
+
+export const importService = new ImportService();
@@ -0,0 +1,197 @@
+// Shared behaviour for data sources that hold the whole graph in memory.
+// Subclasses implement fetchGraph(), which resolves to { nodes, relationships }
+// in the starfield shape; everything else is answered from that snapshot.
+
+// Give the browser a chance to render between batches
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Partial routes kept per hop when looking for more than one route
+const MAX_PARTIAL_PATHS = 50000;
+
+const abortError = () => {
+  const error = new Error('Graph load cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+export class InMemoryService {
+  constructor(name, key) {
+    this.name = name;
+    this.key = key;
+    this.graph = null;
+  }
+
+  async fetchGraph() {
+    throw new Error(`${this.name} does not implement fetchGraph`);
+  }
+
+  // Fetch a fresh snapshot and index it for lookups
+  async refresh() {
+    const graph = await this.fetchGraph();
+    const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+    const relationshipsByNode = new Map();
+    graph.relationships.forEach(rel => {
+      new Set([rel.startId, rel.endId]).forEach(id => {
+        if (!relationshipsByNode.has(id)) relationshipsByNode.set(id, []);
+        relationshipsByNode.get(id).push(rel);
+      });
+    });
+    this.graph = { ...graph, nodesById, relationshipsByNode };
+    return this.graph;
+  }
+
+  async ensureGraph() {
+    return this.graph || this.refresh();
+  }
+
+  async verifyConnection() {
+    try {
+      await this.ensureGraph();
+      return true;
+    } catch (error) {
+      console.error(`${this.name} is not available:`, error);
+      throw new Error(`Connection verification failed: ${error.message}`);
+    }
+  }
+
+  async close() {
+    this.graph = null;
+  }
+
+  // Hand the snapshot out in batches, the same way the database backend does
+  async loadGraph({ batchSize = 1000, onBatch, onProgress, signal } = {}) {
+    try {
+      const { nodes, relationships } = await this.refresh();
+      const progress = {
+        phase: 'nodes',
+        loadedNodes: 0,
+        totalNodes: nodes.length,
+        loadedRelationships: 0,
+        totalRelationships: relationships.length
+      };
+      onProgress?.({ ...progress });
+
+      for (let i = 0; i < nodes.length; i += batchSize) {
+        if (signal?.aborted) throw abortError();
+        const batch = nodes.slice(i, i + batchSize);
+        progress.loadedNodes += batch.length;
+        onBatch?.({ nodes: batch, relationships: [] });
+        onProgress?.({ ...progress });
+        await nextTick();
+      }
+
+      progress.phase = 'relationships';
+      onProgress?.({ ...progress });
+
+      for (let i = 0; i < relationships.length; i += batchSize) {
+        if (signal?.aborted) throw abortError();
+        const batch = relationships.slice(i, i + batchSize);
+        progress.loadedRelationships += batch.length;
+        onBatch?.({ nodes: [], relationships: batch });
+        onProgress?.({ ...progress });
+        await nextTick();
+      }
+
+      progress.phase = 'done';
+      onProgress?.({ ...progress });
+      return { nodes, relationships };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error('Error loading graph:', error);
+      throw new Error(`Failed to load graph: ${error.message}`);
+    }
+  }
+
+  async getGraph() {
+    const { nodes, relationships } = await this.refresh();
+    return { nodes, relationships };
+  }
+
+  async getPaperDetails(paperId) {
+    const graph = await this.ensureGraph();
+    const node = graph.nodesById.get(paperId);
+    if (!node) return null;
+    return {
+      ...node,
+      degree: (graph.relationshipsByNode.get(paperId) || []).length
+    };
+  }
+
+  // Same ordering and filters as the database backend: by relationship type,
+  // then neighbour id
+  async getRelatedPapers(paperId, { skip = 0, limit = 10, types = [], direction = 'both' } = {}) {
+    const graph = await this.ensureGraph();
+    const related = (graph.relationshipsByNode.get(paperId) || [])
+      .filter(rel => types.length === 0 || types.includes(rel.type));
+    const entries = related.map(rel => {
+      const outgoing = rel.startId === paperId;
+      return {
+        relationship: rel,
+        direction: outgoing ? 'out' : 'in',
+        node: graph.nodesById.get(outgoing ? rel.endId : rel.startId)
+      };
+    }).filter(entry => entry.node && (direction === 'both' || entry.direction === direction));
+    entries.sort((a, b) => (
+      a.relationship.type.localeCompare(b.relationship.type) ||
+      a.node.id.localeCompare(b.node.id, undefined, { numeric: true })
+    ));
+    return entries.slice(skip, skip + limit);
+  }
+
+  // Breadth first over simple paths, so routes come out shortest first. A
+  // single route only needs plain BFS; several keep every partial route,
+  // capped so dense graphs stay responsive.
+  async findPaths(sourceId, targetId, { k = 1, maxHops = 6, types = [] } = {}) {
+    if (sourceId === targetId) {
+      throw new Error('Source and target are the same star');
+    }
+    const graph = await this.ensureGraph();
+    if (!graph.nodesById.has(sourceId) || !graph.nodesById.has(targetId)) return [];
+
+    const paths = [];
+    const visited = new Set([sourceId]);
+    let frontier = [{ nodeIds: [sourceId], relationships: [] }];
+    for (let hop = 0; hop < maxHops && frontier.length > 0 && paths.length < k; hop++) {
+      const next = [];
+      for (const path of frontier) {
+        const lastId = path.nodeIds[path.nodeIds.length - 1];
+        for (const rel of graph.relationshipsByNode.get(lastId) || []) {
+          if (types.length > 0 && !types.includes(rel.type)) continue;
+          const otherId = rel.startId === lastId ? rel.endId : rel.startId;
+          if (path.nodeIds.includes(otherId)) continue;
+          if (k === 1) {
+            if (visited.has(otherId)) continue;
+            visited.add(otherId);
+          }
+          const extended = {
+            nodeIds: [...path.nodeIds, otherId],
+            relationships: [...path.relationships, rel]
+          };
+          if (otherId === targetId) {
+            paths.push(extended);
+            if (paths.length >= k) break;
+          } else if (next.length < MAX_PARTIAL_PATHS) {
+            next.push(extended);
+          }
+        }
+        if (paths.length >= k) break;
+      }
+      frontier = next;
+    }
+
+    return paths.map(path => ({
+      nodes: path.nodeIds.map(id => graph.nodesById.get(id)),
+      relationships: path.relationships
+    }));
+  }
+
+  async searchNodes(query, { limit = 20 } = {}) {
+    const graph = await this.ensureGraph();
+    const needle = query.toLowerCase();
+    const nameOf = (node) => String(node.properties.name ?? node.properties.title ?? '');
+    return graph.nodes
+      .filter(node => nameOf(node).toLowerCase().includes(needle))
+      .sort((a, b) => nameOf(a).length - nameOf(b).length)
+      .slice(0, limit);
+  }
+}
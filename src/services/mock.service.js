@@ -0,0 +1,85 @@
+import tempPapers from '../data/tempPapers';
+import { seededRandom } from '../utils/random';
+import { InMemoryService } from './memory.service';
+
+// Relationship type used when linking to a paper with this label
+const TYPE_BY_LABEL = {
+  Competition: 'PARTICIPATES_IN',
+  Organization: 'MEMBER_OF',
+  Concept: 'EMBODIES',
+  Project: 'CONTRIBUTES_TO'
+};
+
+// Share of links that stay within the same school
+const SAME_SCHOOL_BIAS = 0.8;
+
+// School in "Name (School)" style names, used to cluster the mock graph
+const schoolOf = (name) => {
+  const match = name.match(/\(([^()]*)\)\s*$/);
+  return match ? match[1].split(/\s+-\s+/).pop() : '';
+};
+
+const relationshipType = (target) => {
+  const label = target.labels.find(candidate => TYPE_BY_LABEL[candidate]);
+  return label ? TYPE_BY_LABEL[label] : 'RELATED_TO';
+};
+
+// Build the mock graph from the generated papers. Every paper after the first
+// links to one to three earlier ones, mostly from its own school, so the graph
+// is connected and clusters the way real data does. Seeded, so it is the
+// same on every run.
+const buildMockGraph = () => {
+  const random = seededRandom('mock-relationships');
+  const nodes = tempPapers.map(paper => ({
+    id: paper.id,
+    labels: paper.labels,
+    properties: { name: paper.name }
+  }));
+
+  const bySchool = new Map();
+  const relationships = [];
+  const linked = new Set();
+  nodes.forEach((node, index) => {
+    const school = schoolOf(node.properties.name);
+    if (!bySchool.has(school)) bySchool.set(school, []);
+    const sameSchool = bySchool.get(school);
+
+    if (index > 0) {
+      const count = 1 + Math.floor(random() * 3);
+      for (let i = 0; i < count; i++) {
+        const target = sameSchool.length > 0 && random() < SAME_SCHOOL_BIAS
+          ? sameSchool[Math.floor(random() * sameSchool.length)]
+          : nodes[Math.floor(random() * index)];
+        const key = `${node.id}:${target.id}`;
+        if (linked.has(key)) continue;
+        linked.add(key);
+        relationships.push({
+          id: String(relationships.length),
+          type: relationshipType(target),
+          startId: node.id,
+          endId: target.id,
+          properties: {}
+        });
+      }
+    }
+    sameSchool.push(node);
+  });
+
+  return { nodes, relationships };
+};
+
+// Offline backend serving the generated papers in src/data/tempPapers.js
+class MockService extends InMemoryService {
+  constructor() {
+    super('mock data', 'mock');
+  }
+
+  async fetchGraph() {
+    if (!this.mockGraph) {
+      this.mockGraph = buildMockGraph();
+    }
+    return this.mockGraph;
+  }
+}
+
+export const mockService = new MockService();
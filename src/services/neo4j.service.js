@@ -1,64 +1,248 @@
 import neo4j from 'neo4j-driver';
+import {
+  activeProfile,
+  isSecureUri,
+  loadConnectionSettings,
+  validateProfile
+} from './connectionSettings';
+import { Neo4jClientService } from './neo4jClient.service';
 import { neo4jConfig } from '../config/neo4j.config';
+import { syncConfig } from '../config/sync.config';
+import { sameProperties } from '../utils/graphDiff';
+
+// Convert a driver Node into the plain shape used by the starfield
+const toNode = (node) => ({
+  id: node.identity.toString(),
+  labels: node.labels,
+  properties: node.properties
+});
+
+// Convert a driver Relationship into the plain shape used by the starfield
+const toRelationship = (rel) => ({
+  id: rel.identity.toString(),
+  type: rel.type,
+  startId: rel.start.toString(),
+  endId: rel.end.toString(),
+  properties: rel.properties
+});
+
+// Convert a driver Path into the stars and relationships along it, in order
+const toPath = (path) => ({
+  nodes: [toNode(path.start), ...path.segments.map(segment => toNode(segment.end))],
+  relationships: path.segments.map(segment => toRelationship(segment.relationship))
+});
+
+// Route query between two stars. Variable-length bounds cannot be query
+// parameters, so maxHops (a checked integer) is written into the text.
+// One route uses shortestPath; more enumerate simple paths, shortest first.
+const pathsCypher = (maxHops, k) => (k === 1
+  ? `MATCH (source), (target)
+     WHERE id(source) = $source AND id(target) = $target
+     MATCH p = shortestPath((source)-[*..${maxHops}]-(target))
+     WHERE all(r IN relationships(p) WHERE size($types) = 0 OR type(r) IN $types)
+     RETURN p`
+  : `MATCH (source), (target)
+     WHERE id(source) = $source AND id(target) = $target
+     MATCH p = (source)-[*1..${maxHops}]-(target)
+     WHERE all(r IN relationships(p) WHERE size($types) = 0 OR type(r) IN $types)
+       AND all(n IN nodes(p) WHERE single(m IN nodes(p) WHERE m = n))
+     RETURN p
+     ORDER BY length(p)
+     LIMIT $k`);
+
+// Create a driver for a connection profile. Plain bolt:// and neo4j:// URIs
+// connect unencrypted; '+s' and '+ssc' schemes choose TLS themselves, and the
+// driver refuses explicit encryption settings alongside them.
+const createDriver = (profile) => {
+  const validationError = validateProfile(profile);
+  if (validationError) {
+    throw new Error(`Invalid Neo4j connection: ${validationError}`);
+  }
+
+  const options = {
+    maxConnectionLifetime: 3 * 60 * 60 * 1000,
+    maxConnectionPoolSize: 50,
+    connectionAcquisitionTimeout: 2 * 60 * 1000,
+    disableLosslessIntegers: true,
+    logging: {
+      level: 'debug',
+      logger: (level, message) => {
+        console.log(`Neo4j ${level}: ${message}`);
+      }
+    }
+  };
+  if (!isSecureUri(profile.uri)) {
+    options.encrypted = false; // Match server.bolt.tls_level=DISABLED
+    options.trust = 'TRUST_ALL_CERTIFICATES';
+  }
+
+  const driver = neo4j.driver(profile.uri, neo4j.auth.basic(profile.user, profile.password), options);
+  if (!driver) {
+    throw new Error('Failed to create Neo4j driver instance');
+  }
+  return driver;
+};
+
+// Human-readable reason a connection failed
+const describeConnectionError = (error, profile) => {
+  if (error.code === 'ServiceUnavailable') {
+    return `Neo4j service is not available at ${profile.uri}. Please check if the database is running and reachable.`;
+  }
+  if (error.code === 'Neo.ClientError.Security.Unauthorized' || error.code === 'SecurityError') {
+    return 'Authentication failed. Please check your credentials.';
+  }
+  return `Connection verification failed: ${error.message}`;
+};
+
+// Time limit for queries typed into the Cypher console
+const CYPHER_TIMEOUT = 30000;
+
+// Whole numbers in console parameters become Cypher integers, so they work
+// for LIMIT, SKIP and id comparisons
+const toCypherParams = (value) => {
+  if (Number.isInteger(value)) return neo4j.int(value);
+  if (Array.isArray(value)) return value.map(toCypherParams);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toCypherParams(item)]));
+  }
+  return value;
+};
+
+// Backtick-quote a label, relationship type or property name for Cypher text
+const quoteName = (name) => `\`${String(name).replace(/`/g, '``')}\``;
+
+// Property values for writing: whole numbers become Cypher integers, and
+// temporal and spatial values from the driver are passed back unchanged
+const toPropertyValue = (value) => {
+  if (Number.isInteger(value)) return neo4j.int(value);
+  if (Array.isArray(value)) return value.map(toPropertyValue);
+  return value;
+};
+const toPropertyValues = (properties) => Object.fromEntries(
+  Object.entries(properties).map(([key, value]) => [key, toPropertyValue(value)])
+);
+
+// Written and removed again to take an element's write lock before reading it
+const LOCK_PROPERTY = quoteName('_starfield_lock');
+
+// With timestamp sync, writes stamp what they touch so other viewers pick it up
+const touch = (variable) => (
+  syncConfig.mode === 'timestamp'
+    ? ` SET ${variable}.${quoteName(syncConfig.timestampProperty)} = timestamp()`
+    : ''
+);
+
+// Properties to compare for conflicts; the sync timestamp is left out since
+// every write sets it
+const withoutStamp = (properties) => {
+  if (syncConfig.mode !== 'timestamp') return properties;
+  const { [syncConfig.timestampProperty]: stamp, ...rest } = properties;
+  return rest;
+};
+
+// Raised when an element changed or vanished since the caller last read it;
+// current is the element as it is now, or null when it is gone
+const conflictError = (message, current) => {
+  const error = new Error(message);
+  error.name = 'ConflictError';
+  error.current = current;
+  return error;
+};
+
+// Lock a node or relationship and check it still has the properties the
+// caller last saw. Returns the driver element.
+const lockAndCheck = async (tx, kind, id, expected) => {
+  const match = kind === 'node' ? 'MATCH (x) WHERE id(x) = $id' : 'MATCH ()-[x]->() WHERE id(x) = $id';
+  const result = await tx.run(
+    `${match}
+     SET x.${LOCK_PROPERTY} = true
+     REMOVE x.${LOCK_PROPERTY}
+     RETURN x`,
+    { id: neo4j.int(id) }
+  );
+  const element = result.records[0]?.get('x');
+  const what = kind === 'node' ? 'This star' : 'This relationship';
+  if (!element) {
+    throw conflictError(`${what} was deleted by someone else`, null);
+  }
+  if (expected && !sameProperties(withoutStamp(element.properties), withoutStamp(expected))) {
+    const current = kind === 'node' ? toNode(element) : toRelationship(element);
+    throw conflictError(`${what} was changed by someone else since it was loaded`, current);
+  }
+  return element;
+};
 
 class Neo4jService {
   constructor() {
-    console.log('Initializing Neo4j connection with config:', {
-      uri: neo4jConfig.uri,
-      user: neo4jConfig.user,
-      database: neo4jConfig.database
-    });
+    this.driver = null;
+    this.profile = activeProfile(loadConnectionSettings());
+    // Whether the database has Graph Data Science; unknown until asked
+    this.gdsAvailable = null;
+  }
 
-    try {
-      // First verify if the URI is valid
-      if (!neo4jConfig.uri.startsWith('bolt://') && !neo4jConfig.uri.startsWith('neo4j://')) {
-        throw new Error(`Invalid Neo4j URI: ${neo4jConfig.uri}. Must start with 'bolt://' or 'neo4j://'`);
-      }
+  get name() {
+    return `Neo4j (${this.profile.name})`;
+  }
 
-      // Create the driver with encryption settings matching server configuration
-      this.driver = neo4j.driver(
-        neo4jConfig.uri,
-        neo4j.auth.basic(neo4jConfig.user, neo4jConfig.password),
-        {
-          maxConnectionLifetime: 3 * 60 * 60 * 1000,
-          maxConnectionPoolSize: 50,
-          connectionAcquisitionTimeout: 2 * 60 * 1000,
-          disableLosslessIntegers: true,
-          encrypted: false, // Match server.bolt.tls_level=DISABLED
-          trust: 'TRUST_ALL_CERTIFICATES',
-          logging: {
-            level: 'debug',
-            logger: (level, message) => {
-              console.log(`Neo4j ${level}: ${message}`);
-            }
-          }
-        }
-      );
+  // Identifies this graph, e.g. for layouts saved in the browser
+  get key() {
+    return `${this.profile.uri}/${this.profile.database}`;
+  }
 
-      // Verify the driver was created successfully
-      if (!this.driver) {
-        throw new Error('Failed to create Neo4j driver instance');
-      }
+  // Switch to another connection profile; the next query reconnects
+  async configure(profile) {
+    await this.close();
+    this.profile = profile;
+    this.gdsAvailable = null;
+  }
 
+  // The driver is created on first use, so importing this module does not
+  // open connections when another data source is configured
+  getDriver() {
+    if (this.driver) return this.driver;
+
+    console.log('Initializing Neo4j connection with config:', {
+      uri: this.profile.uri,
+      user: this.profile.user,
+      database: this.profile.database
+    });
+
+    try {
+      this.driver = createDriver(this.profile);
       console.log('Neo4j driver initialized successfully with settings:', {
-        uri: neo4jConfig.uri,
-        encrypted: false,
-        trust: 'TRUST_ALL_CERTIFICATES'
+        uri: this.profile.uri,
+        encrypted: isSecureUri(this.profile.uri)
       });
+      return this.driver;
     } catch (error) {
       console.error('Failed to initialize Neo4j driver:', error);
       throw new Error(`Neo4j initialization failed: ${error.message}`);
     }
   }
 
+  // Try a profile without switching to it; resolves to the server address and version
+  async testConnection(profile) {
+    let driver;
+    try {
+      driver = createDriver(profile);
+      await driver.verifyConnectivity({ database: profile.database });
+      const serverInfo = await driver.getServerInfo({ database: profile.database });
+      return { address: serverInfo.address, agent: serverInfo.agent };
+    } catch (error) {
+      console.error('Connection test failed:', error);
+      throw new Error(describeConnectionError(error, profile));
+    } finally {
+      await driver?.close();
+    }
+  }
+
   async verifyConnection() {
     const session = await this.getSession();
     try {
       console.log('Verifying Neo4j connection...');
       console.log('Connection settings:', {
-        uri: neo4jConfig.uri,
-        encrypted: false,
-        trust: 'TRUST_ALL_CERTIFICATES'
+        uri: this.profile.uri,
+        encrypted: isSecureUri(this.profile.uri)
       });
       
       // Try a simple query first
@@ -66,7 +250,7 @@ class Neo4jService {
       console.log('Basic connection test successful');
 
       // Try to get server info
-      const serverInfo = await this.driver.verifyConnectivity();
+      const serverInfo = await this.getDriver().verifyConnectivity();
       console.log('Server info:', serverInfo);
 
       // Try to get database info
@@ -76,23 +260,17 @@ class Neo4jService {
       return true;
     } catch (error) {
       console.error('Connection verification failed:', error);
-      if (error.code === 'ServiceUnavailable') {
-        throw new Error('Neo4j service is not available. Please check if the database is running and port 7687 is accessible.');
-      } else if (error.code === 'SecurityError') {
-        throw new Error('Authentication failed. Please check your credentials.');
-      } else {
-        throw new Error(`Connection verification failed: ${error.message}`);
-      }
+      throw new Error(describeConnectionError(error, this.profile));
     } finally {
       await session.close();
     }
   }
 
-  async getSession() {
+  async getSession(accessMode = neo4j.session.READ) {
     try {
-      const session = this.driver.session({
-        database: neo4jConfig.database,
-        defaultAccessMode: neo4j.session.READ
+      const session = this.getDriver().session({
+        database: this.profile.database,
+        defaultAccessMode: accessMode
       });
       return session;
     } catch (error) {
@@ -102,8 +280,10 @@ class Neo4jService {
   }
 
   async close() {
+    if (!this.driver) return;
     try {
       await this.driver.close();
+      this.driver = null;
       console.log('Neo4j connection closed successfully');
     } catch (error) {
       console.error('Error closing Neo4j connection:', error);
@@ -130,24 +310,15 @@ class Neo4jService {
          RETURN n, labels(n) as labels`
       );
       
-      console.log('Raw Neo4j Query Result:', JSON.stringify(result, null, 2));
-      
       const papers = result.records.map(record => {
         const node = record.get('n');
-        const properties = node.properties;
-        const labels = record.get('labels');
-        console.log('Raw Node Data:', {
-          identity: node.identity.toString(),
-          properties: properties,
-          labels: labels
-        });
         return {
           id: node.identity.toString(),
-          ...properties,
-          labels
+          ...node.properties,
+          labels: record.get('labels')
         };
       });
-      console.log('Final Papers Array:', JSON.stringify(papers, null, 2));
+      console.log(`Fetched ${papers.length} papers`);
       return papers;
     } catch (error) {
       console.error('Error fetching papers:', error);
@@ -157,6 +328,283 @@ class Neo4jService {
     }
   }
 
+  // Load the whole graph in batches using keyset pagination on internal ids:
+  // all nodes first, then all relationships. onBatch receives each batch as it
+  // lands ({ nodes, relationships }) and onProgress the running totals.
+  // Aborting the signal stops the load with an AbortError.
+  async loadGraph({ batchSize = 1000, onBatch, onProgress, signal } = {}) {
+    const session = await this.getSession();
+    const abortLoad = () => session.close();
+    signal?.addEventListener('abort', abortLoad);
+
+    const throwIfAborted = () => {
+      if (signal?.aborted) {
+        const error = new Error('Graph load cancelled');
+        error.name = 'AbortError';
+        throw error;
+      }
+    };
+
+    try {
+      console.log('Loading graph...');
+      const nodeCount = await session.run('MATCH (n) RETURN count(n) AS count');
+      const relationshipCount = await session.run('MATCH ()-[r]->() RETURN count(r) AS count');
+      const progress = {
+        phase: 'nodes',
+        loadedNodes: 0,
+        totalNodes: nodeCount.records[0].get('count'),
+        loadedRelationships: 0,
+        totalRelationships: relationshipCount.records[0].get('count')
+      };
+      onProgress?.({ ...progress });
+
+      const nodes = [];
+      let after = -1;
+      for (;;) {
+        throwIfAborted();
+        const result = await session.run(
+          `MATCH (n)
+           WHERE id(n) > $after
+           RETURN n
+           ORDER BY id(n)
+           LIMIT $batchSize`,
+          { after: neo4j.int(after), batchSize: neo4j.int(batchSize) }
+        );
+        if (result.records.length === 0) break;
+
+        const batch = result.records.map(record => toNode(record.get('n')));
+        after = Number(batch[batch.length - 1].id);
+        nodes.push(...batch);
+        progress.loadedNodes = nodes.length;
+        onBatch?.({ nodes: batch, relationships: [] });
+        onProgress?.({ ...progress });
+        if (batch.length < batchSize) break;
+      }
+
+      progress.phase = 'relationships';
+      onProgress?.({ ...progress });
+
+      const relationships = [];
+      after = -1;
+      for (;;) {
+        throwIfAborted();
+        const result = await session.run(
+          `MATCH ()-[r]->()
+           WHERE id(r) > $after
+           RETURN r
+           ORDER BY id(r)
+           LIMIT $batchSize`,
+          { after: neo4j.int(after), batchSize: neo4j.int(batchSize) }
+        );
+        if (result.records.length === 0) break;
+
+        const batch = result.records.map(record => toRelationship(record.get('r')));
+        after = Number(batch[batch.length - 1].id);
+        relationships.push(...batch);
+        progress.loadedRelationships = relationships.length;
+        onBatch?.({ nodes: [], relationships: batch });
+        onProgress?.({ ...progress });
+        if (batch.length < batchSize) break;
+      }
+
+      progress.phase = 'done';
+      onProgress?.({ ...progress });
+      console.log(`Loaded ${nodes.length} nodes and ${relationships.length} relationships`);
+      return { nodes, relationships };
+    } catch (error) {
+      throwIfAborted();
+      console.error('Error loading graph:', error);
+      throw new Error(`Failed to load graph: ${error.message}`);
+    } finally {
+      signal?.removeEventListener('abort', abortLoad);
+      await session.close();
+    }
+  }
+
+  // Fetch what changed since a point in time: the ids of every element that
+  // still exists, plus the elements whose timestamp property (epoch millis)
+  // is newer than since or whose id is not in the known sets
+  async getGraphChanges({ since, property, knownNodeIds, knownRelationshipIds }) {
+    const session = await this.getSession();
+    try {
+      console.log('Checking for graph changes since:', new Date(since).toISOString());
+      const nodeIdResult = await session.run('MATCH (n) RETURN id(n) AS id');
+      const nodeIds = nodeIdResult.records.map(record => record.get('id').toString());
+      const relIdResult = await session.run('MATCH ()-[r]->() RETURN id(r) AS id');
+      const relationshipIds = relIdResult.records.map(record => record.get('id').toString());
+
+      const newNodeIds = nodeIds.filter(id => !knownNodeIds.has(id)).map(id => neo4j.int(id));
+      const newRelationshipIds = relationshipIds
+        .filter(id => !knownRelationshipIds.has(id))
+        .map(id => neo4j.int(id));
+
+      const nodeResult = await session.run(
+        `MATCH (n)
+         WHERE n[$property] > $since OR id(n) IN $newIds
+         RETURN n`,
+        { property, since, newIds: newNodeIds }
+      );
+      const relResult = await session.run(
+        `MATCH ()-[r]->()
+         WHERE r[$property] > $since OR id(r) IN $newIds
+         RETURN r`,
+        { property, since, newIds: newRelationshipIds }
+      );
+
+      return {
+        nodeIds,
+        relationshipIds,
+        nodes: nodeResult.records.map(record => toNode(record.get('n'))),
+        relationships: relResult.records.map(record => toRelationship(record.get('r')))
+      };
+    } catch (error) {
+      console.error('Error fetching graph changes:', error);
+      throw new Error(`Failed to fetch graph changes: ${error.message}`);
+    } finally {
+      await session.close();
+    }
+  }
+
+  // Get the whole graph in one go
+  async getGraph() {
+    return this.loadGraph();
+  }
+
+  // Write layout positions back to the nodes as a [x, y, z] property
+  async savePositions(positions, property) {
+    const session = await this.getSession(neo4j.session.WRITE);
+    try {
+      console.log(`Saving ${positions.length} positions to property ${property}...`);
+      const batchSize = 1000;
+      for (let i = 0; i < positions.length; i += batchSize) {
+        const rows = positions.slice(i, i + batchSize).map(({ id, position }) => ({
+          id: neo4j.int(id),
+          position
+        }));
+        await session.executeWrite(tx => tx.run(
+          `UNWIND $rows AS row
+           MATCH (n)
+           WHERE id(n) = row.id
+           SET n.${quoteName(property)} = row.position`,
+          { rows }
+        ));
+      }
+    } catch (error) {
+      console.error('Error saving positions:', error);
+      throw new Error(`Failed to save positions: ${error.message}`);
+    } finally {
+      await session.close();
+    }
+  }
+
+  // Run work in a write transaction. Conflicts are passed on as they are so
+  // callers can tell them apart from failures.
+  async write(action, work) {
+    const session = await this.getSession(neo4j.session.WRITE);
+    try {
+      return await session.executeWrite(work);
+    } catch (error) {
+      if (error.name === 'ConflictError') throw error;
+      console.error(`Error trying to ${action}:`, error);
+      throw new Error(`Failed to ${action}: ${error.message}`);
+    } finally {
+      await session.close();
+    }
+  }
+
+  async createNode({ labels = [], properties = {} }) {
+    return this.write('create node', async tx => {
+      const result = await tx.run(
+        `CREATE (n${labels.map(label => `:${quoteName(label)}`).join('')})
+         SET n = $properties${touch('n')}
+         RETURN n`,
+        { properties: toPropertyValues(properties) }
+      );
+      return toNode(result.records[0].get('n'));
+    });
+  }
+
+  // Replace a node's properties, provided they are still the expected ones.
+  // Only the properties that differ are written.
+  async updateNode(id, { expected, properties }) {
+    return this.write('update node', async tx => {
+      const current = await lockAndCheck(tx, 'node', id, expected);
+      const patch = {};
+      Object.entries(properties).forEach(([key, value]) => {
+        if (JSON.stringify(current.properties[key]) !== JSON.stringify(value)) {
+          patch[key] = toPropertyValue(value);
+        }
+      });
+      Object.keys(current.properties).forEach(key => {
+        if (!(key in properties)) patch[key] = null;
+      });
+      const result = await tx.run(
+        `MATCH (n)
+         WHERE id(n) = $id
+         SET n += $patch${touch('n')}
+         RETURN n`,
+        { id: neo4j.int(id), patch }
+      );
+      return toNode(result.records[0].get('n'));
+    });
+  }
+
+  // Delete a node and its relationships, provided its properties are still
+  // the expected ones. Resolves to what was deleted, e.g. for undoing it.
+  async deleteNode(id, { expected }) {
+    return this.write('delete node', async tx => {
+      const node = toNode(await lockAndCheck(tx, 'node', id, expected));
+      const attached = await tx.run(
+        `MATCH (n)-[r]-()
+         WHERE id(n) = $id
+         RETURN DISTINCT r`,
+        { id: neo4j.int(id) }
+      );
+      await tx.run(
+        `MATCH (n)
+         WHERE id(n) = $id
+         DETACH DELETE n`,
+        { id: neo4j.int(id) }
+      );
+      return {
+        node,
+        relationships: attached.records.map(record => toRelationship(record.get('r')))
+      };
+    });
+  }
+
+  async createRelationship({ type, startId, endId, properties = {} }) {
+    return this.write('create relationship', async tx => {
+      const result = await tx.run(
+        `MATCH (start), (end)
+         WHERE id(start) = $startId AND id(end) = $endId
+         CREATE (start)-[r:${quoteName(type)}]->(end)
+         SET r = $properties${touch('r')}
+         RETURN r`,
+        { startId: neo4j.int(startId), endId: neo4j.int(endId), properties: toPropertyValues(properties) }
+      );
+      const record = result.records[0];
+      if (!record) {
+        throw conflictError('One of the stars was deleted by someone else', null);
+      }
+      return toRelationship(record.get('r'));
+    });
+  }
+
+  // Delete a relationship, provided its properties are still the expected ones
+  async deleteRelationship(id, { expected }) {
+    return this.write('delete relationship', async tx => {
+      const relationship = toRelationship(await lockAndCheck(tx, 'relationship', id, expected));
+      await tx.run(
+        `MATCH ()-[r]->()
+         WHERE id(r) = $id
+         DELETE r`,
+        { id: neo4j.int(id) }
+      );
+      return relationship;
+    });
+  }
+
   // Get paper details
   async getPaperDetails(paperId) {
     const session = await this.getSession();
@@ -165,14 +613,14 @@ class Neo4jService {
       const result = await session.run(
         `MATCH (n)
          WHERE id(n) = $paperId
-         RETURN n`,
+         RETURN n, COUNT { (n)--() } AS degree`,
         { paperId: neo4j.int(paperId) }
       );
-      const paper = result.records[0]?.get('n');
-      if (paper) {
+      const record = result.records[0];
+      if (record) {
         return {
-          id: paper.identity.toString(),
-          ...paper.properties
+          ...toNode(record.get('n')),
+          degree: record.get('degree')
         };
       }
       return null;
@@ -184,25 +632,36 @@ class Neo4jService {
     }
   }
 
-  // Get related papers
-  async getRelatedPapers(paperId) {
+  // Get related papers, one page at a time, ordered by relationship type.
+  // Each entry carries the relationship, its direction relative to the
+  // paper ('out' or 'in') and the neighbouring node. types limits the
+  // relationship types (empty for all); direction is 'out', 'in' or 'both'.
+  async getRelatedPapers(paperId, { skip = 0, limit = 10, types = [], direction = 'both' } = {}) {
     const session = await this.getSession();
     try {
       console.log('Fetching related papers for:', paperId);
       const result = await session.run(
         `MATCH (n)-[r]-(related)
          WHERE id(n) = $paperId
-         RETURN related
-         LIMIT 10`,
-        { paperId: neo4j.int(paperId) }
+           AND (size($types) = 0 OR type(r) IN $types)
+           AND ($direction = 'both' OR ($direction = 'out') = (startNode(r) = n))
+         RETURN r, related, startNode(r) = n AS outgoing
+         ORDER BY type(r), id(related)
+         SKIP $skip
+         LIMIT $limit`,
+        {
+          paperId: neo4j.int(paperId),
+          skip: neo4j.int(skip),
+          limit: neo4j.int(limit),
+          types,
+          direction
+        }
       );
-      return result.records.map(record => {
-        const node = record.get('related');
-        return {
-          id: node.identity.toString(),
-          ...node.properties
-        };
-      });
+      return result.records.map(record => ({
+        relationship: toRelationship(record.get('r')),
+        direction: record.get('outgoing') ? 'out' : 'in',
+        node: toNode(record.get('related'))
+      }));
     } catch (error) {
       console.error('Error fetching related papers:', error);
       throw new Error(`Failed to fetch related papers: ${error.message}`);
@@ -210,6 +669,225 @@ class Neo4jService {
       await session.close();
     }
   }
+
+  // Nodes whose name (or title) contains the query, shortest names first
+  async searchNodes(query, { limit = 20 } = {}) {
+    const session = await this.getSession();
+    try {
+      const result = await session.run(
+        `MATCH (n)
+         WHERE toLower(toString(coalesce(n.name, n.title, ''))) CONTAINS toLower($query)
+         RETURN n
+         ORDER BY size(toString(coalesce(n.name, n.title, ''))), id(n)
+         LIMIT $limit`,
+        { query, limit: neo4j.int(limit) }
+      );
+      return result.records.map(record => toNode(record.get('n')));
+    } catch (error) {
+      console.error('Error searching nodes:', error);
+      throw new Error(`Failed to search nodes: ${error.message}`);
+    } finally {
+      await session.close();
+    }
+  }
+
+  // Up to k shortest routes between two stars, shortest first, each as
+  // { nodes, relationships } in route order. types limits the relationship
+  // types followed (empty for all). Resolves to [] when there is no route
+  // within maxHops.
+  async findPaths(sourceId, targetId, { k = 1, maxHops = 6, types = [] } = {}) {
+    if (!Number.isInteger(maxHops) || maxHops < 1) {
+      throw new Error(`Invalid maximum hop count: ${maxHops}`);
+    }
+    if (sourceId === targetId) {
+      throw new Error('Source and target are the same star');
+    }
+    const session = await this.getSession();
+    try {
+      console.log(`Finding paths from ${sourceId} to ${targetId}`);
+      const result = await session.executeRead(
+        tx => tx.run(pathsCypher(maxHops, k), {
+          source: neo4j.int(sourceId),
+          target: neo4j.int(targetId),
+          k: neo4j.int(k),
+          types
+        }),
+        { timeout: CYPHER_TIMEOUT }
+      );
+      return result.records.map(record => toPath(record.get('p')));
+    } catch (error) {
+      console.error('Error finding paths:', error);
+      throw new Error(`Failed to find paths: ${error.message}`);
+    } finally {
+      await session.close();
+    }
+  }
+
+  // Whether the Graph Data Science library is installed, asked once per connection
+  async hasGds() {
+    if (this.gdsAvailable !== null) return this.gdsAvailable;
+    let session = null;
+    try {
+      session = await this.getSession();
+      await session.run('RETURN gds.version() AS version');
+      this.gdsAvailable = true;
+    } catch (error) {
+      // Without a connection there is no answer yet; ask again next time
+      if (!session) {
+        console.warn('Could not check for Graph Data Science:', error.message);
+        return false;
+      }
+      console.log('Graph Data Science is not available:', error.message);
+      this.gdsAvailable = false;
+    } finally {
+      await session?.close();
+    }
+    return this.gdsAvailable;
+  }
+
+  // Project the given stars and the relationships between them into the
+  // Graph Data Science catalog as an undirected graph, pass its name and the
+  // session to run, and drop it again afterwards. Throws when GDS is not
+  // installed.
+  async withProjection(nodeIds, run) {
+    if (!(await this.hasGds())) {
+      throw new Error('Graph Data Science is not installed');
+    }
+    const graphName = `starfield-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+    const session = await this.getSession();
+    try {
+      await session.run(
+        `MATCH (source)
+         WHERE id(source) IN $ids
+         OPTIONAL MATCH (source)-[r]->(target)
+         WHERE id(target) IN $ids
+         WITH gds.graph.project($graphName, source, target, {}, { undirectedRelationshipTypes: ['*'] }) AS g
+         RETURN g.nodeCount AS nodeCount`,
+        { ids: nodeIds.map(id => neo4j.int(id)), graphName }
+      );
+      return await run(session, graphName);
+    } finally {
+      await session.run('CALL gds.graph.drop($graphName, false) YIELD graphName RETURN graphName', { graphName })
+        .catch(error => console.warn('Failed to drop projection:', error.message));
+      await session.close();
+    }
+  }
+
+  // PageRank and betweenness for the given stars through Graph Data Science,
+  // as { pagerank, betweenness } maps from node id to score
+  async computeMetrics(nodeIds, { betweennessSamples } = {}) {
+    try {
+      return await this.withProjection(nodeIds, async (session, graphName) => {
+        const stream = async (query, config = {}) => {
+          const result = await session.run(query, { graphName, config });
+          return new Map(result.records.map(record => [String(record.get('nodeId')), record.get('score')]));
+        };
+        const pagerank = await stream(
+          `CALL gds.pageRank.stream($graphName)
+           YIELD nodeId, score
+           RETURN nodeId, score`
+        );
+        const betweenness = await stream(
+          `CALL gds.betweenness.stream($graphName, $config)
+           YIELD nodeId, score
+           RETURN nodeId, score`,
+          betweennessSamples ? { samplingSize: neo4j.int(betweennessSamples), samplingSeed: neo4j.int(42) } : {}
+        );
+        return { pagerank, betweenness };
+      });
+    } catch (error) {
+      console.error('Error computing metrics:', error);
+      throw new Error(`Failed to compute metrics: ${error.message}`);
+    }
+  }
+
+  // Louvain communities for the given stars through Graph Data Science, as a
+  // map from node id to community id
+  async computeCommunities(nodeIds) {
+    try {
+      return await this.withProjection(nodeIds, async (session, graphName) => {
+        const result = await session.run(
+          `CALL gds.louvain.stream($graphName)
+           YIELD nodeId, communityId
+           RETURN nodeId, communityId`,
+          { graphName }
+        );
+        return new Map(result.records.map(record => [String(record.get('nodeId')), record.get('communityId')]));
+      });
+    } catch (error) {
+      console.error('Error detecting communities:', error);
+      throw new Error(`Failed to detect communities: ${error.message}`);
+    }
+  }
+
+  // Run a user-written query in a read transaction and collect every node,
+  // relationship and path it returns, at any depth in lists or maps.
+  // Nodes at either end of a returned relationship are fetched as well so
+  // the result can be drawn on its own.
+  async runCypher(query, params = {}) {
+    const session = await this.getSession();
+    try {
+      console.log('Running Cypher query:', query);
+      const result = await session.executeRead(
+        tx => tx.run(query, toCypherParams(params)),
+        { timeout: CYPHER_TIMEOUT }
+      );
+
+      const nodes = new Map();
+      const relationships = new Map();
+      const collect = (value) => {
+        if (value instanceof neo4j.types.Node) {
+          nodes.set(value.identity.toString(), toNode(value));
+        } else if (value instanceof neo4j.types.Relationship) {
+          relationships.set(value.identity.toString(), toRelationship(value));
+        } else if (value instanceof neo4j.types.Path) {
+          collect(value.start);
+          value.segments.forEach(segment => {
+            collect(segment.relationship);
+            collect(segment.end);
+          });
+        } else if (Array.isArray(value)) {
+          value.forEach(collect);
+        } else if (value && typeof value === 'object' && value.constructor === Object) {
+          Object.values(value).forEach(collect);
+        }
+      };
+      result.records.forEach(record => record.forEach(collect));
+
+      const missingIds = new Set();
+      relationships.forEach(rel => {
+        if (!nodes.has(rel.startId)) missingIds.add(rel.startId);
+        if (!nodes.has(rel.endId)) missingIds.add(rel.endId);
+      });
+      if (missingIds.size > 0) {
+        const endpoints = await session.run(
+          `MATCH (n)
+           WHERE id(n) IN $ids
+           RETURN n`,
+          { ids: [...missingIds].map(id => neo4j.int(id)) }
+        );
+        endpoints.records.forEach(record => {
+          const node = toNode(record.get('n'));
+          nodes.set(node.id, node);
+        });
+      }
+
+      return {
+        nodes: [...nodes.values()],
+        relationships: [...relationships.values()],
+        rowCount: result.records.length
+      };
+    } catch (error) {
+      console.error('Cypher query failed:', error);
+      throw new Error(error.message);
+    } finally {
+      await session.close();
+    }
+  }
 }
 
-export const neo4jService = new Neo4jService(); 
\ No newline at end of file
+// With a query server configured the browser goes through it and never
+// holds database credentials; otherwise it talks Bolt directly
+export const neo4jService = neo4jConfig.apiUrl
+  ? new Neo4jClientService(neo4jConfig.apiUrl)
+  : new Neo4jService();
@@ -0,0 +1,170 @@
+// Client mode for the Neo4j backend: instead of holding a driver and
+// credentials, the browser calls the query proxy in server/index.js, which
+// runs a fixed set of read-only queries. Answers the same calls as the direct
+// service except getGraphChanges and savePositions, which the proxy does not offer.
+
+// Give up on a request after this many milliseconds
+const REQUEST_TIMEOUT = 30000;
+
+const abortError = () => {
+  const error = new Error('Graph load cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+export class Neo4jClientService {
+  constructor(apiUrl) {
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.name = 'Neo4j (server)';
+    this.key = `api:${this.apiUrl || window.location.origin}`;
+  }
+
+  // GET one named query; aborts on the caller's signal or after the timeout
+  async request(name, params = {}, signal) {
+    const url = new URL(`${this.apiUrl}/api/${name}`, window.location.origin);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, String(value)));
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+    const forwardAbort = () => controller.abort();
+    signal?.addEventListener('abort', forwardAbort);
+
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (response.status === 404 && name === 'node') return null;
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(body.error || `${response.status} ${response.statusText}`);
+      }
+      return body;
+    } catch (error) {
+      if (signal?.aborted) throw abortError();
+      if (error.name === 'AbortError') throw new Error(`Request ${name} timed out`);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', forwardAbort);
+    }
+  }
+
+  async verifyConnection() {
+    try {
+      await this.request('health');
+      return true;
+    } catch (error) {
+      console.error('Connection verification failed:', error);
+      throw new Error(`Query server is not available at ${this.apiUrl || 'this site'}: ${error.message}`);
+    }
+  }
+
+  async close() {}
+
+  // Same batches and progress as the direct loader, paged through the proxy
+  async loadGraph({ batchSize = 1000, onBatch, onProgress, signal } = {}) {
+    try {
+      console.log('Loading graph from query server...');
+      const counts = await this.request('counts', {}, signal);
+      const progress = {
+        phase: 'nodes',
+        loadedNodes: 0,
+        totalNodes: counts.nodes,
+        loadedRelationships: 0,
+        totalRelationships: counts.relationships
+      };
+      onProgress?.({ ...progress });
+
+      const nodes = [];
+      let after = -1;
+      for (;;) {
+        const { nodes: batch } = await this.request('nodes', { after, limit: batchSize }, signal);
+        if (batch.length === 0) break;
+        after = batch[batch.length - 1].id;
+        nodes.push(...batch);
+        progress.loadedNodes = nodes.length;
+        onBatch?.({ nodes: batch, relationships: [] });
+        onProgress?.({ ...progress });
+        if (batch.length < batchSize) break;
+      }
+
+      progress.phase = 'relationships';
+      onProgress?.({ ...progress });
+
+      const relationships = [];
+      after = -1;
+      for (;;) {
+        const { relationships: batch } = await this.request('relationships', { after, limit: batchSize }, signal);
+        if (batch.length === 0) break;
+        after = batch[batch.length - 1].id;
+        relationships.push(...batch);
+        progress.loadedRelationships = relationships.length;
+        onBatch?.({ nodes: [], relationships: batch });
+        onProgress?.({ ...progress });
+        if (batch.length < batchSize) break;
+      }
+
+      progress.phase = 'done';
+      onProgress?.({ ...progress });
+      console.log(`Loaded ${nodes.length} nodes and ${relationships.length} relationships`);
+      return { nodes, relationships };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error('Error loading graph:', error);
+      throw new Error(`Failed to load graph: ${error.message}`);
+    }
+  }
+
+  async getGraph() {
+    return this.loadGraph();
+  }
+
+  async getPaperDetails(paperId) {
+    try {
+      return await this.request('node', { id: paperId });
+    } catch (error) {
+      console.error('Error fetching paper details:', error);
+      throw new Error(`Failed to fetch paper details: ${error.message}`);
+    }
+  }
+
+  async getRelatedPapers(paperId, { skip = 0, limit = 10, types = [], direction = 'both' } = {}) {
+    try {
+      const { neighbours } = await this.request('neighbours', {
+        id: paperId,
+        skip,
+        limit,
+        types: types.join(','),
+        direction
+      });
+      return neighbours;
+    } catch (error) {
+      console.error('Error fetching related papers:', error);
+      throw new Error(`Failed to fetch related papers: ${error.message}`);
+    }
+  }
+
+  async findPaths(sourceId, targetId, { k = 1, maxHops = 6, types = [] } = {}) {
+    try {
+      const { paths } = await this.request('paths', {
+        source: sourceId,
+        target: targetId,
+        k,
+        maxHops,
+        types: types.join(',')
+      });
+      return paths;
+    } catch (error) {
+      console.error('Error finding paths:', error);
+      throw new Error(`Failed to find paths: ${error.message}`);
+    }
+  }
+
+  async searchNodes(query, { limit = 20 } = {}) {
+    try {
+      const { nodes } = await this.request('search', { q: query, limit });
+      return nodes;
+    } catch (error) {
+      console.error('Error searching nodes:', error);
+      throw new Error(`Failed to search nodes: ${error.message}`);
+    }
+  }
+}
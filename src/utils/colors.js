@@ -0,0 +1,26 @@
+// Palette for categorical values such as relationship types
+const PALETTE = [
+  '#00e5ff',
+  '#ff6ec7',
+  '#ffd166',
+  '#7cff6b',
+  '#b388ff',
+  '#ff8a3d',
+  '#4dd0e1',
+  '#f06292',
+  '#aed581',
+  '#9575cd'
+];
+
+// Stable 32-bit string hash (FNV-1a) so a key always maps to the same color
+export const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  const str = String(value);
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+export const colorForKey = (key) => PALETTE[hashString(key) % PALETTE.length];
@@ -0,0 +1,14 @@
+// Offer a blob to the user as a file download
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Give the browser a moment to start the download before letting go
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const downloadText = (text, fileName, type = 'text/plain') => {
+  downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), fileName);
+};
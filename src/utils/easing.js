@@ -0,0 +1,4 @@
+// Easing curves for camera motion, mapping t in [0, 1] to [0, 1]
+export const easeInOutCubic = (t) => (
+  t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+);
@@ -0,0 +1,100 @@
+// Fuzzy matching over node names and selected properties.
+//
+// Text is normalized (NFKC, lower case, accents stripped) so full-width and
+// half-width forms compare equal. Names such as "学生会 (Student Council - SCIS)"
+// are also indexed by their parts, so either the Chinese or the English half
+// can match on its own. Every whitespace-separated query term has to match;
+// contiguous matches score higher than scattered ones, and matches at the
+// start of a word score higher than matches inside one.
+
+const MAX_GAP_PENALTY = 0.5;
+
+export const normalizeText = (value) => (
+  String(value)
+    .normalize('NFKC')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+);
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_()/（）,.·:]/.test(text[index - 1]);
+
+// Split "A (B)" style names into the whole and each part
+const nameParts = (text) => {
+  const parts = [text];
+  const match = text.match(/^(.*?)[(（](.*)[)）]\s*$/);
+  if (match) {
+    parts.push(match[1].trim(), match[2].trim());
+  }
+  return parts.filter(Boolean);
+};
+
+// Score a single term against a single string; 0 means no match
+const scoreTerm = (term, text) => {
+  const index = text.indexOf(term);
+  if (index !== -1) {
+    let score = 10 + term.length;
+    if (index === 0) score += 6;
+    else if (isWordStart(text, index)) score += 3;
+    if (term.length === text.length) score += 5;
+    return score;
+  }
+
+  // Subsequence match: every query character appears in order
+  let score = 0;
+  let position = 0;
+  let previous = -1;
+  for (const char of term) {
+    const found = text.indexOf(char, position);
+    if (found === -1) return 0;
+    score += 1;
+    if (found === previous + 1) score += 1;
+    else score -= Math.min(MAX_GAP_PENALTY, (found - previous) * 0.05);
+    if (isWordStart(text, found)) score += 0.5;
+    previous = found;
+    position = found + 1;
+  }
+  return Math.max(score, 0.1);
+};
+
+// Precompute normalized searchable strings for every node
+export const buildSearchIndex = (nodes, fields, getName) => (
+  nodes.map(node => {
+    const texts = [];
+    const name = getName(node);
+    if (name) {
+      nameParts(normalizeText(name)).forEach(part => texts.push({ text: part, weight: 1 }));
+    }
+    fields.forEach(field => {
+      const value = node.properties[field];
+      if (value === null || value === undefined || field === 'name') return;
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach(item => texts.push({ text: normalizeText(item), weight: 0.6 }));
+    });
+    return { node, texts };
+  })
+);
+
+// Return the best matches for query, highest score first
+export const searchIndex = (index, query, limit = Infinity) => {
+  const terms = normalizeText(query).split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const results = [];
+  index.forEach(({ node, texts }) => {
+    let total = 0;
+    for (const term of terms) {
+      let best = 0;
+      texts.forEach(({ text, weight }) => {
+        best = Math.max(best, scoreTerm(term, text) * weight);
+      });
+      if (best === 0) return;
+      total += best;
+    }
+    results.push({ node, score: total });
+  });
+
+  results.sort((a, b) => b.score - a.score);
+  return results.slice(0, limit);
+};
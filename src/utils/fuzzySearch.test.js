@@ -0,0 +1,32 @@
+import { buildSearchIndex, normalizeText, searchIndex } from './fuzzySearch';
+
+const node = (id, name, properties = {}) => ({ id, labels: [], properties: { name, ...properties } });
+const getName = (n) => n.properties.name;
+
+const search = (nodes, query, fields = []) => (
+  searchIndex(buildSearchIndex(nodes, fields, getName), query).map(result => result.node.id)
+);
+
+test('normalizes width, case and accents', () => {
+  expect(normalizeText('Ｃafé ÉTÉ')).toBe('cafe ete');
+});
+
+test('matches either half of a bilingual name', () => {
+  const nodes = [node('1', '学生会 (Student Council - SCIS)'), node('2', 'Library')];
+  expect(search(nodes, '学生会')).toEqual(['1']);
+  expect(search(nodes, 'council')).toEqual(['1']);
+});
+
+test('ranks word-start matches above inner ones, and both above scattered ones', () => {
+  const nodes = [node('scattered', 'Go rapid hike'), node('inside', 'Paragraphs'), node('start', 'Graphs')];
+  expect(search(nodes, 'graph')).toEqual(['start', 'inside', 'scattered']);
+});
+
+test('needs every term to match and searches chosen properties', () => {
+  const nodes = [
+    node('1', 'Deep learning', { description: 'neural networks' }),
+    node('2', 'Deep sea')
+  ];
+  expect(search(nodes, 'deep neural', ['description'])).toEqual(['1']);
+  expect(search(nodes, 'deep neural')).toEqual([]);
+});
@@ -0,0 +1,145 @@
+// Compare two snapshots of the graph by element id.
+
+// Order-independent comparison of property maps
+export const sameProperties = (a, b) => {
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+};
+
+const sameNode = (a, b) => (
+  a.labels.length === b.labels.length &&
+  a.labels.every(label => b.labels.includes(label)) &&
+  sameProperties(a.properties, b.properties)
+);
+
+const sameRelationship = (a, b) => (
+  a.type === b.type &&
+  a.startId === b.startId &&
+  a.endId === b.endId &&
+  sameProperties(a.properties, b.properties)
+);
+
+const diffById = (previous, next, isSame) => {
+  const previousById = new Map(previous.map(item => [item.id, item]));
+  const nextIds = new Set(next.map(item => item.id));
+  const added = [];
+  const changed = [];
+  next.forEach(item => {
+    const before = previousById.get(item.id);
+    if (!before) added.push(item);
+    else if (!isSame(before, item)) changed.push(item);
+  });
+  const removedIds = previous.filter(item => !nextIds.has(item.id)).map(item => item.id);
+  return { added, changed, removedIds };
+};
+
+// Full diff between two graphs ({ nodes, relationships })
+export const diffGraphs = (previous, next) => {
+  const nodes = diffById(previous.nodes, next.nodes, sameNode);
+  const relationships = diffById(previous.relationships, next.relationships, sameRelationship);
+  return {
+    addedNodes: nodes.added,
+    changedNodes: nodes.changed,
+    removedNodeIds: nodes.removedIds,
+    addedRelationships: relationships.added,
+    changedRelationships: relationships.changed,
+    removedRelationshipIds: relationships.removedIds
+  };
+};
+
+// Diff from a partial change set: the ids that still exist plus the elements
+// that were touched since the last sync. Touched elements that turn out to be
+// identical to what we have are not reported as changed.
+export const diffFromChanges = (previous, changes) => {
+  const sort = (items, existingIds, known, isSame) => {
+    const knownById = new Map(known.map(item => [item.id, item]));
+    const added = [];
+    const changed = [];
+    items.forEach(item => {
+      const before = knownById.get(item.id);
+      if (!before) added.push(item);
+      else if (!isSame(before, item)) changed.push(item);
+    });
+    const removedIds = known.filter(item => !existingIds.has(item.id)).map(item => item.id);
+    return { added, changed, removedIds };
+  };
+  const nodes = sort(changes.nodes, new Set(changes.nodeIds), previous.nodes, sameNode);
+  const relationships = sort(
+    changes.relationships,
+    new Set(changes.relationshipIds),
+    previous.relationships,
+    sameRelationship
+  );
+  return {
+    addedNodes: nodes.added,
+    changedNodes: nodes.changed,
+    removedNodeIds: nodes.removedIds,
+    addedRelationships: relationships.added,
+    changedRelationships: relationships.changed,
+    removedRelationshipIds: relationships.removedIds
+  };
+};
+
+// Diff with only the given parts, e.g. { addedNodes: [node] }
+export const makeDiff = (parts) => ({
+  addedNodes: [],
+  changedNodes: [],
+  removedNodeIds: [],
+  addedRelationships: [],
+  changedRelationships: [],
+  removedRelationshipIds: [],
+  ...parts
+});
+
+export const isEmptyDiff = (diff) => Object.values(diff).every(list => list.length === 0);
+
+// Apply a diff; removals listed in keepNodeIds stay for now (they are still
+// animating out) but every other change lands immediately
+export const applyDiff = (graph, diff, keepNodeIds = new Set()) => {
+  const changedNodes = new Map(diff.changedNodes.map(node => [node.id, node]));
+  const removedNodes = new Set(diff.removedNodeIds.filter(id => !keepNodeIds.has(id)));
+  const changedRelationships = new Map(diff.changedRelationships.map(rel => [rel.id, rel]));
+  const removedRelationships = new Set(diff.removedRelationshipIds);
+
+  return {
+    nodes: [
+      ...graph.nodes
+        .filter(node => !removedNodes.has(node.id))
+        .map(node => changedNodes.get(node.id) || node),
+      ...diff.addedNodes
+    ],
+    relationships: [
+      ...graph.relationships
+        .filter(rel => !removedRelationships.has(rel.id) && !removedNodes.has(rel.startId) && !removedNodes.has(rel.endId))
+        .map(rel => changedRelationships.get(rel.id) || rel),
+      ...diff.addedRelationships
+    ]
+  };
+};
+
+// Drop nodes, and the relationships attached to them
+export const removeNodes = (graph, ids) => {
+  const removed = new Set(ids);
+  return {
+    nodes: graph.nodes.filter(node => !removed.has(node.id)),
+    relationships: graph.relationships.filter(rel => !removed.has(rel.startId) && !removed.has(rel.endId))
+  };
+};
+
+// Add one graph to another; elements already present are replaced by the
+// incoming version
+export const mergeGraphs = (graph, addition) => {
+  const merge = (current, incoming) => {
+    const incomingById = new Map(incoming.map(item => [item.id, item]));
+    const currentIds = new Set(current.map(item => item.id));
+    return [
+      ...current.map(item => incomingById.get(item.id) || item),
+      ...incoming.filter(item => !currentIds.has(item.id))
+    ];
+  };
+  return {
+    nodes: merge(graph.nodes, addition.nodes),
+    relationships: merge(graph.relationships, addition.relationships)
+  };
+};
@@ -0,0 +1,49 @@
+import { applyDiff, diffFromChanges, diffGraphs, isEmptyDiff, makeDiff, sameProperties } from './graphDiff';
+
+const node = (id, properties = {}, labels = ['Paper']) => ({ id, labels, properties });
+const rel = (id, startId, endId, type = 'CITES') => ({ id, type, startId, endId, properties: {} });
+
+const graph = {
+  nodes: [node('a', { title: 'A' }), node('b'), node('c')],
+  relationships: [rel('r1', 'a', 'b'), rel('r2', 'b', 'c')]
+};
+
+test('compares properties regardless of key order', () => {
+  expect(sameProperties({ x: 1, y: [1, 2] }, { y: [1, 2], x: 1 })).toBe(true);
+  expect(sameProperties({ x: 1 }, { x: 1, y: 2 })).toBe(false);
+});
+
+test('finds added, changed and removed elements', () => {
+  const next = {
+    nodes: [node('a', { title: 'A2' }), node('b'), node('d')],
+    relationships: [rel('r1', 'a', 'b'), rel('r3', 'b', 'd')]
+  };
+  const diff = diffGraphs(graph, next);
+  expect(diff.addedNodes.map(n => n.id)).toEqual(['d']);
+  expect(diff.changedNodes.map(n => n.id)).toEqual(['a']);
+  expect(diff.removedNodeIds).toEqual(['c']);
+  expect(diff.addedRelationships.map(r => r.id)).toEqual(['r3']);
+  expect(diff.removedRelationshipIds).toEqual(['r2']);
+  expect(isEmptyDiff(diffGraphs(graph, graph))).toBe(true);
+});
+
+test('reads a change set, leaving untouched identical elements alone', () => {
+  const diff = diffFromChanges(graph, {
+    nodeIds: ['a', 'b'],
+    relationshipIds: ['r1'],
+    nodes: [node('a', { title: 'A' }), node('e')],
+    relationships: []
+  });
+  expect(diff.changedNodes).toEqual([]);
+  expect(diff.addedNodes.map(n => n.id)).toEqual(['e']);
+  expect(diff.removedNodeIds).toEqual(['c']);
+  expect(diff.removedRelationshipIds).toEqual(['r2']);
+});
+
+test('applies a diff, keeping stars that are still fading out', () => {
+  const diff = makeDiff({ removedNodeIds: ['b', 'c'], addedNodes: [node('d')] });
+  const result = applyDiff(graph, diff, new Set(['c']));
+  expect(result.nodes.map(n => n.id)).toEqual(['a', 'c', 'd']);
+  // Relationships of a removed star go with it
+  expect(result.relationships.map(r => r.id)).toEqual([]);
+});
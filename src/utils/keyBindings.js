@@ -0,0 +1,106 @@
+import { inputActions } from '../config/input.config';
+
+// Bindings are strings: a KeyboardEvent.code behind optional modifiers
+// ('KeyW', 'Ctrl+KeyZ') or a gamepad button ('Button0').
+
+const MODIFIERS = [
+  ['Ctrl', 'ctrlKey'],
+  ['Alt', 'altKey'],
+  ['Shift', 'shiftKey'],
+  ['Meta', 'metaKey']
+];
+
+const MODIFIER_CODE = /^(Shift|Control|Alt|Meta)(Left|Right)$/;
+
+const BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+  'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+];
+
+const KEY_NAMES = {
+  Space: 'Space',
+  Escape: 'Esc',
+  Slash: '/',
+  Backslash: '\\',
+  Comma: ',',
+  Period: '.',
+  Semicolon: ';',
+  Quote: "'",
+  Backquote: '`',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Minus: '-',
+  Equal: '=',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right'
+};
+
+export const isModifierCode = (code) => MODIFIER_CODE.test(code);
+
+export const buttonBinding = (index) => `Button${index}`;
+
+export const buttonOf = (binding) => {
+  const match = /^Button(\d+)$/.exec(binding);
+  return match ? Number(match[1]) : null;
+};
+
+const parseKey = (binding) => {
+  const parts = binding.split('+');
+  return { code: parts.pop(), modifiers: new Set(parts) };
+};
+
+// Binding for a key press; a modifier key pressed on its own is bound as itself
+export const bindingFromEvent = (event) => {
+  if (isModifierCode(event.code)) return event.code;
+  const modifiers = MODIFIERS.filter(([, flag]) => event[flag]).map(([name]) => name);
+  return [...modifiers, event.code].join('+');
+};
+
+// Held actions ignore modifiers, so Shift can speed up W; presses need
+// exactly the bound modifiers, so / and Shift+/ are different keys
+export const keyMatches = (binding, event, held) => {
+  if (buttonOf(binding) !== null) return false;
+  const { code, modifiers } = parseKey(binding);
+  if (code !== event.code) return false;
+  return held || MODIFIERS.every(([name, flag]) => modifiers.has(name) === Boolean(event[flag]));
+};
+
+export const bindingLabel = (binding) => {
+  const button = buttonOf(binding);
+  if (button !== null) return `Pad ${BUTTON_NAMES[button] || button}`;
+  const { code, modifiers } = parseKey(binding);
+  const side = MODIFIER_CODE.exec(code);
+  let name;
+  if (side) name = `${side[2]} ${side[1] === 'Control' ? 'Ctrl' : side[1]}`;
+  else if (/^Key[A-Z]$/.test(code)) name = code.slice(3);
+  else if (/^Digit\d$/.test(code)) name = code.slice(5);
+  else if (/^Numpad/.test(code)) name = `Num ${code.slice(6)}`;
+  else name = KEY_NAMES[code] || code;
+  return [...modifiers, name].join('+');
+};
+
+// Keys typed into a text field are text, not commands
+export const isTypingTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  if (target.tagName !== 'INPUT') return false;
+  return !['checkbox', 'radio', 'range', 'button', 'submit', 'reset', 'color', 'file'].includes(target.type);
+};
+
+// Defaults with the user's changes laid over them; saved entries for
+// actions that no longer exist are dropped
+export const mergeBindings = (saved) => Object.fromEntries(inputActions.map(action => [
+  action.id,
+  Array.isArray(saved?.[action.id]) ? saved[action.id].filter(b => typeof b === 'string') : action.bindings
+]));
+
+// How the current bindings differ from the defaults, for saving
+export const changedBindings = (bindings) => Object.fromEntries(inputActions
+  .filter(action => bindings[action.id].join(' ') !== action.bindings.join(' '))
+  .map(action => [action.id, bindings[action.id]]));
+
+// Labels of the keys among bindings, leaving out gamepad buttons
+export const keyLabels = (bindings) => bindings.filter(binding => buttonOf(binding) === null).map(bindingLabel);
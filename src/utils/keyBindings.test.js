@@ -0,0 +1,55 @@
+import { inputActions } from '../config/input.config';
+import {
+  bindingFromEvent,
+  bindingLabel,
+  changedBindings,
+  isTypingTarget,
+  keyLabels,
+  keyMatches,
+  mergeBindings
+} from './keyBindings';
+
+const key = (code, modifiers = {}) => ({
+  code,
+  ctrlKey: false,
+  altKey: false,
+  shiftKey: false,
+  metaKey: false,
+  ...modifiers
+});
+
+test('binds a key with its modifiers, and a modifier on its own', () => {
+  expect(bindingFromEvent(key('KeyZ', { ctrlKey: true }))).toBe('Ctrl+KeyZ');
+  expect(bindingFromEvent(key('ShiftLeft', { shiftKey: true }))).toBe('ShiftLeft');
+});
+
+test('matches presses on exact modifiers and held keys regardless of them', () => {
+  const shiftSlash = key('Slash', { shiftKey: true });
+  expect(keyMatches('Slash', shiftSlash, false)).toBe(false);
+  expect(keyMatches('Shift+Slash', shiftSlash, false)).toBe(true);
+  expect(keyMatches('KeyW', key('KeyW', { shiftKey: true }), true)).toBe(true);
+  expect(keyMatches('Button0', key('KeyW'), true)).toBe(false);
+});
+
+test('labels keys and gamepad buttons for people', () => {
+  expect(['Ctrl+KeyZ', 'Shift+Slash', 'ControlRight', 'Digit3', 'Escape', 'Button0', 'Button7'].map(bindingLabel))
+    .toEqual(['Ctrl+Z', 'Shift+/', 'Right Ctrl', '3', 'Esc', 'Pad A', 'Pad RT']);
+  expect(keyLabels(['KeyF', 'Button2'])).toEqual(['F']);
+});
+
+test('lays saved bindings over the defaults and saves only the differences', () => {
+  const bindings = mergeBindings({ undo: ['KeyU'], removed: ['KeyX'] });
+  expect(bindings.undo).toEqual(['KeyU']);
+  expect(bindings.moveForward).toEqual(inputActions.find(action => action.id === 'moveForward').bindings);
+  expect(bindings.removed).toBeUndefined();
+  expect(changedBindings(bindings)).toEqual({ undo: ['KeyU'] });
+});
+
+test('treats text fields as typing, other controls not', () => {
+  const input = document.createElement('input');
+  const slider = Object.assign(document.createElement('input'), { type: 'range' });
+  expect(isTypingTarget(input)).toBe(true);
+  expect(isTypingTarget(document.createElement('textarea'))).toBe(true);
+  expect(isTypingTarget(slider)).toBe(false);
+  expect(isTypingTarget(document.createElement('button'))).toBe(false);
+});
@@ -0,0 +1,52 @@
+// Property values as text for editing, and back again.
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+// Typed text to a property value: numbers, true and false, quoted strings and
+// JSON lists of those are read as such; anything else is the text itself
+export const parsePropertyText = (text) => {
+  const trimmed = text.trim();
+  if (/^(-?\d|\[|"|true$|false$)/.test(trimmed)) {
+    try {
+      const value = JSON.parse(trimmed);
+      if (isScalar(value) || (Array.isArray(value) && value.every(isScalar))) return value;
+    } catch (error) {
+      // Not JSON after all, so plain text
+    }
+  }
+  return text;
+};
+
+// Text that reads back as the same value. Strings that would read as
+// something else, or are empty, are quoted; dates and points show as Cypher
+// writes them.
+export const formatPropertyText = (value) => {
+  if (typeof value === 'string') {
+    return value !== '' && parsePropertyText(value) === value ? value : JSON.stringify(value);
+  }
+  if (isScalar(value) || Array.isArray(value)) return JSON.stringify(value);
+  return String(value);
+};
+
+// Editable rows from a property map. Each row remembers the value it started
+// with, so values that are not edited keep their type, e.g. dates.
+export const propertiesToRows = (properties) => Object.entries(properties).map(([key, value]) => {
+  const text = formatPropertyText(value);
+  return { key, text, original: { key, text, value } };
+});
+
+export const emptyRow = () => ({ key: '', text: '', original: null });
+
+// Property map from rows, or the first problem with them. Rows without a
+// value are left out, which removes the property.
+export const rowsToProperties = (rows) => {
+  const properties = {};
+  for (const row of rows) {
+    const key = row.key.trim();
+    if (row.text.trim() === '') continue;
+    if (!key) return { error: `The value "${row.text}" has no property name` };
+    if (key in properties) return { error: `The property "${key}" is listed twice` };
+    properties[key] = row.original && row.text === row.original.text ? row.original.value : parsePropertyText(row.text);
+  }
+  return { properties };
+};
@@ -0,0 +1,13 @@
+import { hashString } from './colors';
+
+// Small seeded PRNG (mulberry32) returning floats in [0, 1)
+export const seededRandom = (seed) => {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashString(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
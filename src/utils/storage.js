@@ -0,0 +1,27 @@
+// Thin wrappers around localStorage that never throw: a full or disabled
+// storage only loses the remembered setting, it must not break the view.
+export const loadJSON = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn(`Ignoring unreadable setting ${key}:`, error);
+    return fallback;
+  }
+};
+
+export const saveJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to save setting ${key}:`, error);
+  }
+};
+
+export const removeKey = (key) => {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    console.warn(`Failed to remove setting ${key}:`, error);
+  }
+};
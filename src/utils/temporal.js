@@ -0,0 +1,47 @@
+import { timelineConfig } from '../config/timeline.config';
+
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?(\[[^\]]+\])?$/;
+
+// Neo4j temporal strings may carry nanoseconds and a zone name, which
+// Date.parse does not take
+const parseDateString = (text) => {
+  if (!DATE_PATTERN.test(text)) return null;
+  const time = Date.parse(text.replace(/\[[^\]]+\]$/, '').replace(/(\.\d{3})\d+/, '$1'));
+  return Number.isNaN(time) ? null : time;
+};
+
+// Milliseconds since the epoch for a date-like property value, or null.
+// Takes ISO date strings, Neo4j Date/DateTime values, whole years
+// (1000-3000) and epoch milliseconds.
+export const toTime = (value) => {
+  if (typeof value === 'string') return parseDateString(value.trim());
+  if (typeof value === 'number') {
+    if (Number.isInteger(value) && value >= 1000 && value <= 3000) return Date.UTC(value, 0, 1);
+    return value >= 1e11 && value <= 1e14 ? value : null;
+  }
+  // Driver temporal types print as ISO strings
+  if (value && typeof value === 'object' && 'year' in value && typeof value.toString === 'function') {
+    return parseDateString(value.toString());
+  }
+  return null;
+};
+
+// Property names whose values are mostly dates, over nodes and relationships
+export const dateProperties = (items) => {
+  const counts = new Map();
+  items.forEach(item => {
+    Object.entries(item.properties).forEach(([name, value]) => {
+      const count = counts.get(name) || { dates: 0, total: 0 };
+      count.total += 1;
+      if (toTime(value) !== null) count.dates += 1;
+      counts.set(name, count);
+    });
+  });
+  return [...counts]
+    .filter(([, { dates, total }]) => dates > 0 && dates / total >= timelineConfig.minDateShare)
+    .map(([name]) => name)
+    .sort();
+};
+
+// Date for display, to the day
+export const formatTime = (time) => new Date(time).toISOString().slice(0, 10);
@@ -0,0 +1,80 @@
+import { cameraConfig } from '../config/camera.config';
+
+// A tour is a list of stops played in order:
+//
+//   {
+//     "title": "Highlights",
+//     "loop": false,
+//     "stops": [
+//       { "node": "42", "caption": "Where it started", "dwell": 8, "orbit": true },
+//       { "camera": { "position": [0, 40, 300], "target": [0, 0, 0] }, "caption": "Overview" }
+//     ]
+//   }
+//
+// Each stop needs a node to fly to, a camera pose, or both (the camera pose
+// wins and the node is selected). Optional: dwell (seconds spent at the stop),
+// distance (from the node), flight (seconds; by default from the distance
+// travelled) and orbit (circle the stop while there).
+
+const vector = (value) => (
+  Array.isArray(value) && value.length === 3 && value.every(Number.isFinite) ? value : null
+);
+
+const positive = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+
+const parseStop = (stop, i) => {
+  const node = stop?.node !== undefined && stop?.node !== null ? String(stop.node) : null;
+  const position = vector(stop?.camera?.position);
+  const target = vector(stop?.camera?.target);
+  const camera = position && target ? { position, target } : null;
+  if (!node && !camera) {
+    throw new Error(`Stop ${i + 1} needs a "node" id or a "camera" with position and target`);
+  }
+  return {
+    node,
+    camera,
+    caption: typeof stop.caption === 'string' ? stop.caption : '',
+    dwell: positive(stop.dwell, cameraConfig.tour.dwell),
+    distance: positive(stop.distance, cameraConfig.tour.distance),
+    flight: positive(stop.flight, null),
+    orbit: stop.orbit === true
+  };
+};
+
+// Tour from its JSON text; throws with the reason when it is not one
+export const parseTour = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Tour is not valid JSON: ${error.message}`);
+  }
+  const stops = Array.isArray(data) ? data : data?.stops;
+  if (!Array.isArray(stops) || stops.length === 0) {
+    throw new Error('A tour needs a non-empty "stops" list');
+  }
+  return {
+    title: typeof data.title === 'string' && data.title ? data.title : 'Untitled tour',
+    loop: data.loop === true,
+    stops: stops.map(parseStop)
+  };
+};
+
+const round = (vector3) => vector3.map(value => Math.round(value * 10) / 10);
+
+// JSON text for a tour, leaving out fields that have their default
+export const serializeTour = (tour) => JSON.stringify({
+  title: tour.title,
+  loop: tour.loop || undefined,
+  stops: tour.stops.map(stop => ({
+    node: stop.node || undefined,
+    camera: stop.camera
+      ? { position: round(stop.camera.position), target: round(stop.camera.target) }
+      : undefined,
+    caption: stop.caption || undefined,
+    dwell: stop.dwell !== cameraConfig.tour.dwell ? stop.dwell : undefined,
+    distance: stop.distance !== cameraConfig.tour.distance ? stop.distance : undefined,
+    flight: stop.flight || undefined,
+    orbit: stop.orbit || undefined
+  }))
+}, null, 2);
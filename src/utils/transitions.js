@@ -0,0 +1,23 @@
+// Entry, exit and change animations for stars, kept in a mutable store
+// ({ entries: Map<id, { kind, start, duration }> }) that the scene reads every frame.
+
+// Animation lengths in seconds
+export const ENTER_DURATION = 1.2;
+export const EXIT_DURATION = 1.2;
+export const CHANGE_DURATION = 2.5;
+
+const DURATIONS = {
+  enter: ENTER_DURATION,
+  exit: EXIT_DURATION,
+  change: CHANGE_DURATION
+};
+
+export const createTransitions = () => ({ entries: new Map() });
+
+// Start the same animation for several stars at once
+export const startTransitions = (transitions, ids, kind) => {
+  const start = performance.now() / 1000;
+  ids.forEach(id => {
+    transitions.entries.set(id, { kind, start, duration: DURATIONS[kind] });
+  });
+};
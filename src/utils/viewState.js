@@ -0,0 +1,51 @@
+// A view is what someone looking at the starfield sees: the camera pose, the
+// selected star and the filters. It travels in the URL hash as short query
+// parameters:
+//
+//   c   camera position (x,y,z)       t   orbit target (x,y,z)
+//   s   selected star id              ht  hidden relationship types
+//   hl  hidden labels                 il  isolated label
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const vector = (raw) => {
+  const parts = raw ? raw.split(',').map(Number) : [];
+  return parts.length === 3 && parts.every(Number.isFinite) ? parts : null;
+};
+
+const list = (raw) => (raw ? raw.split(',').filter(Boolean) : []);
+
+export const encodeView = (view) => {
+  const params = new URLSearchParams();
+  if (view.camera) {
+    params.set('c', view.camera.position.map(round).join(','));
+    params.set('t', view.camera.target.map(round).join(','));
+  }
+  if (view.selectedId) params.set('s', view.selectedId);
+  if (view.hiddenTypes?.length) params.set('ht', view.hiddenTypes.join(','));
+  if (view.hiddenLabels?.length) params.set('hl', view.hiddenLabels.join(','));
+  if (view.isolatedLabel) params.set('il', view.isolatedLabel);
+  // Commas are fine in a hash and keep links readable
+  return params.toString().replace(/%2C/g, ',');
+};
+
+// The view in a hash, or null when it holds none; malformed parts are dropped
+export const decodeView = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (![...params.keys()].some(key => ['c', 't', 's', 'ht', 'hl', 'il'].includes(key))) return null;
+  const position = vector(params.get('c'));
+  const target = vector(params.get('t'));
+  return {
+    camera: position && target ? { position, target } : null,
+    selectedId: params.get('s') || null,
+    hiddenTypes: list(params.get('ht')),
+    hiddenLabels: list(params.get('hl')),
+    isolatedLabel: params.get('il') || null
+  };
+};
+
+// Full address that opens the given view
+export const viewUrl = (view) => {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}#${encodeView(view)}`;
+};
@@ -0,0 +1,28 @@
+import { decodeView, encodeView } from './viewState';
+
+test('round-trips a view through the hash, rounding the camera', () => {
+  const view = {
+    camera: { position: [1.234, -20, 300.06], target: [0, 0, 0] },
+    selectedId: '42',
+    hiddenTypes: ['CITES', 'KNOWS'],
+    hiddenLabels: ['Draft'],
+    isolatedLabel: 'Paper'
+  };
+  const hash = encodeView(view);
+  expect(hash).toContain('ht=CITES,KNOWS');
+  expect(decodeView(`#${hash}`)).toEqual({
+    ...view,
+    camera: { position: [1.2, -20, 300.1], target: [0, 0, 0] }
+  });
+});
+
+test('ignores hashes without a view and drops malformed parts', () => {
+  expect(decodeView('#section-2')).toBeNull();
+  expect(decodeView('#c=1,2&t=0,0,0&s=7')).toEqual({
+    camera: null,
+    selectedId: '7',
+    hiddenTypes: [],
+    hiddenLabels: [],
+    isolatedLabel: null
+  });
+});
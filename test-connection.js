@@ -1,14 +1,26 @@
 const neo4j = require('neo4j-driver');
 
+// Connection settings come from the environment, never from this file:
+//   NEO4J_URI=neo4j+s://example.com NEO4J_USER=neo4j NEO4J_PASSWORD=... node test-connection.js
+// The REACT_APP_NEO4J_* variables used by the app work too.
+const config = {
+  uri: process.env.NEO4J_URI || process.env.REACT_APP_NEO4J_URI || 'bolt://localhost:7687',
+  user: process.env.NEO4J_USER || process.env.REACT_APP_NEO4J_USER || 'neo4j',
+  password: process.env.NEO4J_PASSWORD || process.env.REACT_APP_NEO4J_PASSWORD || '',
+  database: process.env.NEO4J_DATABASE || process.env.REACT_APP_NEO4J_DATABASE || 'neo4j'
+};
+
+// '+s' and '+ssc' schemes pick TLS themselves and reject explicit settings
+const secure = /^[a-z]+\+(s|ssc):\/\//i.test(config.uri);
+
 async function testConnection() {
   console.log('Starting connection test...');
   
   const driver = neo4j.driver(
-    'bolt://127.0.0.1:7687',  // Using explicit IP address
-    neo4j.auth.basic('neo4j', 'ssss8888'),
+    config.uri,
+    neo4j.auth.basic(config.user, config.password),
     {
-      encrypted: false,
-      trust: 'TRUST_ALL_CERTIFICATES',
+      ...(secure ? {} : { encrypted: false, trust: 'TRUST_ALL_CERTIFICATES' }),
       maxConnectionLifetime: 3 * 60 * 60 * 1000,
       maxConnectionPoolSize: 50,
       connectionAcquisitionTimeout: 2 * 60 * 1000,
@@ -23,12 +35,13 @@ async function testConnection() {
   );
 
   console.log('Driver created with settings:', {
-    uri: 'bolt://127.0.0.1:7687',
-    encrypted: false,
-    trust: 'TRUST_ALL_CERTIFICATES'
+    uri: config.uri,
+    user: config.user,
+    database: config.database,
+    encrypted: secure
   });
 
-  const session = driver.session();
+  const session = driver.session({ database: config.database });
   try {
     console.log('Session created, testing connection...');
     
@@ -54,7 +67,7 @@ async function testConnection() {
     if (error.code === 'ServiceUnavailable') {
       console.error('Please check if:');
       console.error('1. Neo4j server is running');
-      console.error('2. Port 7687 is accessible');
+      console.error(`2. ${config.uri} is reachable`);
       console.error('3. Server configuration matches:');
       console.error('   - server.bolt.enabled=true');
       console.error('   - server.bolt.tls_level=DISABLED');